@@ -73,6 +73,7 @@ exports.registerUser = async (req, res, next) => {
         xp: user.xp,
         rank: user.rank,
         isAdmin: user.isAdmin,
+        isContributor: user.isContributor,
       },
     });
   } catch (error) {
@@ -171,6 +172,7 @@ exports.loginUser = async (req, res, next) => {
         rank: user.rank,
         badges: user.badges,
         isAdmin: user.isAdmin,
+        isContributor: user.isContributor,
       },
     });
   } catch (error) {
@@ -414,6 +416,7 @@ exports.googleAuth = async (req, res, next) => {
         rank: user.rank,
         badges: user.badges,
         isAdmin: user.isAdmin,
+        isContributor: user.isContributor,
       },
     });
   } catch (error) {
@@ -528,6 +531,7 @@ exports.verifyOTP = async (req, res, next) => {
         rank: user.rank,
         badges: user.badges,
         isAdmin: user.isAdmin,
+        isContributor: user.isContributor,
       },
     });
     */
@@ -538,4 +542,38 @@ exports.verifyOTP = async (req, res, next) => {
 
 // Export aliases for route handlers
 exports.logout = exports.logoutUser;
-exports.getUserDetails = exports.getMe;
\ No newline at end of file
+exports.getUserDetails = exports.getMe;
+// Grant or revoke the contributor role (Admin only)
+exports.setContributor = async (req, res, next) => {
+  try {
+    const { isContributor } = req.body || {};
+
+    if (typeof isContributor !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "isContributor must be true or false",
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { isContributor },
+      { new: true }
+    ).select("_id username email isAdmin isContributor");
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${user.username} is ${isContributor ? "now" : "no longer"} a contributor`,
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,91 @@
+const challenges = require("../utils/challenges");
+
+// Create a challenge against another player (protected)
+exports.createChallenge = async (req, res, next) => {
+  try {
+    const { opponentId, categoryId, numberOfQuestions, timePerQuestion } = req.body;
+
+    const challenge = await challenges.createChallenge(req.app.get("io"), {
+      challengerId: req.user.id,
+      opponentId,
+      categoryId,
+      numberOfQuestions,
+      timePerQuestion,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: challenge,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get my challenges, optionally ?status=pending|finished (protected)
+exports.getMyChallenges = async (req, res, next) => {
+  try {
+    const list = await challenges.listChallenges(req.user.id, req.query.status);
+
+    res.json({
+      success: true,
+      count: list.length,
+      data: list,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get one challenge (participants only)
+exports.getChallenge = async (req, res, next) => {
+  try {
+    const challenge = await challenges.getChallenge(req.params.matchId, req.user.id);
+
+    res.json({
+      success: true,
+      data: challenge,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Serve my next question and start its timer
+exports.nextQuestion = async (req, res, next) => {
+  try {
+    const question = await challenges.nextChallengeQuestion(
+      req.app.get("io"),
+      req.params.matchId,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      data: question,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Answer the open question
+exports.submitAnswer = async (req, res, next) => {
+  try {
+    const { questionIndex, selectedOptionId, selectedOptionIds, answerValue } = req.body;
+
+    const result = await challenges.submitChallengeAnswer(
+      req.app.get("io"),
+      req.params.matchId,
+      req.user.id,
+      { questionIndex, selectedOptionId, selectedOptionIds, answerValue }
+    );
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
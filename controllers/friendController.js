@@ -0,0 +1,104 @@
+const friends = require("../utils/friends");
+
+// Get my friends with online presence (protected)
+exports.getFriends = async (req, res, next) => {
+  try {
+    const list = await friends.listFriends(req.app.get("io"), req.user.id);
+
+    res.json({
+      success: true,
+      count: list.length,
+      data: list,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get my pending friend requests, incoming and outgoing (protected)
+exports.getFriendRequests = async (req, res, next) => {
+  try {
+    const requests = await friends.listFriendRequests(req.user.id);
+
+    res.json({
+      success: true,
+      data: requests,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send a friend request by userId or username (protected)
+exports.sendFriendRequest = async (req, res, next) => {
+  try {
+    const { userId, username } = req.body;
+
+    if (!userId && !username) {
+      return res.status(400).json({
+        success: false,
+        message: "userId or username is required",
+      });
+    }
+
+    const result = await friends.sendFriendRequest(req.app.get("io"), req.user.id, {
+      userId,
+      username,
+    });
+
+    res.status(result.status === "sent" ? 201 : 200).json({
+      success: true,
+      message: result.status === "sent" ? "Friend request sent" : "Friend request accepted",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept a friend request from :userId (protected)
+exports.acceptFriendRequest = async (req, res, next) => {
+  try {
+    const friend = await friends.acceptFriendRequest(
+      req.app.get("io"),
+      req.user.id,
+      req.params.userId
+    );
+
+    res.json({
+      success: true,
+      message: "Friend request accepted",
+      data: friend,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Decline a friend request from :userId (protected)
+exports.declineFriendRequest = async (req, res, next) => {
+  try {
+    await friends.declineFriendRequest(req.user.id, req.params.userId);
+
+    res.json({
+      success: true,
+      message: "Friend request declined",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove :userId from my friends (protected)
+exports.removeFriend = async (req, res, next) => {
+  try {
+    await friends.removeFriend(req.user.id, req.params.userId);
+
+    res.json({
+      success: true,
+      message: "Friend removed",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
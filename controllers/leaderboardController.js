@@ -1,5 +1,7 @@
 
+const mongoose = require("mongoose");
 const User = require("../models/User");
+const Category = require("../models/Category");
 
 // Helper function to reset weekly XP every Monday
 let lastWeeklyReset = null;
@@ -29,7 +31,7 @@ async function resetWeeklyXPIfNeeded() {
 // Get global leaderboard (top 10 all-time)
 exports.getGlobalLeaderboard = async (req, res, next) => {
   try {
-    const leaderboard = await User.find({ isActive: true })
+    const leaderboard = await User.find({ isActive: true, isBot: { $ne: true } })
       .sort({ xp: -1 })
       .limit(10)
       .select("_id username xp rank badges createdAt");
@@ -62,7 +64,7 @@ exports.getWeeklyLeaderboard = async (req, res, next) => {
     // Check if we need to reset weekly XP (Monday reset)
     await resetWeeklyXPIfNeeded();
     
-    const leaderboard = await User.find({ isActive: true })
+    const leaderboard = await User.find({ isActive: true, isBot: { $ne: true } })
       .sort({ weeklyXp: -1 })
       .limit(10)
       .select("_id username weeklyXp xp rank badges");
@@ -93,9 +95,9 @@ exports.getUserRank = async (req, res, next) => {
   try {
     const { userId } = req.params;
 
-    const user = await User.findById(userId).select(
-      "username xp weeklyXp rank badges"
-    );
+    const user = await User.findById(userId)
+      .select("username xp weeklyXp rank badges categoryRatings")
+      .populate("categoryRatings.category", "name");
 
     if (!user) {
       return res.status(404).json({
@@ -116,15 +118,94 @@ exports.getUserRank = async (req, res, next) => {
       isActive: true,
     });
 
+    // Get rank within each rated category
+    const categoryRatings = await Promise.all(
+      user.categoryRatings
+        .filter((entry) => entry.category)
+        .map(async (entry) => {
+          const higherRated = await User.countDocuments({
+            isActive: true,
+            categoryRatings: {
+              $elemMatch: { category: entry.category._id, rating: { $gt: entry.rating } },
+            },
+          });
+
+          return {
+            categoryId: entry.category._id,
+            categoryName: entry.category.name,
+            rating: entry.rating,
+            matchesPlayed: entry.matchesPlayed,
+            wins: entry.wins,
+            losses: entry.losses,
+            draws: entry.draws,
+            categoryRank: higherRated + 1,
+          };
+        })
+    );
+
     res.json({
       success: true,
       data: {
         user,
         globalRank: globalRank + 1,
         weeklyRank: weeklyRank + 1,
+        categoryRatings,
       },
     });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// Get category leaderboard (top 10 by competitive rating)
+exports.getCategoryLeaderboard = async (req, res, next) => {
+  try {
+    const { categoryId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid category ID",
+      });
+    }
+
+    const category = await Category.findById(categoryId).select("name");
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    const leaderboard = await User.aggregate([
+      { $match: { isActive: true, "categoryRatings.category": category._id } },
+      { $unwind: "$categoryRatings" },
+      { $match: { "categoryRatings.category": category._id } },
+      { $sort: { "categoryRatings.rating": -1, "categoryRatings.matchesPlayed": -1 } },
+      { $limit: 10 },
+    ]);
+
+    const formattedLeaderboard = leaderboard.map(user => ({
+      userId: user._id,
+      username: user.username,
+      rating: user.categoryRatings.rating,
+      matchesPlayed: user.categoryRatings.matchesPlayed,
+      wins: user.categoryRatings.wins,
+      losses: user.categoryRatings.losses,
+      draws: user.categoryRatings.draws,
+      xp: user.xp,
+      rank: user.rank,
+    }));
+
+    res.json({
+      success: true,
+      type: "category",
+      categoryId: category._id,
+      categoryName: category.name,
+      count: formattedLeaderboard.length,
+      data: formattedLeaderboard,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
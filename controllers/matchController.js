@@ -1,6 +1,11 @@
 
+const mongoose = require("mongoose");
 const Match = require("../models/Match");
 const User = require("../models/User");
+const { PUBLIC_QUESTION_FIELDS } = require("../utils/questionProjection");
+const { ANSWER_KEY_FIELDS, typeOf, hasAnswer, correctAnswerOf } = require("../utils/questionGrading");
+const { listOpenMatches } = require("../utils/lobby");
+const { reportQuestion } = require("../utils/questionReports");
 
 // Get match history (protected)
 exports.getMatchHistory = async (req, res, next) => {
@@ -26,6 +31,22 @@ exports.getMatchHistory = async (req, res, next) => {
   }
 };
 
+// Get open public matches waiting for players, optionally ?categoryId=&mode= (protected)
+exports.getLobby = async (req, res, next) => {
+  try {
+    const { categoryId, mode } = req.query;
+    const matches = await listOpenMatches({ categoryId, mode });
+
+    res.json({
+      success: true,
+      count: matches.length,
+      data: matches,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Get specific match details (protected)
 exports.getMatchDetails = async (req, res, next) => {
   try {
@@ -34,8 +55,7 @@ exports.getMatchDetails = async (req, res, next) => {
 
     const match = await Match.findById(matchId)
       .populate("category", "name")
-      .populate("players.user", "username xp rank")
-      .populate("questions", "text options correctOptionId difficulty");
+      .populate("players.user", "username xp rank");
 
     if (!match) {
       return res.status(404).json({
@@ -44,6 +64,13 @@ exports.getMatchDetails = async (req, res, next) => {
       });
     }
 
+    // Answers are only revealed once the match is over
+    const revealAnswers = match.state === "finished" || req.user.isAdmin;
+    await match.populate(
+      "questions",
+      revealAnswers ? `${PUBLIC_QUESTION_FIELDS} ${ANSWER_KEY_FIELDS} explanation` : PUBLIC_QUESTION_FIELDS
+    );
+
     // Check if user is part of this match
     const isParticipant = match.players.some(
       (p) => p.user._id.toString() === userId
@@ -56,9 +83,166 @@ exports.getMatchDetails = async (req, res, next) => {
       });
     }
 
+    // Hide in-progress answers: an opponent's correct pick gives the answer away
+    const data = match.toObject();
+    if (!revealAnswers) {
+      data.players.forEach((p) => {
+        p.answers = [];
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Rebuild a finished match question by question, with running scores
+const buildReplayTimeline = (match) => {
+  const teamOf = (userId) =>
+    (match.teams || []).find((t) => t.members.some((m) => m.toString() === userId));
+  const players = match.players.map((p) => {
+    const userId = p.user ? p.user._id.toString() : null;
+    const team = userId ? teamOf(userId) : null;
+    return {
+      userId,
+      username: p.user ? p.user.username : "Deleted user",
+      teamId: team ? team.teamId : null,
+      answers: new Map(p.answers.map((a) => [a.questionIndex, a])),
+    };
+  });
+  const runningScores = Object.fromEntries(players.map((p) => [p.userId, 0]));
+
+  const timeline = match.questions.map((question, questionIndex) => {
+    const options = question ? question.options : [];
+    const optionText = (id) => options.find((opt) => opt.id === id)?.text ?? null;
+
+    const answers = players.map((player) => {
+      const answer = player.answers.get(questionIndex);
+      const pointsAwarded = answer ? answer.pointsAwarded || 0 : 0;
+      runningScores[player.userId] += pointsAwarded;
+
+      return {
+        userId: player.userId,
+        username: player.username,
+        teamId: player.teamId,
+        answered: Boolean(answer && hasAnswer(question || {}, answer)),
+        selectedOptionId: answer ? answer.selectedOptionId ?? null : null,
+        selectedOptionIds: answer?.selectedOptionIds?.length ? answer.selectedOptionIds : null,
+        answerValue: answer ? answer.answerValue ?? null : null,
+        selectedOptionText: answer ? optionText(answer.selectedOptionId) : null,
+        isCorrect: Boolean(answer && answer.isCorrect),
+        credit: answer ? answer.credit ?? (answer.isCorrect ? 1 : 0) : 0,
+        timeSpent: answer ? answer.timeSpent : null,
+        pointsAwarded,
+        runningScore: runningScores[player.userId],
+      };
+    });
+
+    return {
+      questionIndex,
+      questionNumber: questionIndex + 1,
+      question: question
+        ? {
+            _id: question._id,
+            text: question.text,
+            type: typeOf(question),
+            codeSnippet: question.codeSnippet?.code ? question.codeSnippet : null,
+            options: question.options.map((opt) => ({ id: opt.id, text: opt.text })),
+            correctOptionId: question.correctOptionId ?? null,
+            correctOptionText: correctAnswerOf(question).text,
+            correctAnswer: correctAnswerOf(question),
+            explanation: question.explanation || "",
+            difficulty: question.difficulty,
+          }
+        : null, // Question deleted since the match
+      answers,
+      runningScores: { ...runningScores },
+    };
+  });
+
+  return {
+    players: players.map(({ userId, username, teamId }) => ({ userId, username, teamId })),
+    timeline,
+  };
+};
+
+// Get a question-by-question replay of a finished match (participants and admins)
+exports.getMatchReplay = async (req, res, next) => {
+  try {
+    const { matchId } = req.params;
+    const userId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(matchId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Match not found",
+      });
+    }
+
+    const match = await Match.findById(matchId)
+      .populate("category", "name")
+      .populate("players.user", "username")
+      .populate({
+        path: "questions",
+        select: `text type codeSnippet options ${ANSWER_KEY_FIELDS} explanation difficulty`,
+        // Keep deleted questions as null so indexes still line up with answers
+        options: { retainNullValues: true },
+      });
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: "Match not found",
+      });
+    }
+
+    const isParticipant = match.players.some(
+      (p) => p.user && p.user._id.toString() === userId
+    );
+    if (!isParticipant && !req.user.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to view this match",
+      });
+    }
+
+    // The replay gives every answer away
+    if (match.state !== "finished" && !req.user.isAdmin) {
+      return res.status(409).json({
+        success: false,
+        message: "The replay is available once the match is over",
+      });
+    }
+
+    const { players, timeline } = buildReplayTimeline(match);
+
     res.json({
       success: true,
-      data: match,
+      data: {
+        matchId: match._id,
+        mode: match.mode,
+        category: match.category,
+        state: match.state,
+        startedAt: match.startedAt,
+        finishedAt: match.finishedAt,
+        endReason: match.endReason,
+        winnerId: match.winnerId,
+        isDraw: match.isDraw,
+        teams: match.teams.map(({ teamId, name, score, place, isWinner }) => ({
+          teamId,
+          name,
+          score,
+          place,
+          isWinner,
+        })),
+        placements: match.placements,
+        players,
+        timeline,
+      },
     });
   } catch (error) {
     next(error);
@@ -70,9 +254,9 @@ exports.getMatchStats = async (req, res, next) => {
   try {
     const { userId } = req.params;
 
-    const user = await User.findById(userId).select(
-      "username xp weeklyXp rank badges"
-    );
+    const user = await User.findById(userId)
+      .select("username xp weeklyXp rank badges categoryRatings")
+      .populate("categoryRatings.category", "name");
 
     if (!user) {
       return res.status(404).json({
@@ -87,9 +271,22 @@ exports.getMatchStats = async (req, res, next) => {
       state: "finished",
     });
 
-    // Get wins
+    // Get wins (including team wins, except for members who forfeited)
     const wins = await Match.countDocuments({
-      winnerId: userId,
+      $or: [
+        { winnerId: userId },
+        {
+          teams: { $elemMatch: { isWinner: true, members: userId } },
+          placements: { $not: { $elemMatch: { userId, forfeited: true } } },
+        },
+      ],
+      state: "finished",
+    });
+
+    // Get draws
+    const draws = await Match.countDocuments({
+      "players.user": userId,
+      isDraw: true,
       state: "finished",
     });
 
@@ -129,9 +326,21 @@ exports.getMatchStats = async (req, res, next) => {
           rank: user.rank,
           badges: user.badges,
         },
+        ratings: user.categoryRatings
+          .filter((entry) => entry.category)
+          .map((entry) => ({
+            categoryId: entry.category._id,
+            categoryName: entry.category.name,
+            rating: entry.rating,
+            matchesPlayed: entry.matchesPlayed,
+            wins: entry.wins,
+            losses: entry.losses,
+            draws: entry.draws,
+          })),
         stats: {
           totalMatches,
           wins,
+          draws,
           winRate: totalMatches > 0 ? ((wins / totalMatches) * 100).toFixed(2) + "%" : "0%",
           totalXPEarned: totalXPFromMatches,
         },
@@ -141,3 +350,21 @@ exports.getMatchStats = async (req, res, next) => {
     next(error);
   }
 };
+
+// Report a bad question from match history
+exports.reportMatchQuestion = async (req, res, next) => {
+  try {
+    const { matchId, questionId } = req.params;
+    const { reason, comment } = req.body || {};
+
+    const report = await reportQuestion(req.user.id, { matchId, questionId, reason, comment });
+
+    res.status(201).json({
+      success: true,
+      message: "Thanks, the question has been reported for review",
+      data: { reportId: report.reportId, questionId: report.questionId, reason: report.reason },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,100 @@
+const practice = require("../utils/practice");
+
+// Start a practice session: categoryId, optional difficulty and numberOfQuestions (protected)
+exports.startPractice = async (req, res, next) => {
+  try {
+    const { categoryId, difficulty, numberOfQuestions } = req.body;
+
+    const result = await practice.startPractice({
+      userId: req.user.id,
+      categoryId,
+      difficulty,
+      numberOfQuestions,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get my practice sessions (protected)
+exports.getMyPractice = async (req, res, next) => {
+  try {
+    const sessions = await practice.listPractice(req.user.id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get my practice accuracy overall, per category and per question (protected)
+exports.getPracticeStats = async (req, res, next) => {
+  try {
+    const stats = await practice.getPracticeStats(req.user.id);
+
+    res.json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get one practice session (protected)
+exports.getPractice = async (req, res, next) => {
+  try {
+    const session = await practice.getPractice(req.params.sessionId, req.user.id);
+
+    res.json({
+      success: true,
+      data: session,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Answer the current question: instant feedback with the explanation (protected)
+exports.answerPractice = async (req, res, next) => {
+  try {
+    const { questionIndex, selectedOptionId, selectedOptionIds, answerValue } = req.body;
+
+    const feedback = await practice.answerPractice(req.params.sessionId, req.user.id, {
+      questionIndex,
+      selectedOptionId,
+      selectedOptionIds,
+      answerValue,
+    });
+
+    res.json({
+      success: true,
+      data: feedback,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// End a practice session early (protected)
+exports.finishPractice = async (req, res, next) => {
+  try {
+    const summary = await practice.finishPractice(req.params.sessionId, req.user.id);
+
+    res.json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,29 @@
 
 const Question = require("../models/Question");
+const QuestionView = require("../models/QuestionView");
+const User = require("../models/User");
+const Category = require("../models/Category");
 const mongoose = require("mongoose");
+const { importSeedFiles } = require("../utils/seedImporter");
+const { PUBLIC_QUESTION_FIELDS } = require("../utils/questionProjection");
+const { PLAYABLE_QUESTION_FILTER } = require("../utils/questionSelection");
+const { listReportedQuestions, resolveReports } = require("../utils/questionReports");
+const { rescoreQuestion, listRescoreAudits } = require("../utils/rescoring");
+const { importQuestions, exportQuestions } = require("../utils/questionTransfer");
+const {
+  submitQuestion,
+  editQuestion,
+  reviewQuestion,
+  removeQuestion,
+  listReviewQueue,
+  listSubmissions,
+  getQuestionHistory,
+} = require("../utils/questionReview");
+const {
+  CALIBRATION_MIN_ANSWERS,
+  summarizeQuestionStats,
+  calibrateQuestions,
+} = require("../utils/questionStats");
 
 // Get all questions (admin only)
 exports.getAllQuestions = async (req, res, next) => {
@@ -26,7 +49,7 @@ exports.getQuestionsByCategory = async (req, res, next) => {
       category: categoryId,
       isApproved: true,
       isActive: true,
-    });
+    }).select(PUBLIC_QUESTION_FIELDS);
 
     res.json({
       success: true,
@@ -56,10 +79,12 @@ exports.getRandomQuestions = async (req, res, next) => {
       {
         $project: {
           text: 1,
+          type: 1,
+          codeSnippet: 1,
           options: 1,
-          correctOptionId: 1,
           difficulty: 1,
           category: 1,
+          tags: 1,
         },
       },
     ]);
@@ -81,10 +106,12 @@ exports.getRandomQuestions = async (req, res, next) => {
   }
 };
 
-// Get single question
+// Get single question (answer fields only for admins)
 exports.getQuestionById = async (req, res, next) => {
   try {
-    const question = await Question.findById(req.params.id);
+    const isAdminView = Boolean(req.user && req.user.isAdmin);
+    const query = Question.findById(req.params.id);
+    const question = await (isAdminView ? query : query.select(PUBLIC_QUESTION_FIELDS));
 
     if (!question) {
       return res.status(404).json({
@@ -102,13 +129,12 @@ exports.getQuestionById = async (req, res, next) => {
   }
 };
 
-// Create question (admin only)
+const authorOf = (req) => ({ userId: req.user.id, isAdmin: req.user.isAdmin });
+
+// Create question (admin only, approved right away)
 exports.createQuestion = async (req, res, next) => {
   try {
-    const question = await Question.create({
-      ...req.body,
-      createdBy: req.user.id,
-    });
+    const question = await submitQuestion(authorOf(req), req.body);
 
     res.status(201).json({
       success: true,
@@ -120,21 +146,10 @@ exports.createQuestion = async (req, res, next) => {
   }
 };
 
-// Update question (admin only)
+// Update question (admin only); approval changes go through approve/reject
 exports.updateQuestion = async (req, res, next) => {
   try {
-    const question = await Question.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
-
-    if (!question) {
-      return res.status(404).json({
-        success: false,
-        message: "Question not found",
-      });
-    }
+    const question = await editQuestion(req.params.id, authorOf(req), req.body);
 
     res.json({
       success: true,
@@ -149,20 +164,467 @@ exports.updateQuestion = async (req, res, next) => {
 // Delete question (admin only)
 exports.deleteQuestion = async (req, res, next) => {
   try {
-    const question = await Question.findByIdAndDelete(req.params.id);
+    await removeQuestion(req.params.id);
 
-    if (!question) {
+    res.json({
+      success: true,
+      message: "Question deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+// Import seed question banks from data/*.json (admin only)
+exports.importSeedQuestions = async (req, res, next) => {
+  try {
+    const { files } = req.body || {};
+
+    if (files !== undefined && !Array.isArray(files)) {
+      return res.status(400).json({
+        success: false,
+        message: "files must be an array of seed file names",
+      });
+    }
+
+    const result = await importSeedFiles({ files, createdBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: `Imported ${result.totals.inserted} questions (${result.totals.skipped} skipped, ${result.totals.invalid} invalid)`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Question coverage of a user: how much of each playable category they have been served (admin only)
+exports.getQuestionCoverage = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { categoryId } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID",
+      });
+    }
+    if (categoryId && !mongoose.Types.ObjectId.isValid(categoryId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid category ID",
+      });
+    }
+
+    const user = await User.findById(userId).select("username");
+    if (!user) {
       return res.status(404).json({
         success: false,
-        message: "Question not found",
+        message: "User not found",
       });
     }
 
+    const categoryFilter = categoryId ? { category: new mongoose.Types.ObjectId(categoryId) } : {};
+
+    // Playable questions per category and difficulty
+    const totals = await Question.aggregate([
+      { $match: { ...categoryFilter, ...PLAYABLE_QUESTION_FILTER } },
+      { $group: { _id: { category: "$category", difficulty: "$difficulty" }, count: { $sum: 1 } } },
+    ]);
+
+    // Questions served to the user that are still playable
+    const served = await QuestionView.aggregate([
+      { $match: { ...categoryFilter, user: user._id } },
+      {
+        $lookup: {
+          from: Question.collection.name,
+          localField: "question",
+          foreignField: "_id",
+          as: "question",
+        },
+      },
+      { $unwind: "$question" },
+      { $match: { "question.isApproved": true, "question.isActive": { $ne: false } } },
+      {
+        $group: {
+          _id: { category: "$category", difficulty: "$question.difficulty" },
+          seen: { $sum: 1 },
+          timesServed: { $sum: "$timesServed" },
+          lastServedAt: { $max: "$lastServedAt" },
+        },
+      },
+    ]);
+
+    const byCategory = new Map();
+    const entryFor = (category) => {
+      const key = category.toString();
+      if (!byCategory.has(key)) {
+        byCategory.set(key, {
+          categoryId: category,
+          totalQuestions: 0,
+          seenQuestions: 0,
+          timesServed: 0,
+          lastServedAt: null,
+          byDifficulty: {},
+        });
+      }
+      return byCategory.get(key);
+    };
+    const difficultyFor = (entry, difficulty) => {
+      entry.byDifficulty[difficulty] = entry.byDifficulty[difficulty] || { totalQuestions: 0, seenQuestions: 0 };
+      return entry.byDifficulty[difficulty];
+    };
+
+    totals.forEach(({ _id, count }) => {
+      const entry = entryFor(_id.category);
+      entry.totalQuestions += count;
+      difficultyFor(entry, _id.difficulty).totalQuestions += count;
+    });
+    served.forEach(({ _id, seen, timesServed, lastServedAt }) => {
+      const entry = entryFor(_id.category);
+      entry.seenQuestions += seen;
+      entry.timesServed += timesServed;
+      if (!entry.lastServedAt || lastServedAt > entry.lastServedAt) {
+        entry.lastServedAt = lastServedAt;
+      }
+      difficultyFor(entry, _id.difficulty).seenQuestions += seen;
+    });
+
+    const categories = await Category.find({ _id: { $in: [...byCategory.values()].map((e) => e.categoryId) } })
+      .select("name");
+    const names = new Map(categories.map((c) => [c._id.toString(), c.name]));
+
+    const coverage = [...byCategory.values()]
+      .map((entry) => ({
+        ...entry,
+        categoryName: names.get(entry.categoryId.toString()) || null,
+        coveragePercent: entry.totalQuestions > 0
+          ? Math.round((entry.seenQuestions / entry.totalQuestions) * 100)
+          : 0,
+        unseenQuestions: Math.max(entry.totalQuestions - entry.seenQuestions, 0),
+      }))
+      .sort((a, b) => b.coveragePercent - a.coveragePercent);
+
     res.json({
       success: true,
-      message: "Question deleted successfully",
+      data: {
+        userId: user._id,
+        username: user.username,
+        categories: coverage,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Answer statistics per question, optionally only flagged ones (admin only)
+exports.getQuestionStats = async (req, res, next) => {
+  try {
+    const { categoryId, flagged } = req.query;
+    const query = {};
+
+    if (categoryId) {
+      if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid category ID",
+        });
+      }
+      query.category = categoryId;
+    }
+    if (flagged === "true") {
+      query["calibration.flags.0"] = { $exists: true };
+    }
+
+    const questions = await Question.find(query)
+      .select("text type options correctOptionId correctOptionIds difficulty category timesAsked correctAnswers totalAnswerTime timedAnswers optionPicks calibration")
+      .populate("category", "name")
+      .sort({ timesAsked: -1 });
+
+    res.json({
+      success: true,
+      count: questions.length,
+      data: questions.map((question) => ({
+        questionId: question._id,
+        text: question.text,
+        category: question.category,
+        difficulty: question.difficulty,
+        ...summarizeQuestionStats(question),
+        calibration: question.calibration,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Re-label difficulty from answer statistics and flag odd questions (admin only)
+exports.calibrateQuestions = async (req, res, next) => {
+  try {
+    const { categoryId, dryRun } = req.body || {};
+
+    if (categoryId && !mongoose.Types.ObjectId.isValid(categoryId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid category ID",
+      });
+    }
+
+    const result = await calibrateQuestions({ categoryId, dryRun: dryRun === true });
+
+    res.json({
+      success: true,
+      message: result.dryRun
+        ? `Dry run: ${result.relabeled.length} questions would be relabeled`
+        : `${result.relabeled.length} questions relabeled, ${result.flagged.length} flagged`,
+      data: { ...result, minAnswers: CALIBRATION_MIN_ANSWERS },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Submit a question for review (contributors; admin submissions are approved right away)
+exports.submitQuestion = async (req, res, next) => {
+  try {
+    const question = await submitQuestion(authorOf(req), req.body);
+
+    res.status(201).json({
+      success: true,
+      message: question.isApproved ? "Question created successfully" : "Question submitted for review",
+      data: question,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Own submissions with their review status (contributors)
+exports.getMySubmissions = async (req, res, next) => {
+  try {
+    const questions = await listSubmissions(req.user.id, req.query.status);
+
+    res.json({
+      success: true,
+      count: questions.length,
+      data: questions,
     });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// Edit an own submission before approval (contributors)
+exports.updateSubmission = async (req, res, next) => {
+  try {
+    const question = await editQuestion(req.params.id, authorOf(req), req.body);
+
+    res.json({
+      success: true,
+      message: question.reviewStatus === "pending" ? "Submission updated and awaiting review" : "Submission updated",
+      data: question,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Questions waiting for review (admin only)
+exports.getReviewQueue = async (req, res, next) => {
+  try {
+    const questions = await listReviewQueue({
+      categoryId: req.query.categoryId,
+      status: req.query.status || "pending",
+    });
+
+    res.json({
+      success: true,
+      count: questions.length,
+      data: questions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve a question for matches (admin only)
+exports.approveQuestion = async (req, res, next) => {
+  try {
+    const question = await reviewQuestion(req.params.id, req.user.id, {
+      approve: true,
+      reason: req.body?.reason,
+    });
+
+    res.json({
+      success: true,
+      message: "Question approved",
+      data: question,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reject a question with a reason (admin only)
+exports.rejectQuestion = async (req, res, next) => {
+  try {
+    const question = await reviewQuestion(req.params.id, req.user.id, {
+      approve: false,
+      reason: req.body?.reason,
+    });
+
+    res.json({
+      success: true,
+      message: "Question rejected",
+      data: question,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Edit and review history (admins, or the question's author)
+exports.getQuestionHistory = async (req, res, next) => {
+  try {
+    const history = await getQuestionHistory(req.params.id, authorOf(req));
+
+    res.json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Questions players reported, grouped for triage (admin only)
+exports.getReportedQuestions = async (req, res, next) => {
+  try {
+    const reported = await listReportedQuestions({
+      status: req.query.status || "open",
+      categoryId: req.query.categoryId,
+    });
+
+    res.json({
+      success: true,
+      count: reported.length,
+      data: reported,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Resolve or dismiss a question's open reports, optionally fixing its answer (admin only)
+exports.resolveQuestionReports = async (req, res, next) => {
+  try {
+    const result = await resolveReports(req.params.id, req.user.id, req.body || {});
+
+    res.json({
+      success: true,
+      message: result.corrected
+        ? `Answer corrected and ${result.affectedMatches.length} matches rescored${
+            result.rescoreNeeded.length > 0 ? `; rescore again once ${result.rescoreNeeded.length} matches in play finish` : ""
+          }`
+        : `${result.closedReports} reports closed`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Rescore finished matches after a question's answer was corrected (admin only)
+exports.rescoreQuestion = async (req, res, next) => {
+  try {
+    const { dryRun, reason } = req.body || {};
+    const result = await rescoreQuestion(req.params.id, req.user.id, { dryRun: dryRun === true, reason });
+
+    res.json({
+      success: true,
+      message: `${result.dryRun ? "Dry run: " : ""}${result.matches.length} of ${result.matchesExamined} matches ${
+        result.dryRun ? "would change" : "rescored"
+      }, ${result.users.length} players affected`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Past rescoring runs of a question (admin only)
+exports.getRescoreAudits = async (req, res, next) => {
+  try {
+    const audits = await listRescoreAudits(req.params.id);
+
+    res.json({
+      success: true,
+      count: audits.length,
+      data: audits,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Bulk import questions from CSV or JSON (admin only)
+// Send text/csv with ?format=csv&mode=, a JSON array, or { format, data | questions, mode, categoryId }
+exports.importQuestions = async (req, res, next) => {
+  try {
+    const body = req.body;
+    let upload;
+
+    if (typeof body === "string") {
+      upload = { ...req.query, format: req.query.format || (req.is("text/csv") ? "csv" : "json"), content: body };
+    } else if (Array.isArray(body)) {
+      upload = { ...req.query, format: "json", content: body };
+    } else {
+      const { data, questions, ...options } = body || {};
+      upload = { format: "json", ...req.query, ...options, content: data ?? questions };
+    }
+
+    const result = await importQuestions(req.user.id, {
+      format: upload.format,
+      content: upload.content,
+      mode: upload.mode,
+      categoryId: upload.categoryId || upload.category,
+    });
+
+    if (result.mode === "atomic" && result.invalid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing imported: ${result.invalid} invalid rows`,
+        data: result,
+      });
+    }
+
+    res.status(result.imported > 0 ? 201 : 200).json({
+      success: true,
+      message: `Imported ${result.imported} questions (${result.skipped} skipped, ${result.invalid} invalid)`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Export questions in the import format (admin only)
+exports.exportQuestions = async (req, res, next) => {
+  try {
+    const { category, format, includeUnplayable } = req.query;
+    const file = await exportQuestions({
+      category,
+      format: format || "json",
+      includeUnplayable: includeUnplayable === "true",
+    });
+
+    res.set("Content-Type", file.contentType);
+    res.set("X-Total-Count", String(file.count));
+    res.attachment(file.filename);
+    res.send(file.body);
+  } catch (error) {
+    next(error);
+  }
+};
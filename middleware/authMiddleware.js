@@ -18,7 +18,7 @@ const authMiddleware = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
     // Fetch user from database to get latest data including isAdmin
-    const user = await User.findById(decoded.id).select("_id username email isAdmin");
+    const user = await User.findById(decoded.id).select("_id username email isAdmin isContributor");
     
     if (!user) {
       return res.status(401).json({
@@ -35,6 +35,7 @@ const authMiddleware = async (req, res, next) => {
       username: user.username,
       email: user.email,
       isAdmin: user.isAdmin || false,
+      isContributor: user.isContributor || false,
     };
     
     next();
@@ -0,0 +1,30 @@
+
+// Contributors and admins may submit questions for review
+const contributorMiddleware = (req, res, next) => {
+  try {
+    // Check if user is authenticated (authMiddleware should run first)
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+      });
+    }
+
+    if (!req.user.isContributor && !req.user.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: "Contributor access required",
+      });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Authorization check failed",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = contributorMiddleware;
@@ -1,3 +1,5 @@
+const { typeValidationError } = require("../utils/questionGrading");
+
 
 const validateEmail = (req, res, next) => {
   const emailRegex = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
@@ -48,54 +50,40 @@ const validatePassword = (req, res, next) => {
   next();
 };
 
-const validateQuestion = (req, res, next) => {
-  const { text, options, correctOptionId, difficulty } = req.body;
+/**
+ * Check question fields against the question rules
+ * Shared by validateQuestion and bulk imports, which report errors per row
+ * @param {object} data - { text, type, options, correctOptionId, correctOptionIds, numericAnswer, acceptedAnswers, codeSnippet, difficulty }
+ * @returns {string|null} The first problem found, or null when valid
+ */
+const questionValidationError = (data) => {
+  const { text, difficulty } = data || {};
 
   // Validate text
   if (!text || text.length < 10) {
-    return res.status(400).json({
-      success: false,
-      message: "Question text is required and must be at least 10 characters",
-    });
+    return "Question text is required and must be at least 10 characters";
   }
 
-  // Validate options
-  if (!Array.isArray(options) || options.length !== 4) {
-    return res.status(400).json({
-      success: false,
-      message: "Question must have exactly 4 options",
-    });
+  // Validate options and answer for the question type
+  const typeError = typeValidationError(data);
+  if (typeError) {
+    return typeError;
   }
 
-  // Validate each option has id and text
-  for (let i = 0; i < options.length; i++) {
-    if (!options[i].id || !options[i].text) {
-      return res.status(400).json({
-        success: false,
-        message: "Each option must have id (1-4) and text",
-      });
-    }
-    if (options[i].id < 1 || options[i].id > 4) {
-      return res.status(400).json({
-        success: false,
-        message: "Option ids must be 1-4",
-      });
-    }
+  // Validate difficulty
+  if (difficulty && !["easy", "medium", "hard"].includes(difficulty)) {
+    return "Difficulty must be easy, medium, or hard";
   }
 
-  // Validate correctOptionId
-  if (!correctOptionId || correctOptionId < 1 || correctOptionId > 4) {
-    return res.status(400).json({
-      success: false,
-      message: "Correct option ID must be between 1-4",
-    });
-  }
+  return null;
+};
 
-  // Validate difficulty
-  if (difficulty && !["easy", "medium", "hard"].includes(difficulty)) {
+const validateQuestion = (req, res, next) => {
+  const message = questionValidationError(req.body);
+  if (message) {
     return res.status(400).json({
       success: false,
-      message: "Difficulty must be easy, medium, or hard",
+      message,
     });
   }
 
@@ -126,6 +114,7 @@ module.exports = {
   validateEmail,
   validateUsername,
   validatePassword,
+  questionValidationError,
   validateQuestion,
   validateCategory,
 };
\ No newline at end of file
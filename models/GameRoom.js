@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// Snapshot of a live socket game room, so matches survive a server restart
+const gameRoomSchema = new mongoose.Schema(
+  {
+    matchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Match",
+      required: true,
+      unique: true,
+    },
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Server instance running this room's timers, and until when
+    ownerId: {
+      type: String,
+      default: null,
+    },
+    leaseExpiresAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+module.exports = mongoose.model("GameRoom", gameRoomSchema);
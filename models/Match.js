@@ -21,11 +21,29 @@ const matchSchema = new mongoose.Schema(
         answers: [
           {
             questionId: mongoose.Schema.Types.ObjectId,
+            questionIndex: Number,
             selectedOptionId: Number,
+            selectedOptionIds: [Number], // Multi-select questions
+            answerValue: mongoose.Schema.Types.Mixed, // Numeric and code output questions
             isCorrect: Boolean,
-            timeSpent: Number, // seconds
+            credit: Number, // 0-1, partial for multi-select
+            timeSpent: Number, // seconds, measured by the server
+            pointsAwarded: Number,
           },
         ],
+        isBot: {
+          type: Boolean,
+          default: false,
+        },
+        // Challenge mode: when the current question was served, and when this player finished
+        questionServedAt: {
+          type: Date,
+          default: null,
+        },
+        finishedAt: {
+          type: Date,
+          default: null,
+        },
       },
     ],
     category: {
@@ -58,8 +76,23 @@ const matchSchema = new mongoose.Schema(
         },
         score: Number,
         xpEarned: Number,
+        ratingBefore: Number,
+        ratingChange: Number,
       },
     ],
+    forfeitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    isDraw: {
+      type: Boolean,
+      default: false,
+    },
+    isRated: {
+      type: Boolean,
+      default: false,
+    },
     startedAt: {
       type: Date,
       default: Date.now,
@@ -68,14 +101,129 @@ const matchSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    endReason: {
+      type: String,
+      default: null,
+    },
     duration: {
       type: Number, // in seconds
       default: null,
     },
+    // Private matches are left out of the lobby and joined by code or invite
     isPublic: {
       type: Boolean,
       default: true,
     },
+    questionTimeLimit: {
+      type: Number, // seconds per question
+      default: 30,
+    },
+    // A bot filled the room: unrated, reduced XP
+    hasBot: {
+      type: Boolean,
+      default: false,
+    },
+    botSkill: {
+      type: String,
+      default: null,
+    },
+    mode: {
+      type: String,
+      enum: ["duel", "battle-royale", "team", "challenge"],
+      default: "duel",
+    },
+    maxPlayers: {
+      type: Number,
+      default: 2,
+    },
+    // Battle royale: the player who starts the match
+    host: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    elimination: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      perRound: {
+        type: Number,
+        default: 1,
+      },
+    },
+    // Team mode: two sides of teamSize players
+    teamSize: {
+      type: Number,
+      default: null,
+    },
+    teamScoring: {
+      type: String,
+      enum: ["sum", "average"],
+      default: "sum",
+    },
+    teams: [
+      {
+        teamId: String,
+        name: String,
+        members: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        ],
+        score: {
+          type: Number,
+          default: 0,
+        },
+        place: Number,
+        isWinner: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+    // Challenge mode: the challenger plays first, then the opponent before the deadline
+    challenge: {
+      challenger: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      opponent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      questionTimeLimit: {
+        type: Number,
+        default: null,
+      },
+      deadline: {
+        type: Date,
+        default: null,
+        index: true,
+      },
+    },
+    // Final finishing order (shared places on ties)
+    placements: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        place: Number,
+        score: Number,
+        eliminatedAtQuestion: {
+          type: Number,
+          default: null,
+        },
+        forfeited: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
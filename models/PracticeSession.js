@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// Solo practice against the question bank - kept apart from ranked Matches
+const practiceSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      required: true,
+    },
+    // null: questions of any difficulty
+    difficulty: {
+      type: String,
+      enum: ["easy", "medium", "hard", null],
+      default: null,
+    },
+    questions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Question",
+      },
+    ],
+    answers: [
+      {
+        questionId: mongoose.Schema.Types.ObjectId,
+        questionIndex: Number,
+        selectedOptionId: Number,
+        selectedOptionIds: [Number], // Multi-select questions
+        answerValue: mongoose.Schema.Types.Mixed, // Numeric and code output questions
+        isCorrect: Boolean,
+        credit: Number, // 0-1, partial for multi-select
+        timeSpent: Number, // seconds, measured by the server
+        xpAwarded: Number,
+      },
+    ],
+    // When the current question was served
+    questionServedAt: {
+      type: Date,
+      default: null,
+    },
+    state: {
+      type: String,
+      enum: ["active", "finished"],
+      default: "active",
+    },
+    correctCount: {
+      type: Number,
+      default: 0,
+    },
+    xpEarned: {
+      type: Number,
+      default: 0,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("PracticeSession", practiceSessionSchema);
@@ -1,5 +1,11 @@
 
 const mongoose = require("mongoose");
+const { QUESTION_TYPES, MAX_OPTIONS, TRUE_FALSE_OPTIONS } = require("../utils/questionGrading");
+
+// Types answered by picking one option
+const needsCorrectOption = function () {
+  return ["single-choice", "true-false"].includes(this.type);
+};
 
 const questionSchema = new mongoose.Schema(
   {
@@ -15,12 +21,30 @@ const questionSchema = new mongoose.Schema(
       required: [true, "Category is required"],
       index: true, // ✅ Single index definition
     },
+    // single-choice, true-false, multi-select, numeric or code-output (see utils/questionGrading)
+    type: {
+      type: String,
+      enum: QUESTION_TYPES,
+      default: "single-choice",
+    },
+    // Code shown with the question, e.g. for "what does this print"
+    codeSnippet: {
+      language: {
+        type: String,
+        maxlength: 30,
+      },
+      code: {
+        type: String,
+        maxlength: 2000,
+      },
+    },
     options: [
       {
         id: {
           type: Number,
           required: true,
-          enum: [1, 2, 3, 4],
+          min: 1,
+          max: MAX_OPTIONS,
         },
         text: {
           type: String,
@@ -31,8 +55,27 @@ const questionSchema = new mongoose.Schema(
     ],
     correctOptionId: {
       type: Number,
-      required: [true, "Correct option is required"],
-      enum: [1, 2, 3, 4],
+      required: [needsCorrectOption, "Correct option is required"],
+      min: 1,
+      max: MAX_OPTIONS,
+    },
+    // multi-select: every correct option
+    correctOptionIds: {
+      type: [Number],
+      default: undefined,
+    },
+    // numeric: answers within tolerance of value are correct
+    numericAnswer: {
+      value: Number,
+      tolerance: {
+        type: Number,
+        min: 0,
+      },
+    },
+    // code-output: accepted printed outputs
+    acceptedAnswers: {
+      type: [String],
+      default: undefined,
     },
     difficulty: {
       type: String,
@@ -48,10 +91,60 @@ const questionSchema = new mongoose.Schema(
       type: [String],
       default: [],
     },
+    // Only approved questions are played; contributor submissions wait for review
     isApproved: {
       type: Boolean,
       default: false,
     },
+    // Questions from before moderation have no status; they load as their isApproved says
+    reviewStatus: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: function () {
+        return this.isApproved ? "approved" : "pending";
+      },
+      index: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectionReason: {
+      type: String,
+      maxlength: 500,
+      default: null,
+    },
+    // Edit and review history, oldest first; changes hold the previous values
+    history: [
+      {
+        action: {
+          type: String,
+          enum: ["submitted", "created", "edited", "approved", "rejected", "deactivated", "reactivated", "corrected"],
+          required: true,
+        },
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        reason: {
+          type: String,
+          default: null,
+        },
+        changes: {
+          type: mongoose.Schema.Types.Mixed,
+          default: null,
+        },
+      },
+    ],
     isActive: {
       type: Boolean,
       default: true,
@@ -71,6 +164,42 @@ const questionSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Answer statistics from matches (bots excluded); unanswered questions count as asked
+    totalAnswerTime: {
+      type: Number, // seconds, summed over answered attempts
+      default: 0,
+      min: 0,
+    },
+    timedAnswers: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    optionPicks: {
+      type: Map, // option id -> times picked
+      of: Number,
+      default: {},
+    },
+    // Last difficulty calibration from the observed correct rate
+    calibration: {
+      correctRate: {
+        type: Number,
+        default: null,
+      },
+      previousDifficulty: {
+        type: String,
+        default: null,
+      },
+      flags: {
+        type: [String],
+        default: [],
+        index: true,
+      },
+      calibratedAt: {
+        type: Date,
+        default: null,
+      },
+    },
     difficulty: {
       type: String,
       enum: ["easy", "medium", "hard"],
@@ -82,6 +211,13 @@ const questionSchema = new mongoose.Schema(
   }
 );
 
+// True/false questions get True/False options unless they bring their own
+questionSchema.pre("validate", function () {
+  if (this.type === "true-false" && this.options.length === 0) {
+    this.options = TRUE_FALSE_OPTIONS;
+  }
+});
+
 // ✅ NO DUPLICATE INDEXES - Removed manual index definitions
 
 module.exports = mongoose.model("Question", questionSchema);
\ No newline at end of file
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// A player's report of a bad question; one per player and question
+const questionReportSchema = new mongoose.Schema(
+  {
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      required: true,
+    },
+    // The match the question was played in
+    match: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Match",
+      default: null,
+    },
+    reason: {
+      type: String,
+      enum: ["wrong-answer", "typo", "ambiguous", "offensive"],
+      required: true,
+    },
+    comment: {
+      type: String,
+      maxlength: 500,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved", "dismissed"],
+      default: "open",
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    resolutionNote: {
+      type: String,
+      maxlength: 500,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+questionReportSchema.index({ question: 1, reporter: 1 }, { unique: true });
+questionReportSchema.index({ status: 1, category: 1 });
+
+module.exports = mongoose.model("QuestionReport", questionReportSchema);
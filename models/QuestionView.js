@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// Which questions each user has been served, so selection can prefer unseen ones
+const questionViewSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      required: true,
+    },
+    timesServed: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastServedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+questionViewSchema.index({ user: 1, question: 1 }, { unique: true });
+questionViewSchema.index({ user: 1, category: 1, lastServedAt: -1 });
+
+module.exports = mongoose.model("QuestionView", questionViewSchema);
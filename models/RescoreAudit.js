@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// What a retroactive rescoring changed, per match and per player
+const rescoreAuditSchema = new mongoose.Schema(
+  {
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+      index: true,
+    },
+    // The answer key the matches were rescored against (correctAnswer covers every question type)
+    correctOptionId: {
+      type: Number,
+      default: null,
+    },
+    correctAnswer: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      maxlength: 500,
+      default: null,
+    },
+    // Written as pending before any match or player changes; applied once all are saved
+    status: {
+      type: String,
+      enum: ["pending", "applied"],
+      default: "pending",
+    },
+    matchesExamined: {
+      type: Number,
+      default: 0,
+    },
+    matches: [
+      {
+        match: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Match",
+        },
+        mode: String,
+        winnerBefore: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        winnerAfter: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        isDrawBefore: Boolean,
+        isDrawAfter: Boolean,
+        players: [
+          {
+            user: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "User",
+            },
+            scoreBefore: Number,
+            scoreAfter: Number,
+            xpBefore: Number,
+            xpAfter: Number,
+          },
+        ],
+      },
+    ],
+    users: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        xpDelta: Number,
+        weeklyXpDelta: Number,
+        rankBefore: String,
+        rankAfter: String,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("RescoreAudit", rescoreAuditSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Named lease shared by server instances (e.g. the matchmaking leader)
+const serverLockSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    ownerId: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("ServerLock", serverLockSchema);
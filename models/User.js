@@ -50,10 +50,90 @@ const userSchema = new mongoose.Schema(
       type: [String],
       default: [],
     },
+    // Competitive Elo rating per category, updated after each rated match
+    categoryRatings: [
+      {
+        category: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Category",
+          required: true,
+        },
+        rating: {
+          type: Number,
+          default: 1200,
+        },
+        matchesPlayed: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        wins: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        losses: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        draws: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        lastPlayedAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+    // Practice XP earned today, capped per day (day: "YYYY-MM-DD", UTC)
+    practiceXp: {
+      day: {
+        type: String,
+        default: null,
+      },
+      earned: {
+        type: Number,
+        default: 0,
+      },
+    },
+    friends: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Incoming friend requests awaiting accept/decline
+    friendRequests: [
+      {
+        _id: false,
+        from: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Bot opponents play as these accounts; they never log in or rank
+    isBot: {
+      type: Boolean,
+      default: false,
+    },
     isAdmin: {
       type: Boolean,
       default: false,
     },
+    // Contributors submit questions for admin review
+    isContributor: {
+      type: Boolean,
+      default: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -85,6 +165,9 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Outgoing friend requests are looked up by sender
+userSchema.index({ "friendRequests.from": 1 });
+
 // ✅ NO DUPLICATE INDEXES - Removed manual index definitions
 // unique: true automatically creates index
 
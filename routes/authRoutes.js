@@ -11,7 +11,8 @@ const {
   googleAuth,
   sendOTP,
   verifyOTP,
-  getAllUsers
+  getAllUsers,
+  setContributor
 } = require("../controllers/authController");
 
 const authMiddleware = require("../middleware/authMiddleware");
@@ -56,4 +57,7 @@ router.patch("/password", authMiddleware, updatePassword);
 // Get all users (Admin only)
 router.get("/users", authMiddleware, adminMiddleware, getAllUsers);
 
+// Grant or revoke the contributor role (Admin only)
+router.patch("/users/:userId/contributor", authMiddleware, adminMiddleware, setContributor);
+
 module.exports = router;
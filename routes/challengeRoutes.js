@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createChallenge,
+  getMyChallenges,
+  getChallenge,
+  nextQuestion,
+  submitAnswer,
+} = require("../controllers/challengeController");
+
+const authMiddleware = require("../middleware/authMiddleware");
+
+// All challenge routes are protected
+router.use(authMiddleware);
+
+router.post("/", createChallenge);
+router.get("/", getMyChallenges);
+router.get("/:matchId", getChallenge);
+
+// Play my turn: fetch the next question, then answer it
+router.post("/:matchId/next", nextQuestion);
+router.post("/:matchId/answer", submitAnswer);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getFriends,
+  getFriendRequests,
+  sendFriendRequest,
+  acceptFriendRequest,
+  declineFriendRequest,
+  removeFriend,
+} = require("../controllers/friendController");
+
+const authMiddleware = require("../middleware/authMiddleware");
+
+// All friend routes are protected
+router.use(authMiddleware);
+
+router.get("/", getFriends);
+router.get("/requests", getFriendRequests);
+router.post("/requests", sendFriendRequest);
+router.post("/requests/:userId/accept", acceptFriendRequest);
+router.post("/requests/:userId/decline", declineFriendRequest);
+router.delete("/:userId", removeFriend);
+
+module.exports = router;
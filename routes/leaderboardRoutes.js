@@ -4,7 +4,8 @@ const router = express.Router();
 const { 
   getGlobalLeaderboard, 
   getWeeklyLeaderboard,
-  getUserRank
+  getUserRank,
+  getCategoryLeaderboard
 } = require("../controllers/leaderboardController");
 
 const authMiddleware = require("../middleware/authMiddleware");
@@ -12,6 +13,7 @@ const authMiddleware = require("../middleware/authMiddleware");
 // Public routes
 router.get("/global", getGlobalLeaderboard);
 router.get("/weekly", getWeeklyLeaderboard);
+router.get("/category/:categoryId", getCategoryLeaderboard);
 
 // Protected route - get specific user's rank
 router.get("/rank/:userId", authMiddleware, getUserRank);
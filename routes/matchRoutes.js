@@ -3,8 +3,11 @@ const express = require("express");
 const router = express.Router();
 const { 
   getMatchHistory,
+  getLobby,
   getMatchDetails,
-  getMatchStats
+  getMatchReplay,
+  getMatchStats,
+  reportMatchQuestion
 } = require("../controllers/matchController");
 
 const authMiddleware = require("../middleware/authMiddleware");
@@ -12,9 +15,18 @@ const authMiddleware = require("../middleware/authMiddleware");
 // Protected routes - get user's match history
 router.get("/history", authMiddleware, getMatchHistory);
 
+// Open public matches to join
+router.get("/lobby", authMiddleware, getLobby);
+
 // Get specific match details
 router.get("/:matchId", authMiddleware, getMatchDetails);
 
+// Question-by-question replay (participants and admins)
+router.get("/:matchId/replay", authMiddleware, getMatchReplay);
+
+// Report a question played in the match ({ reason, comment })
+router.post("/:matchId/questions/:questionId/report", authMiddleware, reportMatchQuestion);
+
 // Public route - get user statistics
 router.get("/stats/:userId", getMatchStats);
 
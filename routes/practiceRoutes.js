@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const {
+  startPractice,
+  getMyPractice,
+  getPracticeStats,
+  getPractice,
+  answerPractice,
+  finishPractice,
+} = require("../controllers/practiceController");
+
+const authMiddleware = require("../middleware/authMiddleware");
+
+// All practice routes are protected
+router.use(authMiddleware);
+
+router.post("/", startPractice);
+router.get("/", getMyPractice);
+router.get("/stats", getPracticeStats);
+router.get("/:sessionId", getPractice);
+router.post("/:sessionId/answer", answerPractice);
+router.post("/:sessionId/finish", finishPractice);
+
+module.exports = router;
@@ -8,15 +8,58 @@ const {
   getQuestionById,
   updateQuestion,
   deleteQuestion,
-  getRandomQuestions
+  getRandomQuestions,
+  importSeedQuestions,
+  getQuestionCoverage,
+  getQuestionStats,
+  calibrateQuestions,
+  submitQuestion,
+  getMySubmissions,
+  updateSubmission,
+  getReviewQueue,
+  approveQuestion,
+  rejectQuestion,
+  getQuestionHistory,
+  getReportedQuestions,
+  resolveQuestionReports,
+  rescoreQuestion,
+  getRescoreAudits,
+  importQuestions,
+  exportQuestions
 } = require("../controllers/questionController");
 
 const authMiddleware = require("../middleware/authMiddleware");
 const adminMiddleware = require("../middleware/adminMiddleware");
+const contributorMiddleware = require("../middleware/contributorMiddleware");
 const { validateQuestion } = require("../middleware/validationMiddleware");
 
 // Admin routes (get all questions)
 router.get("/all", authMiddleware, adminMiddleware, getAllQuestions);
+router.get("/admin/:id", authMiddleware, adminMiddleware, getQuestionById); // Full view with answer
+router.get("/coverage/:userId", authMiddleware, adminMiddleware, getQuestionCoverage); // ?categoryId= to narrow
+router.get("/stats", authMiddleware, adminMiddleware, getQuestionStats); // ?categoryId=&flagged=true
+router.get("/review-queue", authMiddleware, adminMiddleware, getReviewQueue); // ?categoryId=&status=pending
+router.get("/reports", authMiddleware, adminMiddleware, getReportedQuestions); // ?categoryId=&status=open
+router.get("/export", authMiddleware, adminMiddleware, exportQuestions); // ?category=&format=json|csv&includeUnplayable=true
+
+// Contributor routes (submit questions for review)
+router.get("/submissions", authMiddleware, contributorMiddleware, getMySubmissions); // ?status=
+router.post(
+  "/submissions",
+  authMiddleware,
+  contributorMiddleware,
+  validateQuestion,
+  submitQuestion
+);
+router.put(
+  "/submissions/:id",
+  authMiddleware,
+  contributorMiddleware,
+  validateQuestion,
+  updateSubmission
+);
+router.get("/:id/history", authMiddleware, contributorMiddleware, getQuestionHistory);
+router.get("/:id/rescores", authMiddleware, adminMiddleware, getRescoreAudits);
 
 // Public routes (no auth needed)
 router.get("/category/:categoryId", getQuestionsByCategory);
@@ -32,6 +75,41 @@ router.post(
   createQuestion
 );
 
+// Bulk import from CSV or JSON (?mode=atomic|partial)
+router.post(
+  "/import",
+  authMiddleware,
+  adminMiddleware,
+  express.text({ type: ["text/csv", "application/csv", "text/plain"], limit: "10mb" }),
+  importQuestions
+);
+
+// Import data/*.json seed question banks
+router.post(
+  "/seed",
+  authMiddleware,
+  adminMiddleware,
+  importSeedQuestions
+);
+
+// Review submissions ({ reason } - required to reject)
+router.post("/:id/approve", authMiddleware, adminMiddleware, approveQuestion);
+router.post("/:id/reject", authMiddleware, adminMiddleware, rejectQuestion);
+
+// Triage player reports ({ action: resolve|dismiss, correctOptionId, reactivate, note })
+router.post("/:id/reports/resolve", authMiddleware, adminMiddleware, resolveQuestionReports);
+
+// Regrade finished matches against the current answer ({ dryRun, reason })
+router.post("/:id/rescore", authMiddleware, adminMiddleware, rescoreQuestion);
+
+// Re-label difficulty from answer statistics ({ categoryId, dryRun })
+router.post(
+  "/calibrate",
+  authMiddleware,
+  adminMiddleware,
+  calibrateQuestions
+);
+
 router.put(
   "/:id",
   authMiddleware,
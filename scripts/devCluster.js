@@ -0,0 +1,71 @@
+/**
+ * Run several game server instances in one process, for testing the cluster locally
+ *
+ * Usage:
+ *   npm run dev:cluster                  # instances on ports 5000 and 5001
+ *   npm run dev:cluster -- 5000 5001 5002
+ *
+ * Instances share one MongoDB (MONGO_URI) and pass Socket.IO events over an
+ * in-process bus. Point two clients at different ports and play a match:
+ * rooms, matchmaking and broadcasts work across instances. Stopping one
+ * instance (type its port and press enter) lets another adopt its rooms.
+ */
+const dotenv = require("dotenv");
+const http = require("http");
+const readline = require("readline");
+
+dotenv.config();
+
+const app = require("../app");
+const connectDB = require("../config/db");
+const {
+  initializeSocket,
+  shutdownSocket,
+  rehydrateRooms,
+} = require("../socket/socketHandler");
+const { createInProcessBus, createPubSubAdapter } = require("../socket/clusterAdapter");
+const { createRoomStore } = require("../socket/roomStores");
+
+const run = async () => {
+  await connectDB();
+
+  const ports = process.argv.length > 2 ? process.argv.slice(2).map(Number) : [5000, 5001];
+  const bus = createInProcessBus();
+  // Shared so ROOM_STORE=memory also works across the instances
+  const roomStore = createRoomStore();
+  const instances = new Map();
+
+  for (const port of ports) {
+    const server = http.createServer(app);
+    const io = initializeSocket(server, {
+      serverId: `dev-${port}`,
+      roomStore,
+      adapter: createPubSubAdapter(bus),
+    });
+
+    // Instances share the app; any of them can reach every player through the bus
+    app.set("io", io);
+
+    await new Promise((resolve) => server.listen(port, resolve));
+    console.log(`[DEV-CLUSTER] Instance dev-${port} listening on ${port}`);
+    instances.set(port, { server, io });
+    await rehydrateRooms(io);
+  }
+
+  // Simulate a crash: stop an instance without releasing its rooms
+  readline.createInterface({ input: process.stdin }).on("line", (line) => {
+    const port = Number(line.trim());
+    const instance = instances.get(port);
+    if (!instance) {
+      return console.log(`[DEV-CLUSTER] Running instances: ${Array.from(instances.keys()).join(", ")}`);
+    }
+    instances.delete(port);
+    shutdownSocket(instance.io);
+    console.log(`[DEV-CLUSTER] Stopped dev-${port}; its rooms are adopted once their leases expire`);
+  });
+};
+
+run().catch((error) => {
+  console.error("[DEV-CLUSTER ERROR]", error);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+/**
+ * Import the data/*.json question banks into MongoDB
+ *
+ * Usage:
+ *   npm run seed                      # import every file in data/
+ *   npm run seed -- dsa.json java.json
+ *
+ * Questions are created by the admin named in SEED_ADMIN_EMAIL,
+ * or the first admin user in the database when it is not set.
+ * Safe to run repeatedly: existing question texts are skipped.
+ */
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const User = require("../models/User");
+const { importSeedFiles } = require("../utils/seedImporter");
+
+const findSeedAdmin = async () => {
+  if (process.env.SEED_ADMIN_EMAIL) {
+    return User.findOne({
+      email: process.env.SEED_ADMIN_EMAIL.trim().toLowerCase(),
+      isAdmin: true,
+    });
+  }
+  return User.findOne({ isAdmin: true }).sort({ createdAt: 1 });
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log("MongoDB connected successfully");
+
+  const admin = await findSeedAdmin();
+  if (!admin) {
+    throw new Error(
+      "No admin user found. Create one or set SEED_ADMIN_EMAIL to an admin's email."
+    );
+  }
+
+  const files = process.argv.slice(2);
+  const { files: results, totals, questionCounts } = await importSeedFiles({
+    files,
+    createdBy: admin._id,
+  });
+
+  console.log(`\n[SEED] Imported as ${admin.username} (${admin._id})`);
+  for (const result of results) {
+    console.log(
+      `[SEED] ${result.file}: ${result.inserted} inserted, ${result.skipped} skipped, ${result.invalid} invalid`
+    );
+    if (result.categoriesCreated.length > 0) {
+      console.log(`       created categories: ${result.categoriesCreated.join(", ")}`);
+    }
+    for (const err of result.errors) {
+      console.log(`       ${err.index === null ? "file" : `record #${err.index}`}: ${err.message}`);
+    }
+  }
+
+  for (const [name, count] of Object.entries(questionCounts)) {
+    console.log(`[SEED] ${name}: questionCount = ${count}`);
+  }
+
+  console.log(
+    `[SEED] Total: ${totals.inserted} inserted, ${totals.skipped} skipped, ${totals.invalid} invalid`
+  );
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error("[SEED ERROR]", error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
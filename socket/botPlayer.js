@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const { typeOf } = require("../utils/questionGrading");
+
+/**
+ * Bot opponents
+ * Fill waiting duel rooms nobody joins and play through the same event
+ * handlers (join-match, submit-answer) as a connected player.
+ */
+
+// Wait this long for a human before a bot joins; BOT_JOIN_TIMEOUT=0 disables bots
+const BOT_JOIN_TIMEOUT = Number(process.env.BOT_JOIN_TIMEOUT ?? 20000);
+const DEFAULT_BOT_SKILL = process.env.BOT_SKILL || "medium";
+// Humans earn this share of their match XP against a bot
+const BOT_MATCH_XP_MULTIPLIER = 0.5;
+
+// Skill levels: chance of a correct answer by question difficulty, and
+// response time as a share of the time limit (normal distribution)
+const BOT_SKILLS = {
+  easy: {
+    accuracy: { easy: 0.7, medium: 0.5, hard: 0.3 },
+    responseTime: { mean: 0.6, stdDev: 0.2 },
+  },
+  medium: {
+    accuracy: { easy: 0.85, medium: 0.65, hard: 0.45 },
+    responseTime: { mean: 0.45, stdDev: 0.15 },
+  },
+  hard: {
+    accuracy: { easy: 0.95, medium: 0.85, hard: 0.7 },
+    responseTime: { mean: 0.3, stdDev: 0.1 },
+  },
+};
+
+/**
+ * Normally distributed random number (Box-Muller)
+ */
+const randomNormal = (mean, stdDev) => {
+  const u = 1 - Math.random(); // (0, 1]
+  const v = Math.random();
+  return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const pickRandom = (items) => items[Math.floor(Math.random() * items.length)];
+
+/**
+ * The answer a bot gives for a question's type, right or wrong
+ * Wrong multi-select answers miss or add one option; wrong numbers fall outside the tolerance
+ */
+const botAnswer = (question, answersCorrectly) => {
+  const optionIds = (question.options || []).map((opt) => opt.id);
+
+  switch (typeOf(question)) {
+    case "multi-select": {
+      const correct = question.correctOptionIds || [];
+      if (answersCorrectly) return { selectedOptionIds: [...correct] };
+      const toggled = pickRandom(optionIds);
+      const picked = correct.includes(toggled) ? correct.filter((id) => id !== toggled) : [...correct, toggled];
+      return { selectedOptionIds: picked.length > 0 ? picked : [toggled] };
+    }
+    case "numeric": {
+      const { value = 0, tolerance = 0 } = question.numericAnswer || {};
+      if (answersCorrectly) return { answerValue: value };
+      const miss = tolerance + Math.max(1, Math.abs(value) * 0.1);
+      return { answerValue: value + (Math.random() < 0.5 ? -miss : miss) };
+    }
+    case "code-output": {
+      const accepted = question.acceptedAnswers || [];
+      if (answersCorrectly) return { answerValue: accepted[0] };
+      return { answerValue: accepted.includes("undefined") ? "error" : "undefined" };
+    }
+    default: {
+      const wrongOptions = optionIds.filter((id) => id !== question.correctOptionId);
+      return {
+        selectedOptionId:
+          answersCorrectly || wrongOptions.length === 0 ? question.correctOptionId : pickRandom(wrongOptions),
+      };
+    }
+  }
+};
+
+/**
+ * Decide how a bot answers a question
+ * @param {object} question - Question with its type, answer fields and difficulty
+ * @param {number} timeLimitMs - Time allowed for the question
+ * @param {string} skill - Key of BOT_SKILLS
+ * @returns {object} { answer: { selectedOptionId | selectedOptionIds | answerValue }, delayMs }
+ */
+const planBotAnswer = (question, timeLimitMs, skill) => {
+  const profile = BOT_SKILLS[skill] || BOT_SKILLS[DEFAULT_BOT_SKILL] || BOT_SKILLS.medium;
+  const accuracy = profile.accuracy[question.difficulty] ?? profile.accuracy.medium;
+  const answer = botAnswer(question, Math.random() < accuracy);
+
+  // Always answer within the limit, never instantly
+  const { mean, stdDev } = profile.responseTime;
+  const share = Math.min(0.95, Math.max(0.05, randomNormal(mean, stdDev)));
+
+  return { answer, delayMs: Math.round(share * timeLimitMs) };
+};
+
+/**
+ * The User account a bot of this skill plays as (created on first use)
+ * Bot accounts cannot log in: their password hash is not a valid bcrypt hash
+ */
+const getBotUser = async (skill) => {
+  const level = BOT_SKILLS[skill] ? skill : DEFAULT_BOT_SKILL;
+  const name = level.charAt(0).toUpperCase() + level.slice(1);
+
+  return User.findOneAndUpdate(
+    { email: `bot-${level}@skillduels.bot` },
+    {
+      $setOnInsert: {
+        username: `QuizBot ${name}`,
+        passwordHash: crypto.randomBytes(32).toString("hex"),
+        isBot: true,
+      },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = {
+  BOT_JOIN_TIMEOUT,
+  DEFAULT_BOT_SKILL,
+  BOT_MATCH_XP_MULTIPLIER,
+  BOT_SKILLS,
+  planBotAnswer,
+  getBotUser,
+};
@@ -0,0 +1,105 @@
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+
+const MONGO_ADAPTER_COLLECTION = "socket.io-adapter-events";
+
+/**
+ * In-process pub/sub bus
+ * Stand-in for Redis/Mongo pub/sub when several game server instances
+ * run inside one Node process (local testing of the cluster behaviour)
+ */
+function createInProcessBus() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    publish(channel, message) {
+      // Deliver asynchronously and never share objects between instances
+      const copy = structuredClone(message);
+      setImmediate(() => emitter.emit(channel, copy));
+    },
+
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    },
+  };
+}
+
+/**
+ * Socket.IO cluster adapter over any { publish, subscribe } bus
+ */
+class PubSubAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, opts = {}) {
+    super(nsp, opts);
+    this.bus = bus;
+    this.channel = `socket.io#${nsp.name}`;
+    this.unsubscribers = [
+      bus.subscribe(this.channel, (message) => this.onMessage(message)),
+      bus.subscribe(`${this.channel}#${this.uid}`, (response) => this.onResponse(response)),
+    ];
+
+    // Announce ourselves so the other instances count us in their requests
+    this.init();
+  }
+
+  doPublish(message) {
+    this.bus.publish(this.channel, message);
+    return Promise.resolve("");
+  }
+
+  doPublishResponse(requesterUid, response) {
+    this.bus.publish(`${this.channel}#${requesterUid}`, response);
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+}
+
+/**
+ * Adapter factory for io.adapter() backed by a pub/sub bus
+ * @param {object} bus - { publish(channel, message), subscribe(channel, handler) }
+ * @returns {function} Adapter constructor
+ */
+const createPubSubAdapter = (bus, opts = {}) => {
+  return function (nsp) {
+    return new PubSubAdapter(nsp, bus, opts);
+  };
+};
+
+/**
+ * Adapter factory backed by a capped Mongo collection
+ * Used in production so instances only need the shared MongoDB
+ * Requires an open mongoose connection
+ * @returns {Promise<function>} Adapter constructor
+ */
+const createMongoAdapter = async () => {
+  const { createAdapter } = require("@socket.io/mongo-adapter");
+  const db = mongoose.connection.db;
+
+  try {
+    await db.createCollection(MONGO_ADAPTER_COLLECTION, {
+      capped: true,
+      size: 1e6,
+    });
+  } catch (error) {
+    // Another instance created it first
+    if (error.codeName !== "NamespaceExists" && error.code !== 48) {
+      throw error;
+    }
+  }
+
+  return createAdapter(db.collection(MONGO_ADAPTER_COLLECTION), {
+    addCreatedAtField: true,
+  });
+};
+
+module.exports = {
+  createInProcessBus,
+  createPubSubAdapter,
+  createMongoAdapter,
+};
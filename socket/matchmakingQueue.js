@@ -0,0 +1,193 @@
+/**
+ * Skill-based matchmaking queue
+ * Players wait per category and are paired with the closest skill
+ * inside their band. The band widens the longer a player waits.
+ */
+
+// Configuration Constants
+const BASE_SKILL_BAND = 100; // Initial +/- skill range
+const BAND_GROWTH_PER_SECOND = 20; // Range added for every second waited
+const MAX_SKILL_BAND = 2000;
+const DEFAULT_ESTIMATED_WAIT = 30; // seconds, used until we have samples
+const WAIT_SAMPLE_SIZE = 20; // Recent waits kept per category
+
+/**
+ * Skill band for an entry at a given time
+ * @param {object} entry - Queue entry
+ * @param {number} now - Timestamp in ms
+ * @returns {number} Allowed skill difference
+ */
+const getSkillBand = (entry, now = Date.now()) => {
+  const waitedSeconds = Math.max(0, (now - entry.joinedAt) / 1000);
+  return Math.min(BASE_SKILL_BAND + waitedSeconds * BAND_GROWTH_PER_SECOND, MAX_SKILL_BAND);
+};
+
+/**
+ * Create a matchmaking queue
+ * Each game server instance owns one; in a cluster only the matchmaking leader's is used
+ * @returns {object} Queue API
+ */
+function createMatchmakingQueue() {
+  // categoryId -> queued entries (oldest first)
+  const queues = new Map();
+  // userId -> categoryId, for quick removal
+  const queuedUsers = new Map();
+  // categoryId -> recent wait times in seconds
+  const recentWaits = new Map();
+
+  /**
+   * Add a player to a category queue
+   * @param {object} entry - { userId, socketId, username, categoryId, categoryName, skill }
+   * @returns {object} The stored entry
+   */
+  const enqueue = (entry) => {
+    removeFromQueue(entry.userId);
+
+    const stored = { ...entry, joinedAt: Date.now() };
+    if (!queues.has(entry.categoryId)) {
+      queues.set(entry.categoryId, []);
+    }
+    queues.get(entry.categoryId).push(stored);
+    queuedUsers.set(entry.userId, entry.categoryId);
+
+    return stored;
+  };
+
+  /**
+   * Remove a player from whichever queue they are in
+   * @param {string} userId - Player to remove
+   * @returns {object|null} The removed entry
+   */
+  function removeFromQueue(userId) {
+    const categoryId = queuedUsers.get(userId);
+    if (!categoryId) return null;
+
+    queuedUsers.delete(userId);
+    const queue = queues.get(categoryId) || [];
+    const index = queue.findIndex((e) => e.userId === userId);
+    if (index === -1) return null;
+
+    const [entry] = queue.splice(index, 1);
+    if (queue.length === 0) {
+      queues.delete(categoryId);
+    }
+    return entry;
+  }
+
+  /**
+   * Current queue entry for a player
+   * @param {string} userId - Player to look up
+   * @returns {object|null} Queue entry
+   */
+  const getEntry = (userId) => {
+    const categoryId = queuedUsers.get(userId);
+    if (!categoryId) return null;
+    return (queues.get(categoryId) || []).find((e) => e.userId === userId) || null;
+  };
+
+  /**
+   * Record how long a matched player waited
+   */
+  const recordWait = (categoryId, seconds) => {
+    const samples = recentWaits.get(categoryId) || [];
+    samples.push(seconds);
+    if (samples.length > WAIT_SAMPLE_SIZE) {
+      samples.shift();
+    }
+    recentWaits.set(categoryId, samples);
+  };
+
+  /**
+   * Queue position and estimated wait for a player
+   * @param {string} userId - Queued player
+   * @param {number} now - Timestamp in ms
+   * @returns {object|null} { categoryId, position, queueSize, waitedSeconds, estimatedWait, skillBand }
+   */
+  const getQueueStatus = (userId, now = Date.now()) => {
+    const categoryId = queuedUsers.get(userId);
+    if (!categoryId) return null;
+
+    const queue = queues.get(categoryId) || [];
+    const index = queue.findIndex((e) => e.userId === userId);
+    if (index === -1) return null;
+
+    const entry = queue[index];
+    const waitedSeconds = Math.floor((now - entry.joinedAt) / 1000);
+    const samples = recentWaits.get(categoryId) || [];
+    const averageWait = samples.length > 0
+      ? samples.reduce((sum, s) => sum + s, 0) / samples.length
+      : DEFAULT_ESTIMATED_WAIT;
+
+    return {
+      categoryId,
+      position: index + 1,
+      queueSize: queue.length,
+      waitedSeconds,
+      estimatedWait: Math.max(0, Math.round(averageWait - waitedSeconds)),
+      skillBand: Math.round(getSkillBand(entry, now)),
+    };
+  };
+
+  /**
+   * Pair compatible players and remove them from the queues
+   * Oldest players pick first, taking the closest skill within either band
+   * @param {number} now - Timestamp in ms
+   * @returns {array} Pairs of entries [[a, b], ...]
+   */
+  const findMatches = (now = Date.now()) => {
+    const pairs = [];
+
+    for (const [categoryId, queue] of queues.entries()) {
+      const remaining = [...queue];
+      const categoryPairs = [];
+
+      while (remaining.length >= 2) {
+        const seeker = remaining.shift();
+        let bestIndex = -1;
+        let bestDiff = Infinity;
+
+        remaining.forEach((candidate, index) => {
+          const diff = Math.abs(seeker.skill - candidate.skill);
+          const band = Math.max(getSkillBand(seeker, now), getSkillBand(candidate, now));
+          if (diff <= band && diff < bestDiff) {
+            bestDiff = diff;
+            bestIndex = index;
+          }
+        });
+
+        if (bestIndex === -1) continue;
+
+        const [opponent] = remaining.splice(bestIndex, 1);
+        categoryPairs.push([seeker, opponent]);
+      }
+
+      for (const [a, b] of categoryPairs) {
+        removeFromQueue(a.userId);
+        removeFromQueue(b.userId);
+        recordWait(categoryId, (now - a.joinedAt) / 1000);
+        recordWait(categoryId, (now - b.joinedAt) / 1000);
+      }
+      pairs.push(...categoryPairs);
+    }
+
+    return pairs;
+  };
+
+  /**
+   * All queued entries, for status broadcasts
+   */
+  const listQueued = () => {
+    return Array.from(queues.values()).flat();
+  };
+
+  return {
+    enqueue,
+    removeFromQueue,
+    getEntry,
+    getQueueStatus,
+    findMatches,
+    listQueued,
+  };
+}
+
+module.exports = { createMatchmakingQueue };
@@ -0,0 +1,21 @@
+const createMemoryRoomStore = require("./memoryRoomStore");
+const createMongoRoomStore = require("./mongoRoomStore");
+
+/**
+ * Pick the room store implementation
+ * ROOM_STORE=memory keeps rooms in-process only; anything else uses Mongo.
+ * Every store implements: save(snapshot, lease), load(matchId), loadAll(), remove(matchId),
+ * renew(ownerId, ttlMs), claimExpired(ownerId, ttlMs) and acquireLock(name, ownerId, ttlMs)
+ */
+function createRoomStore(type = process.env.ROOM_STORE || "mongo") {
+  if (type === "memory") {
+    return createMemoryRoomStore();
+  }
+  return createMongoRoomStore();
+}
+
+module.exports = {
+  createRoomStore,
+  createMemoryRoomStore,
+  createMongoRoomStore,
+};
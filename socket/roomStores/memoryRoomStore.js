@@ -0,0 +1,67 @@
+/**
+ * In-memory room store
+ * Keeps room snapshots in this process only - nothing survives a restart.
+ * Useful for local development, and can be shared by several game server
+ * instances running in one process.
+ */
+function createMemoryRoomStore() {
+  const rooms = new Map(); // matchId -> { snapshot, ownerId, leaseExpiresAt }
+  const locks = new Map(); // name -> { ownerId, expiresAt }
+
+  return {
+    name: "memory",
+
+    async save(snapshot, lease = null) {
+      const current = rooms.get(snapshot.matchId) || { ownerId: null, leaseExpiresAt: 0 };
+      rooms.set(snapshot.matchId, {
+        snapshot: structuredClone(snapshot),
+        ownerId: lease ? lease.ownerId : current.ownerId,
+        leaseExpiresAt: lease ? lease.expiresAt : current.leaseExpiresAt,
+      });
+    },
+
+    async load(matchId) {
+      const room = rooms.get(matchId);
+      return room ? structuredClone(room.snapshot) : null;
+    },
+
+    async loadAll() {
+      return Array.from(rooms.values()).map((room) => structuredClone(room.snapshot));
+    },
+
+    async remove(matchId) {
+      rooms.delete(matchId);
+    },
+
+    async renew(ownerId, ttlMs) {
+      for (const room of rooms.values()) {
+        if (room.ownerId === ownerId) {
+          room.leaseExpiresAt = Date.now() + ttlMs;
+        }
+      }
+    },
+
+    async claimExpired(ownerId, ttlMs) {
+      const claimed = [];
+      for (const room of rooms.values()) {
+        if (!room.ownerId || room.leaseExpiresAt < Date.now()) {
+          room.ownerId = ownerId;
+          room.leaseExpiresAt = Date.now() + ttlMs;
+          claimed.push(structuredClone(room.snapshot));
+        }
+      }
+      return claimed;
+    },
+
+    async acquireLock(name, ownerId, ttlMs) {
+      const lock = locks.get(name);
+      if (lock && lock.ownerId !== ownerId && lock.expiresAt > Date.now()) {
+        return false;
+      }
+      locks.set(name, { ownerId, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+  };
+}
+
+module.exports = createMemoryRoomStore;
@@ -0,0 +1,89 @@
+const GameRoom = require("../../models/GameRoom");
+const ServerLock = require("../../models/ServerLock");
+
+/**
+ * Mongo-backed room store
+ * Persists room snapshots in the gamerooms collection so live matches
+ * can be rehydrated after a deploy or crash, and coordinates which
+ * server instance owns each room through short leases.
+ */
+function createMongoRoomStore() {
+  return {
+    name: "mongo",
+
+    async save(snapshot, lease = null) {
+      const update = { snapshot };
+      if (lease) {
+        update.ownerId = lease.ownerId;
+        update.leaseExpiresAt = new Date(lease.expiresAt);
+      }
+      await GameRoom.updateOne(
+        { matchId: snapshot.matchId },
+        { $set: update },
+        { upsert: true }
+      );
+    },
+
+    async load(matchId) {
+      const doc = await GameRoom.findOne({ matchId }).lean();
+      return doc ? doc.snapshot : null;
+    },
+
+    async loadAll() {
+      const docs = await GameRoom.find({}).lean();
+      return docs.map((doc) => doc.snapshot);
+    },
+
+    async remove(matchId) {
+      await GameRoom.deleteOne({ matchId });
+    },
+
+    async renew(ownerId, ttlMs) {
+      await GameRoom.updateMany(
+        { ownerId },
+        { $set: { leaseExpiresAt: new Date(Date.now() + ttlMs) } }
+      );
+    },
+
+    async claimExpired(ownerId, ttlMs) {
+      const claimed = [];
+
+      // Claim one room at a time so two instances never adopt the same room
+      for (;;) {
+        const doc = await GameRoom.findOneAndUpdate(
+          {
+            $or: [
+              { ownerId: null },
+              { leaseExpiresAt: null },
+              { leaseExpiresAt: { $lt: new Date() } },
+            ],
+          },
+          { $set: { ownerId, leaseExpiresAt: new Date(Date.now() + ttlMs) } },
+          { new: true }
+        ).lean();
+
+        if (!doc) break;
+        claimed.push(doc.snapshot);
+      }
+
+      return claimed;
+    },
+
+    async acquireLock(name, ownerId, ttlMs) {
+      try {
+        const lock = await ServerLock.findOneAndUpdate(
+          { name, $or: [{ ownerId }, { expiresAt: { $lt: new Date() } }] },
+          { $set: { ownerId, expiresAt: new Date(Date.now() + ttlMs) } },
+          { upsert: true, new: true }
+        );
+        return lock.ownerId === ownerId;
+      } catch (error) {
+        // Duplicate key: another instance holds a live lock
+        if (error.code === 11000) return false;
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = createMongoRoomStore;
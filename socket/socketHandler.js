@@ -1,8 +1,45 @@
+const os = require("os");
+const crypto = require("crypto");
 const mongoose = require("mongoose");
 const User = require("../models/User");
 const Match = require("../models/Match");
-const Question = require("../models/Question");
 const Category = require("../models/Category");
+const { createMatchmakingQueue } = require("./matchmakingQueue");
+const { createRoomStore } = require("./roomStores");
+const {
+  BOT_JOIN_TIMEOUT,
+  DEFAULT_BOT_SKILL,
+  BOT_MATCH_XP_MULTIPLIER,
+  BOT_SKILLS,
+  planBotAnswer,
+  getBotUser,
+} = require("./botPlayer");
+const { getCategoryRating } = require("../utils/calculateRating");
+const { calculateMatchXp, calculateMatchRatingChanges, applyMatchReward } = require("../utils/matchRewards");
+const { calculateAnswerPoints } = require("../utils/calculateXP");
+const {
+  calculatePlacements,
+  calculateTeamStandings,
+} = require("../utils/calculatePlacements");
+const { toPublicQuestion } = require("../utils/questionProjection");
+const { answerFrom, gradeAnswer, correctAnswerOf } = require("../utils/questionGrading");
+const { DIFFICULTY_CURVES, selectMatchQuestions, recordServedQuestions } = require("../utils/questionSelection");
+const { recordQuestionAnswers, calibrateQuestions } = require("../utils/questionStats");
+const { reportQuestion } = require("../utils/questionReports");
+const { verifyToken } = require("../utils/generateToken");
+const {
+  createChallenge,
+  nextChallengeQuestion,
+  submitChallengeAnswer,
+  expireChallenges,
+} = require("../utils/challenges");
+const { areFriends, notifyFriendsOfPresence } = require("../utils/friends");
+const { startPractice, answerPractice, finishPractice } = require("../utils/practice");
+const {
+  WAITING_ROOM_TTL,
+  listOpenMatches,
+  deleteStaleWaitingMatches,
+} = require("../utils/lobby");
 
 // Configuration Constants
 const QUESTION_TIME_LIMIT = 30; // 30 seconds per question
@@ -10,16 +47,68 @@ const QUESTIONS_PER_MATCH = 5;
 const RECONNECT_GRACE_PERIOD = 30000; // 30 seconds to reconnect
 const TIMER_SYNC_INTERVAL = 5000; // Sync every 5 seconds
 const XP_PER_CORRECT = 10;
-const PERFECT_MATCH_BONUS = 50; // All 5 questions correct
-
-// In-memory game rooms
-const gameRooms = new Map();
+const MAX_SPEED_BONUS = 10; // Extra XP for an instant correct answer
+const ANSWER_LATENCY_GRACE = 1000; // Allow 1 second of network latency past the limit
+const MATCHMAKING_INTERVAL = 2000; // Try to pair queued players every 2 seconds
+const TOKEN_EXPIRY_WARNING = 60000; // Warn clients 60 seconds before their token expires
+const ROOM_LEASE_TTL = 15000; // Rooms of an instance silent this long are adopted by another
+const LEASE_RENEW_INTERVAL = 5000;
+const SWEEP_INTERVAL = 60000; // Expire stale waiting rooms and overdue challenges every minute
+// Re-label question difficulty from answer statistics; QUESTION_CALIBRATION_INTERVAL=0 turns it off
+const CALIBRATION_INTERVAL = Number(process.env.QUESTION_CALIBRATION_INTERVAL ?? 24 * 60 * 60 * 1000);
+const ROYALE_MIN_PLAYERS = 3; // Battle royale rooms start with at least 3 players
+const ROYALE_MAX_PLAYERS = 10;
+const TEAM_SIZES = [2, 3]; // 2v2 and 3v3
+const TEAM_SCORING = ["sum", "average"];
+
+// Room fields that only make sense inside this process
+const RUNTIME_ROOM_KEYS = ["timerInterval", "graceTimers", "botTimers", "ending"];
+
+// Match modes
+const MATCH_MODES = {
+  DUEL: "duel",
+  BATTLE_ROYALE: "battle-royale",
+  TEAM: "team",
+};
+
+// The two sides of a team match
+const TEAM_SIDES = [
+  { teamId: "A", name: "Team A" },
+  { teamId: "B", name: "Team B" },
+];
+
+// Events handled by the instance that owns the match room
+const ROOM_EVENTS = [
+  "join-match",
+  "start-match",
+  "submit-answer",
+  "finish-quiz",
+  "next-question",
+  "sync-timer",
+  "forfeit-match",
+  "reconnect-match",
+  "challenge-friend",
+  "decline-friend-challenge",
+  "spectate-match",
+  "leave-spectate",
+];
+// Events handled by the matchmaking leader
+const QUEUE_EVENTS = ["join-queue", "leave-queue"];
+// Events every instance reacts to
+const BROADCAST_EVENTS = ["disconnect"];
+
+// Per-instance state: live rooms (with timers), room store and matchmaking queue
+const instances = new WeakMap();
+
+const stateOf = (io) => instances.get(io);
 
 /**
  * Initialize Socket.IO server
  * Aligns with Backend Architecture JWT + WebSocket flow
+ * @param {object} server - HTTP server
+ * @param {object} options - { serverId, roomStore, adapter } for running several instances
  */
-function initializeSocket(server) {
+function initializeSocket(server, options = {}) {
   const io = require("socket.io")(server, {
     cors: {
       origin: process.env.FRONTEND_URL || "http://localhost:3000",
@@ -29,21 +118,151 @@ function initializeSocket(server) {
     transports: ["websocket", "polling"],
   });
 
+  const state = {
+    serverId:
+      options.serverId ||
+      `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString("hex")}`,
+    // In-memory game rooms (live objects with timers)
+    gameRooms: new Map(),
+    // Durable copy of every room, used to rehydrate after a restart
+    roomStore: options.roomStore || createRoomStore(),
+    pendingStoreWrites: new Map(), // matchId -> last queued write
+    matchmakingQueue: createMatchmakingQueue(),
+    clustered: false,
+    isMatchmakingLeader: true,
+    // Lets bots and forwarded commands run the same handlers as real sockets
+    registerGameEvents,
+  };
+  instances.set(io, state);
+  const { gameRooms, matchmakingQueue } = state;
+
+  if (options.adapter) {
+    attachClusterAdapter(io, options.adapter);
+  }
+
+  // Every connection must present a valid access token
+  io.use(authenticateSocket);
+
+  // Pair queued players and push queue status updates
+  // In a cluster only the instance holding the matchmaking lock pairs players
+  const matchmakingTimer = setInterval(async () => {
+    if (state.clustered) {
+      state.isMatchmakingLeader = await state.roomStore
+        .acquireLock("matchmaking", state.serverId, MATCHMAKING_INTERVAL * 3)
+        .catch(() => false);
+    }
+    if (state.isMatchmakingLeader) {
+      runMatchmaking(io);
+    }
+  }, MATCHMAKING_INTERVAL);
+  matchmakingTimer.unref();
+
+  // Keep our room leases alive and adopt rooms whose owner went away
+  const leaseTimer = setInterval(() => {
+    maintainRoomLeases(io);
+  }, LEASE_RENEW_INTERVAL);
+  leaseTimer.unref();
+  // Close our waiting rooms nobody joined; one instance also settles async
+  // challenges whose deadline passed and deletes waiting matches left behind
+  const sweepTimer = setInterval(() => {
+    expireWaitingRooms(io).catch((error) => console.error("[WAITING ROOM SWEEP ERROR]", error));
+    if (!state.isMatchmakingLeader) return;
+    expireChallenges(io).catch((error) => console.error("[CHALLENGE SWEEP ERROR]", error));
+    deleteStaleWaitingMatches()
+      .then((ids) => ids.forEach((id) => state.roomStore.remove(id)))
+      .catch((error) => console.error("[WAITING MATCH SWEEP ERROR]", error));
+  }, SWEEP_INTERVAL);
+  sweepTimer.unref();
+  state.timers = [matchmakingTimer, leaseTimer, sweepTimer];
+
+  // Calibrate question difficulty, once per cluster
+  if (CALIBRATION_INTERVAL > 0) {
+    const calibrationTimer = setInterval(() => {
+      if (!state.isMatchmakingLeader) return;
+      calibrateQuestions().catch((error) => console.error("[CALIBRATION ERROR]", error));
+    }, CALIBRATION_INTERVAL);
+    calibrationTimer.unref();
+    state.timers.push(calibrationTimer);
+  }
+
+  io.on("dequeue-user", (userId) => {
+    matchmakingQueue.removeFromQueue(userId);
+  });
+
+  // Game events forwarded by other instances
+  io.on("game-command", (command, ack) => {
+    const handled =
+      BROADCAST_EVENTS.includes(command.event) ||
+      canHandleLocally(io, command.event, command.data);
+    if (handled) {
+      runForwardedCommand(io, command);
+    }
+    if (typeof ack === "function") {
+      ack({ serverId: state.serverId, handled });
+    }
+  });
+
   // ============================================================
   // CONNECTION & USER MANAGEMENT
   // ============================================================
 
   io.on("connection", (socket) => {
-    console.log(`[CONNECT] Socket connected: ${socket.id}`);
+    console.log(`[CONNECT] Socket connected: ${socket.id} (user ${socket.userId})`);
+
+    // Identity comes from the handshake token, never from event payloads
+    socket.join(`user-${socket.userId}`);
+    scheduleTokenExpiryWarning(socket);
+
+    // Reject events once the access token has expired (refresh-token still allowed)
+    socket.use(([event], next) => {
+      if (event === "refresh-token" || Date.now() < socket.tokenExpiresAt) {
+        return next();
+      }
+      socket.emit("token-expired", {
+        code: "TOKEN_EXPIRED",
+        event,
+        message: "Access token expired. Send refresh-token with a new token to continue.",
+      });
+    });
+
+    /**
+     * Swap in a refreshed access token without reconnecting
+     * Frontend sends: { token } from POST /api/auth/refresh
+     * The socket (and any match it is in) stays connected
+     */
+    socket.on("refresh-token", (data) => {
+      try {
+        const decoded = verifyToken(data && data.token);
+
+        if (decoded.id.toString() !== socket.userId) {
+          return socket.emit("error", {
+            code: "TOKEN_USER_MISMATCH",
+            message: "Token belongs to a different user",
+          });
+        }
+
+        socket.tokenExpiresAt = decoded.exp * 1000;
+        scheduleTokenExpiryWarning(socket);
+
+        console.log(`[REFRESH-TOKEN] ${socket.userId} refreshed socket token`);
+        socket.emit("token-refreshed", { expiresAt: new Date(socket.tokenExpiresAt).toISOString() });
+      } catch (error) {
+        socket.emit("token-expired", {
+          code: error.name === "TokenExpiredError" ? "TOKEN_EXPIRED" : "INVALID_TOKEN",
+          event: "refresh-token",
+          message: "Refresh failed: the provided token is invalid or expired",
+        });
+      }
+    });
 
     /**
      * User joins the game server
-     * Frontend sends: JWT token (via query or header)
-     * Payload: { userId, username }
+     * Identity comes from the JWT verified in the handshake
+     * Payload: none required
      */
-    socket.on("user-join", async (data) => {
+    socket.on("user-join", async () => {
       try {
-        const { userId, username } = data;
+        const userId = socket.userId;
 
         // Validate user exists in database
         const user = await User.findById(userId);
@@ -55,10 +274,8 @@ function initializeSocket(server) {
           });
         }
 
-        // Store socket session data
-        socket.userId = userId;
+        const username = user.username;
         socket.username = username;
-        socket.join(`user-${userId}`);
 
         console.log(`[USER-JOIN] ${username} (${userId}) connected via socket`);
 
@@ -73,6 +290,7 @@ function initializeSocket(server) {
 
         // Broadcast to all users that someone is online (optional)
         io.emit("user-online", { userId, username });
+        await notifyFriendsOfPresence(io, userId, true);
       } catch (error) {
         console.error("[USER-JOIN ERROR]", error);
         socket.emit("error", {
@@ -82,23 +300,136 @@ function initializeSocket(server) {
       }
     });
 
+    socket.on("disconnect", async () => {
+      console.log(`[DISCONNECT] Socket disconnected: ${socket.id}`);
+      clearTimeout(socket.tokenExpiryTimer);
+
+      // Offline once the user's last socket (on any instance) is gone
+      try {
+        const remaining = await io.in(`user-${socket.userId}`).fetchSockets();
+        if (remaining.length === 0) {
+          await notifyFriendsOfPresence(io, socket.userId, false);
+        }
+      } catch (error) {
+        console.error("[PRESENCE ERROR]", error);
+      }
+    });
+
+    // Game events run here or on the instance that owns the room / queue
+    registerGameEvents(socket, (event, handler) => {
+      socket.on(event, (data) => dispatchGameEvent(io, socket, event, data, handler));
+    });
+  });
+
+  /**
+   * Register game event handlers on a socket
+   * Called with the real socket, or with a stand-in for a socket connected
+   * to another instance when that instance forwards us one of its events
+   * @param {object} socket - Socket.IO socket or forwarded socket
+   * @param {function} on - (event, handler) registration
+   */
+  function registerGameEvents(socket, on) {
     // ============================================================
     // MATCH CREATION & JOINING
     // ============================================================
 
     /**
-     * Player 1: Create a new 1v1 match
+     * Player 1: Create a new match
      * Frontend sends: categoryId, userId (from JWT)
+     * Optional: mode ("duel" | "battle-royale" | "team"), maxPlayers (3-10),
+     * elimination (bool) and eliminatePerRound for battle royale rooms,
+     * teamSize (2 | 3), teamScoring ("sum" | "average") and teamId for team rooms,
+     * isPublic (default true; private rooms are joined by code or invite only),
+     * allowBot (default true) and botSkill ("easy" | "medium" | "hard") for public duels,
+     * difficultyCurve ("ascending" | "mixed"); the difficulty mix follows the players' ranks
      * Returns: matchId, questions (first question displayed)
      */
-    socket.on("create-match", async (data) => {
+    on("create-match", async (data) => {
       try {
-        const { categoryId, userId, numberOfQuestions, timePerQuestion } = data;
+        const { categoryId, numberOfQuestions, timePerQuestion } = data;
+        const userId = socket.userId;
         const socketId = socket.id;
 
         // Use provided values or defaults
         const questionsCount = numberOfQuestions || QUESTIONS_PER_MATCH;
         const questionTimeLimit = timePerQuestion || QUESTION_TIME_LIMIT;
+        const mode = data.mode || MATCH_MODES.DUEL;
+        const isRoyaleMode = mode === MATCH_MODES.BATTLE_ROYALE;
+        const isTeamMode = mode === MATCH_MODES.TEAM;
+        const teamSize = isTeamMode ? Number(data.teamSize) || 2 : null;
+        const teamScoring = data.teamScoring || "sum";
+        const teamId = data.teamId || TEAM_SIDES[0].teamId;
+        let maxPlayers = 2;
+        if (isRoyaleMode) maxPlayers = Number(data.maxPlayers) || ROYALE_MAX_PLAYERS;
+        if (isTeamMode) maxPlayers = teamSize * 2;
+        const eliminatePerRound = Number(data.eliminatePerRound) || 1;
+        // Private matches are never listed in the lobby: join by code or invite only
+        const isPublic = data.isPublic !== false;
+        const difficultyCurve = data.difficultyCurve || "ascending";
+        // Public duels get a bot opponent if nobody joins in time
+        const botSkill = data.botSkill || DEFAULT_BOT_SKILL;
+        const botFill =
+          mode === MATCH_MODES.DUEL && isPublic && data.allowBot !== false && BOT_JOIN_TIMEOUT > 0
+            ? { skill: botSkill }
+            : null;
+
+        if (!Object.values(MATCH_MODES).includes(mode)) {
+          return socket.emit("error", {
+            code: "INVALID_MODE",
+            message: `Mode must be one of: ${Object.values(MATCH_MODES).join(", ")}`,
+          });
+        }
+
+        // Validate room size (battle royale: 3-10 players)
+        if (isRoyaleMode && (maxPlayers < ROYALE_MIN_PLAYERS || maxPlayers > ROYALE_MAX_PLAYERS)) {
+          return socket.emit("error", {
+            code: "INVALID_MAX_PLAYERS",
+            message: `Battle royale rooms hold between ${ROYALE_MIN_PLAYERS} and ${ROYALE_MAX_PLAYERS} players`,
+          });
+        }
+
+        if (!DIFFICULTY_CURVES.includes(difficultyCurve)) {
+          return socket.emit("error", {
+            code: "INVALID_DIFFICULTY_CURVE",
+            message: `Difficulty curve must be one of: ${DIFFICULTY_CURVES.join(", ")}`,
+          });
+        }
+
+        if (botFill && !BOT_SKILLS[botSkill]) {
+          return socket.emit("error", {
+            code: "INVALID_BOT_SKILL",
+            message: `Bot skill must be one of: ${Object.keys(BOT_SKILLS).join(", ")}`,
+          });
+        }
+
+        if (isTeamMode && !TEAM_SIZES.includes(teamSize)) {
+          return socket.emit("error", {
+            code: "INVALID_TEAM_SIZE",
+            message: `Team size must be one of: ${TEAM_SIZES.join(", ")}`,
+          });
+        }
+
+        if (isTeamMode && !TEAM_SCORING.includes(teamScoring)) {
+          return socket.emit("error", {
+            code: "INVALID_TEAM_SCORING",
+            message: `Team scoring must be one of: ${TEAM_SCORING.join(", ")}`,
+          });
+        }
+
+        if (isTeamMode && !TEAM_SIDES.some((t) => t.teamId === teamId)) {
+          return socket.emit("error", {
+            code: "INVALID_TEAM",
+            message: `Team must be one of: ${TEAM_SIDES.map((t) => t.teamId).join(", ")}`,
+          });
+        }
+
+        // At least two players must survive every elimination round
+        if (isRoyaleMode && data.elimination && (eliminatePerRound < 1 || eliminatePerRound > maxPlayers - 2)) {
+          return socket.emit("error", {
+            code: "INVALID_ELIMINATION",
+            message: `Players eliminated per round must be between 1 and ${maxPlayers - 2}`,
+          });
+        }
 
         // Validate questions count (min 3, max 20)
         if (questionsCount < 3 || questionsCount > 20) {
@@ -154,25 +485,13 @@ function initializeSocket(server) {
         // Aligned with Backend Architecture: uses 'text', not 'questionText'
         let questions;
         try {
-          questions = await Question.aggregate([
-            {
-              $match: {
-                category: new mongoose.Types.ObjectId(categoryId),
-                isActive: { $ne: false } // Include active questions (or undefined)
-              }
-            },
-            { $sample: { size: questionsCount } }, // Randomly select questions
-            {
-              $project: {
-                _id: 1,
-                text: 1,
-                options: 1,
-                correctOptionId: 1,
-                difficulty: 1,
-                category: 1
-              }
-            }
-          ]);
+          // Fitted to the creator for now, refitted once the room is full
+          questions = await selectMatchQuestions({
+            categoryId,
+            count: questionsCount,
+            userIds: [userId],
+            curve: difficultyCurve,
+          });
 
           console.log(`[CREATE-MATCH] Found ${questions?.length || 0} questions for category ${categoryId}`);
         } catch (err) {
@@ -183,15 +502,6 @@ function initializeSocket(server) {
           });
         }
 
-        // Convert ObjectId strings back to ObjectIds if needed for consistency
-        if (questions) {
-          questions.forEach(q => {
-            if (q.category && typeof q.category === 'string') {
-              q.category = new mongoose.Types.ObjectId(q.category);
-            }
-          });
-        }
-
         if (!questions || questions.length === 0) {
           return socket.emit("error", {
             code: "INSUFFICIENT_QUESTIONS",
@@ -208,20 +518,35 @@ function initializeSocket(server) {
 
         // Create match document in MongoDB
         // Aligned with Backend Architecture schema
+        const elimination = {
+          enabled: isRoyaleMode && Boolean(data.elimination),
+          perRound: eliminatePerRound,
+        };
         const match = await Match.create({
           players: [{ user: userId, socketId }],
           category: categoryId,
           questions: questions.map((q) => q._id),
           scores: [{ userId, score: 0 }],
           state: "waiting", // Waiting for second player
+          isPublic,
+          questionTimeLimit,
+          mode,
+          maxPlayers,
+          host: isRoyaleMode ? userId : null,
+          elimination,
+          teamSize,
+          teamScoring,
+          teams: isTeamMode
+            ? TEAM_SIDES.map((t) => ({ ...t, members: t.teamId === teamId ? [userId] : [] }))
+            : [],
           startedAt: null,
           finishedAt: null,
         });
 
         const matchId = match._id.toString();
         
-        // Generate match code (first 12 chars of matchId, uppercase)
-        const matchCode = matchId.substring(0, 12).toUpperCase();
+        // Code players join with (random for private rooms)
+        const matchCode = createMatchCode(matchId, isPublic);
 
         // Store match in memory for real-time management
         gameRooms.set(matchId, {
@@ -231,11 +556,22 @@ function initializeSocket(server) {
           categoryName: category.name,
           numberOfQuestions: questionsCount,
           questionTimeLimit: questionTimeLimit,
+          isPublic,
+          botFill,
+          difficultyCurve,
+          mode,
+          maxPlayers,
+          hostId: isRoyaleMode ? userId : null,
+          elimination,
+          teamSize,
+          teamScoring,
+          teams: isTeamMode ? TEAM_SIDES : null,
           players: [
             {
               userId,
               socketId,
               username: socket.username,
+              teamId: isTeamMode ? teamId : null,
               answered: false,
               disconnected: false,
               finishReady: false,
@@ -253,10 +589,14 @@ function initializeSocket(server) {
         
         // Also store by code for quick lookup
         gameRooms.set(matchCode, gameRooms.get(matchId));
+        saveRoom(io, gameRooms.get(matchId));
+        if (botFill) {
+          scheduleBotFill(io, gameRooms.get(matchId), BOT_JOIN_TIMEOUT);
+        }
 
         // Add creator to match room
         socket.join(matchId);
-        socket.matchId = matchId;
+        leaveQueueEverywhere(io, userId);
 
         console.log(`[CREATE-MATCH] Match ${matchId} created, waiting for opponent`);
 
@@ -266,20 +606,38 @@ function initializeSocket(server) {
           matchCode,
           code: matchCode,
           categoryName: category.name,
-          message: "Match created! Waiting for opponent to join...",
-          playersNeeded: 1,
+          mode,
+          maxPlayers,
+          hostId: isRoyaleMode ? userId : null,
+          elimination,
+          teamSize,
+          teamScoring,
+          teamId: isTeamMode ? teamId : null,
+          isPublic,
+          botJoinsIn: botFill ? BOT_JOIN_TIMEOUT / 1000 : null,
+          message: isRoyaleMode
+            ? "Battle royale room created! Start it once enough players have joined."
+            : "Match created! Waiting for opponent to join...",
+          playersNeeded: isRoyaleMode ? ROYALE_MIN_PLAYERS - 1 : maxPlayers - 1,
         });
 
-        // Broadcast match availability to all players in lobby
-        io.emit("match-available", {
-          matchId,
-          categoryId,
-          categoryName: category.name,
-          creatorUsername: socket.username,
-          playersCount: 1,
-          maxPlayers: 2,
-          difficultyLevels: ["easy", "medium", "hard"],
-        });
+        // Broadcast public match availability to all players in lobby
+        if (isPublic) {
+          io.emit("match-available", {
+            matchId,
+            categoryId,
+            categoryName: category.name,
+            creatorUsername: socket.username,
+            mode,
+            teamSize,
+            playersCount: 1,
+            maxPlayers,
+            numberOfQuestions: questionsCount,
+            timePerQuestion: questionTimeLimit,
+            createdAt: gameRooms.get(matchId).createdAt,
+            difficultyLevels: ["easy", "medium", "hard"],
+          });
+        }
       } catch (error) {
         console.error("[CREATE-MATCH ERROR]", error);
         socket.emit("error", {
@@ -292,11 +650,13 @@ function initializeSocket(server) {
     /**
      * Player 2: Join an existing match
      * Frontend sends: matchId, userId (from JWT)
+     * Team rooms: optional teamId, otherwise the smaller side is picked
      * Returns: match-ready event, questions start being delivered
      */
-    socket.on("join-match", async (data) => {
+    on("join-match", async (data) => {
       try {
-        const { matchId, code, userId } = data;
+        const { matchId, code } = data;
+        const userId = socket.userId;
         const socketId = socket.id;
         
         if (!matchId && !code) {
@@ -308,7 +668,6 @@ function initializeSocket(server) {
 
         console.log(`[JOIN-MATCH] Player ${userId} joining match ${matchId || code}`);
         console.log(`[JOIN-MATCH] Available rooms: ${gameRooms.size}`);
-        console.log(`[JOIN-MATCH] Room keys:`, Array.from(gameRooms.keys()));
 
         // First, try to find room by code or matchId in memory
         let room = null;
@@ -342,10 +701,10 @@ function initializeSocket(server) {
           }
         }
         
-        // Fourth priority: try partial matchId if code looks like ObjectId start
+        // Fourth priority: try partial matchId if code looks like ObjectId start (public rooms only)
         if (!room && codeUpper && codeUpper.length >= 8) {
           for (const [key, value] of gameRooms.entries()) {
-            if (key && key.toString().toUpperCase().startsWith(codeUpper)) {
+            if (value && value.isPublic !== false && key.toString().toUpperCase().startsWith(codeUpper)) {
               room = value;
               targetMatchId = value.matchId || key;
               console.log(`[JOIN-MATCH] Found room by partial matchId: ${codeUpper} -> ${targetMatchId} (key: ${key})`);
@@ -354,10 +713,14 @@ function initializeSocket(server) {
           }
         }
         
+        // Private rooms are joined with their invite code only, never by match ID
+        if (room && room.isPublic === false && room.matchCode !== codeUpper) {
+          room = null;
+        }
+
         // If no room in memory, match doesn't exist or was cleaned up
         if (!room) {
           console.log(`[JOIN-MATCH] Room not found for code: ${codeUpper}, matchId: ${targetMatchId}`);
-          console.log(`[JOIN-MATCH] Available room codes:`, Array.from(gameRooms.entries()).map(([k, v]) => ({ key: k, matchCode: v?.matchCode, matchId: v?.matchId })));
           return socket.emit("error", {
             code: "MATCH_NOT_FOUND",
             message: "Match does not exist or has expired. Please check the match code or create a new match.",
@@ -365,7 +728,8 @@ function initializeSocket(server) {
         }
         
         // Validate room state
-        if (room.state !== "waiting" || room.players.length >= 2) {
+        const capacity = room.maxPlayers || 2;
+        if (room.state !== "waiting" || room.players.length >= capacity) {
           return socket.emit("error", {
             code: "MATCH_UNAVAILABLE",
             message: "Match is full or already started",
@@ -383,18 +747,56 @@ function initializeSocket(server) {
         }
         
         // Validate match state in database
-        if (match.state !== "waiting" || match.players.length >= 2) {
+        if (match.state !== "waiting" || match.players.length >= capacity) {
           return socket.emit("error", {
             code: "MATCH_UNAVAILABLE",
             message: "Match is full or already started",
           });
         }
 
-        // Add second player to match (MongoDB)
+        if (room.players.some((p) => p.userId === userId)) {
+          return socket.emit("error", {
+            code: "ALREADY_IN_MATCH",
+            message: "You already joined this match",
+          });
+        }
+
+        // Team rooms: join the requested side, or the side with fewer players
+        let teamId = null;
+        if (isTeamMatch(room)) {
+          const sideSize = (id) => room.players.filter((p) => p.teamId === id).length;
+          teamId = data.teamId || [...room.teams].sort((a, b) => sideSize(a.teamId) - sideSize(b.teamId))[0].teamId;
+
+          if (!room.teams.some((t) => t.teamId === teamId)) {
+            return socket.emit("error", {
+              code: "INVALID_TEAM",
+              message: `Team must be one of: ${room.teams.map((t) => t.teamId).join(", ")}`,
+            });
+          }
+          if (sideSize(teamId) >= room.teamSize) {
+            return socket.emit("error", {
+              code: "TEAM_FULL",
+              message: "That team is already full",
+            });
+          }
+        }
+
+        // Add player to match (MongoDB) - duels and team matches start as soon
+        // as they are full, a battle royale waits for its host
+        const startsNow = !isRoyale(room) && room.players.length + 1 >= capacity;
         match.players.push({ user: userId, socketId });
         match.scores.push({ userId, score: 0 });
-        match.state = "active";
-        match.startedAt = new Date();
+        if (teamId) {
+          match.teams.find((t) => t.teamId === teamId)?.members.push(userId);
+        }
+        if (startsNow) {
+          match.state = "active";
+          match.startedAt = new Date();
+          match.questions = await fitQuestionsToPlayers(room, [
+            ...room.players.map((p) => p.userId),
+            userId,
+          ]);
+        }
         await match.save();
 
         // Add player to memory room
@@ -402,15 +804,41 @@ function initializeSocket(server) {
           userId,
           socketId,
           username: socket.username,
+          teamId,
           answered: false,
           disconnected: false,
           finishReady: false,
         });
-        room.state = "active";
+        room.scores[userId] = 0;
+        if (startsNow) {
+          room.state = "active";
+        }
+        saveRoom(io, room);
 
-        // Join socket to match room
+        // Join socket to match room (a spectator who joins stops spectating)
         socket.join(targetMatchId);
-        socket.matchId = targetMatchId;
+        socket.leave(spectatorRoom(targetMatchId));
+        removeSpectator(io, room, socket.id);
+        leaveQueueEverywhere(io, userId);
+
+        if (!startsNow) {
+          console.log(
+            `[JOIN-MATCH] Player ${userId} joined ${room.mode} room ${targetMatchId} (${room.players.length}/${capacity})`
+          );
+          socket.emit("match-joined", {
+            matchId: targetMatchId,
+            mode: room.mode,
+            hostId: room.hostId,
+            teamId,
+            players: room.players.map((p) => ({
+              userId: p.userId,
+              username: p.username,
+              teamId: p.teamId || null,
+            })),
+          });
+          emitRoomUpdate(io, room);
+          return;
+        }
 
         console.log(
           `[JOIN-MATCH] Player ${userId} joined match ${targetMatchId}. Match starting...`
@@ -419,9 +847,11 @@ function initializeSocket(server) {
         // Notify both players
         io.to(targetMatchId).emit("match-ready", {
           matchId: targetMatchId,
+          mode: room.mode || MATCH_MODES.DUEL,
           players: room.players.map((p) => ({
             userId: p.userId,
             username: p.username,
+            teamId: p.teamId || null,
           })),
           message: "Both players connected! Battle starting...",
           startingIn: 2, // seconds
@@ -452,22 +882,16 @@ function initializeSocket(server) {
       }
     });
 
-    // ============================================================
-    // QUESTION & ANSWER HANDLING
-    // ============================================================
-
     /**
-     * Submit answer to current question
-     * Frontend sends: matchId, questionIndex, selectedOptionId (1-4)
-     * Validates against correctOptionId
-     * Awards 10 XP per correct answer
+     * Host starts a battle royale room
+     * Frontend sends: matchId
+     * Needs at least 3 players in the room
      */
-    socket.on("submit-answer", async (data) => {
+    on("start-match", async (data) => {
       try {
-        const { matchId, questionIndex, selectedOptionId } = data;
-        const userId = socket.userId;
-
+        const { matchId } = data || {};
         const room = gameRooms.get(matchId);
+
         if (!room) {
           return socket.emit("error", {
             code: "MATCH_NOT_FOUND",
@@ -475,157 +899,437 @@ function initializeSocket(server) {
           });
         }
 
-        // Get current question
-        const question = room.questionsData[questionIndex];
-        if (!question) {
+        if (!isRoyale(room)) {
           return socket.emit("error", {
-            code: "QUESTION_NOT_FOUND",
-            message: "Question not found",
+            code: "NOT_A_ROYALE_MATCH",
+            message: "Only battle royale rooms are started by their host",
           });
         }
 
-        // Validate answer: compare selectedOptionId with correctOptionId
-        // Aligned with Backend Architecture (1-4, not 0-3)
-        const isCorrect = selectedOptionId === question.correctOptionId;
+        if (room.hostId !== socket.userId) {
+          return socket.emit("error", {
+            code: "NOT_HOST",
+            message: "Only the host can start this match",
+          });
+        }
 
-        // Award XP (10 per correct, 0 per incorrect)
-        const xpAwarded = isCorrect ? XP_PER_CORRECT : 0;
-        room.scores[userId] = (room.scores[userId] || 0) + xpAwarded;
+        if (room.state !== "waiting") {
+          return socket.emit("error", {
+            code: "MATCH_UNAVAILABLE",
+            message: "Match already started",
+          });
+        }
 
-        // Store answer for results
-        room.answers[userId] = {
-          questionIndex,
-          selectedOptionId,
-          isCorrect,
-          xpAwarded,
-        };
+        if (room.players.length < ROYALE_MIN_PLAYERS) {
+          return socket.emit("error", {
+            code: "NOT_ENOUGH_PLAYERS",
+            message: `At least ${ROYALE_MIN_PLAYERS} players are needed to start`,
+          });
+        }
 
-        // Find correct option text for feedback
-        const correctOption = question.options.find(
-          (opt) => opt.id === question.correctOptionId
+        room.state = "active";
+        const questions = await fitQuestionsToPlayers(room, room.players.map((p) => p.userId));
+        saveRoom(io, room);
+        await Match.updateOne(
+          { _id: room.matchId },
+          { state: "active", startedAt: new Date(), questions }
         );
 
         console.log(
-          `[ANSWER] User ${userId} answered Q${questionIndex + 1}: ${
-            isCorrect ? "CORRECT" : "INCORRECT"
-          }`
+          `[START-MATCH] Host ${socket.userId} started battle royale ${room.matchId} with ${room.players.length} players`
         );
 
-        // Send feedback to answering player
-        socket.emit("answer-validated", {
-          questionIndex,
-          selectedOptionId,
-          isCorrect,
-          correctOptionId: question.correctOptionId,
-          correctOptionText: correctOption ? correctOption.text : "Unknown",
-          xpAwarded,
-          totalScore: room.scores[userId],
-          message: isCorrect ? "Correct! +10 XP" : `Incorrect. Correct: ${correctOption.text}`,
+        io.to(room.matchId).emit("match-ready", {
+          matchId: room.matchId,
+          mode: room.mode,
+          players: room.players.map((p) => ({
+            userId: p.userId,
+            username: p.username,
+          })),
+          message: "The host started the battle royale!",
+          startingIn: 2, // seconds
         });
 
-        // Mark player as answered
-        const player = room.players.find((p) => p.userId === userId);
-        if (player) {
-          player.answered = true;
-        }
-
-        // Notify opponent that you answered
-        io.to(matchId)
-          .except(socket.id)
-          .emit("opponent-answered", {
-            userId,
-            questionIndex,
-            hasAnswered: true,
-          });
+        io.emit("match-removed-from-lobby", { matchId: room.matchId });
 
-        console.log(
-          `[ANSWER-STATUS] Players answered in Q${questionIndex + 1}: ${room.players
-            .map((p) => p.answered)
-            .join(", ")}`
-        );
+        setTimeout(() => {
+          startMatch(io, room.matchId);
+        }, 2000);
+      } catch (error) {
+        console.error("[START-MATCH ERROR]", error);
+        socket.emit("error", {
+          code: "START_MATCH_FAILED",
+          message: "Failed to start match",
+        });
+      }
+    });
 
-        // Check if both players answered
-        if (room.players.every((p) => p.answered)) {
-          console.log(`[BOTH-ANSWERED] Displaying results for Q${questionIndex + 1}`);
-          displayQuestionResults(io, matchId, questionIndex);
-          
-          // Check if all questions are answered - if so, end match immediately
-          if (questionIndex + 1 >= room.questionsData.length) {
-            console.log(`[ALL-QUESTIONS-ANSWERED] Both players finished all questions, ending match immediately`);
-            // Wait a moment to show results, then end match
-            setTimeout(() => {
-              endMatch(io, matchId, { reason: "All questions answered" });
-            }, 2000); // 2 seconds to show final question results
-          }
-        }
+    /**
+     * Open public matches waiting for players
+     * Frontend sends: optional categoryId, mode
+     * Returns: lobby-matches (same shape as GET /api/matches/lobby)
+     */
+    on("get-lobby", async (data = {}) => {
+      try {
+        const matches = await listOpenMatches({ categoryId: data.categoryId, mode: data.mode });
+        socket.emit("lobby-matches", { matches });
       } catch (error) {
-        console.error("[SUBMIT-ANSWER ERROR]", error);
+        console.error("[GET-LOBBY ERROR]", error);
         socket.emit("error", {
-          code: "ANSWER_FAILED",
-          message: "Failed to submit answer",
+          code: "LOBBY_FAILED",
+          message: "Failed to load open matches",
         });
       }
     });
 
+    // ============================================================
+    // MATCHMAKING QUEUE
+    // ============================================================
+
     /**
-     * Finish quiz early - both players can click this on last question
-     * Ends the match immediately
+     * Join the skill-based matchmaking queue for a category
+     * Frontend sends: categoryId
+     * Returns: queue-joined with position and estimated wait
      */
-    socket.on("finish-quiz", (data) => {
+    on("join-queue", async (data) => {
       try {
-        const { matchId, userId } = data;
-        const room = gameRooms.get(matchId);
+        const { categoryId } = data || {};
+        const userId = socket.userId;
 
-        if (!room) {
+        if (Array.from(socket.rooms).some(isMatchRoomName)) {
           return socket.emit("error", {
-            code: "MATCH_NOT_FOUND",
-            message: "Match not found",
+            code: "ALREADY_IN_MATCH",
+            message: "Finish your current match before joining the queue",
           });
         }
 
-        // Mark player as ready to finish
-        const player = room.players.find((p) => p.userId === userId);
-        if (player) {
-          player.finishReady = true;
+        if (!categoryId || !mongoose.Types.ObjectId.isValid(categoryId)) {
+          return socket.emit("error", {
+            code: "CATEGORY_NOT_FOUND",
+            message: "A valid category ID is required",
+          });
         }
 
-        // Check if both players are ready to finish
-        if (room.players.length >= 2 && room.players.every((p) => p.finishReady)) {
-          console.log(`[FINISH-QUIZ] Both players ready, ending match ${matchId}`);
-          endMatch(io, matchId, { reason: "Both players finished quiz" });
-        } else {
-          console.log(`[FINISH-QUIZ] Player ${userId} ready, waiting for opponent`);
-          // Notify other players
-          io.to(matchId).except(socket.id).emit("opponent-finish-ready", {
-            message: "Opponent clicked Finish Quiz",
+        const [category, user] = await Promise.all([
+          Category.findById(categoryId),
+          User.findById(userId).select("categoryRatings"),
+        ]);
+
+        if (!category) {
+          return socket.emit("error", {
+            code: "CATEGORY_NOT_FOUND",
+            message: `Category with ID "${categoryId}" does not exist. Please check the category ID.`,
           });
         }
+
+        if (!user) {
+          return socket.emit("error", {
+            code: "USER_NOT_FOUND",
+            message: "User not found in database",
+          });
+        }
+
+        // Pair on the player's Elo rating in this category
+        const { rating } = getCategoryRating(user, category._id);
+
+        matchmakingQueue.enqueue({
+          userId,
+          socketId: socket.id,
+          username: socket.username,
+          categoryId: category._id.toString(),
+          categoryName: category.name,
+          skill: rating,
+        });
+
+        console.log(`[JOIN-QUEUE] ${userId} queued for ${category.name} (rating ${rating})`);
+
+        socket.emit("queue-joined", {
+          categoryName: category.name,
+          ...matchmakingQueue.getQueueStatus(userId),
+          message: "Searching for an opponent...",
+        });
       } catch (error) {
-        console.error("[FINISH-QUIZ ERROR]", error);
+        console.error("[JOIN-QUEUE ERROR]", error);
         socket.emit("error", {
-          code: "FINISH_QUIZ_FAILED",
-          message: "Failed to finish quiz",
+          code: "JOIN_QUEUE_FAILED",
+          message: "Failed to join matchmaking queue",
         });
       }
     });
 
     /**
-     * Request next question
-     * Both players emit this (or auto-advance)
-     * Moves to next question or ends match if no more
+     * Leave the matchmaking queue
      */
-    socket.on("next-question", (data) => {
-      try {
-        const { matchId } = data;
-        const room = gameRooms.get(matchId);
+    on("leave-queue", () => {
+      const entry = matchmakingQueue.removeFromQueue(socket.userId);
+      if (entry) {
+        console.log(`[LEAVE-QUEUE] ${socket.userId} left the ${entry.categoryName} queue`);
+      }
+      socket.emit("queue-left", { categoryId: entry ? entry.categoryId : null });
+    });
 
-        if (!room) {
-          return socket.emit("error", {
-            code: "MATCH_NOT_FOUND",
-            message: "Match not found",
+    // ============================================================
+    // QUESTION & ANSWER HANDLING
+    // ============================================================
+
+    /**
+     * Submit answer to current question
+     * Frontend sends: matchId, questionIndex and the answer for the question type:
+     * selectedOptionId (1-6), selectedOptionIds (multi-select) or answerValue (numeric, code output)
+     * Graded by gradeAnswer; multi-select earns partial credit
+     * Timed by the server from room.startTime: late, out-of-order and
+     * duplicate answers are rejected, faster correct answers earn more XP
+     */
+    on("submit-answer", async (data) => {
+      try {
+        const { matchId, questionIndex } = data;
+        const answer = answerFrom(data);
+        const userId = socket.userId;
+        const receivedAt = Date.now();
+
+        const room = gameRooms.get(matchId);
+        if (!room) {
+          return socket.emit("error", {
+            code: "MATCH_NOT_FOUND",
+            message: "Match not found",
+          });
+        }
+
+        const player = room.players.find((p) => p.userId === userId);
+        if (!player) {
+          return socket.emit("error", {
+            code: "NOT_IN_MATCH",
+            message: "You are not a player in this match",
+          });
+        }
+
+        if (player.eliminated) {
+          return socket.emit("answer-rejected", {
+            code: "ELIMINATED",
+            questionIndex,
+            message: "You have been eliminated from this match",
+          });
+        }
+
+        // Only the question currently on screen can be answered
+        if (
+          room.state !== "active" ||
+          !room.startTime ||
+          questionIndex !== room.currentQuestionIndex
+        ) {
+          return socket.emit("answer-rejected", {
+            code: "QUESTION_NOT_ACTIVE",
+            questionIndex,
+            message: "This question is not open for answers",
+          });
+        }
+
+        // Get current question
+        const question = room.questionsData[questionIndex];
+        if (!question) {
+          return socket.emit("error", {
+            code: "QUESTION_NOT_FOUND",
+            message: "Question not found",
+          });
+        }
+
+        if (player.answered || room.answers[userId]) {
+          return socket.emit("answer-rejected", {
+            code: "ALREADY_ANSWERED",
+            questionIndex,
+            message: "You already answered this question",
+          });
+        }
+
+        const timeLimitMs = (room.questionTimeLimit || QUESTION_TIME_LIMIT) * 1000;
+        const elapsedMs = receivedAt - room.startTime;
+        if (room.questionClosed || elapsedMs > timeLimitMs + ANSWER_LATENCY_GRACE) {
+          return socket.emit("answer-rejected", {
+            code: "ANSWER_TOO_LATE",
+            questionIndex,
+            message: "Time is up for this question",
+          });
+        }
+
+        // Option ids are 1-based (1-6, not 0-5)
+        const { isCorrect, credit } = gradeAnswer(question, answer);
+
+        // Award XP: base points plus a bonus for answering quickly, scaled by credit
+        const timeSpentMs = Math.min(elapsedMs, timeLimitMs);
+        const xpAwarded = calculateAnswerPoints({
+          isCorrect,
+          credit,
+          timeSpent: timeSpentMs,
+          timeLimit: timeLimitMs,
+          basePoints: XP_PER_CORRECT,
+          maxSpeedBonus: MAX_SPEED_BONUS,
+        });
+        room.scores[userId] = (room.scores[userId] || 0) + xpAwarded;
+        const timeSpent = Math.round(timeSpentMs / 100) / 10; // seconds, 0.1s precision
+
+        // Store answer for results
+        room.answers[userId] = {
+          questionIndex,
+          ...answer,
+          isCorrect,
+          credit,
+          xpAwarded,
+          timeSpent,
+        };
+
+        // Mark player as answered
+        player.answered = true;
+        if (isCorrect) {
+          player.correctCount = (player.correctCount || 0) + 1;
+        }
+        saveRoom(io, room);
+
+        // Persist the answer on the Match document
+        Match.updateOne(
+          { _id: room.matchId, "players.user": userId },
+          {
+            $push: {
+              "players.$.answers": {
+                questionId: question._id,
+                questionIndex,
+                ...answer,
+                isCorrect,
+                credit,
+                timeSpent,
+                pointsAwarded: xpAwarded,
+              },
+            },
+          }
+        ).catch((err) => console.error("[ANSWER-PERSIST ERROR]", err));
+
+        console.log(
+          `[ANSWER] User ${userId} answered Q${questionIndex + 1}: ${
+            isCorrect ? "CORRECT" : "INCORRECT"
+          } in ${timeSpent}s (+${xpAwarded})`
+        );
+
+        // Send feedback to answering player
+        socket.emit("answer-validated", {
+          questionIndex,
+          ...answer,
+          isCorrect,
+          credit,
+          xpAwarded,
+          timeSpent,
+          totalScore: room.scores[userId],
+          // The correct option is only revealed in question-results
+          message: isCorrect
+            ? `Correct! +${xpAwarded} XP`
+            : credit > 0
+              ? `Partly correct +${xpAwarded} XP`
+              : "Incorrect",
+        });
+
+        // Notify opponent that you answered
+        io.to(matchId)
+          .except(socket.id)
+          .emit("opponent-answered", {
+            userId,
+            questionIndex,
+            hasAnswered: true,
+          });
+
+        // Spectators only learn that an answer is in, never whether it was right
+        io.to(spectatorRoom(matchId)).emit("player-answered", {
+          userId,
+          questionIndex,
+          answeredCount: room.players.filter((p) => p.answered).length,
+        });
+
+        console.log(
+          `[ANSWER-STATUS] Players answered in Q${questionIndex + 1}: ${room.players
+            .map((p) => p.answered)
+            .join(", ")}`
+        );
+
+        // Show results once every player still in the match has answered
+        closeQuestionIfAllAnswered(io, room);
+      } catch (error) {
+        console.error("[SUBMIT-ANSWER ERROR]", error);
+        socket.emit("error", {
+          code: "ANSWER_FAILED",
+          message: "Failed to submit answer",
+        });
+      }
+    });
+
+    /**
+     * Finish quiz early - both players can click this on last question
+     * Ends the match immediately
+     */
+    on("finish-quiz", (data) => {
+      try {
+        const { matchId } = data;
+        const userId = socket.userId;
+        const room = gameRooms.get(matchId);
+
+        if (!room) {
+          return socket.emit("error", {
+            code: "MATCH_NOT_FOUND",
+            message: "Match not found",
+          });
+        }
+
+        // Mark player as ready to finish
+        const player = room.players.find((p) => p.userId === userId);
+        if (player) {
+          player.finishReady = true;
+          saveRoom(io, room);
+        }
+
+        // Check if every player still in the match is ready to finish
+        const contenders = activePlayers(room);
+        if (contenders.length >= 2 && contenders.every((p) => p.finishReady || p.isBot)) {
+          console.log(`[FINISH-QUIZ] Both players ready, ending match ${matchId}`);
+          endMatch(io, matchId, { reason: "Both players finished quiz" });
+        } else {
+          console.log(`[FINISH-QUIZ] Player ${userId} ready, waiting for opponent`);
+          // Notify other players
+          io.to(matchId).except(socket.id).emit("opponent-finish-ready", {
+            message: "Opponent clicked Finish Quiz",
+          });
+        }
+      } catch (error) {
+        console.error("[FINISH-QUIZ ERROR]", error);
+        socket.emit("error", {
+          code: "FINISH_QUIZ_FAILED",
+          message: "Failed to finish quiz",
+        });
+      }
+    });
+
+    /**
+     * Request next question
+     * Both players emit this (or auto-advance)
+     * Moves to next question or ends match if no more
+     */
+    on("next-question", (data) => {
+      try {
+        const { matchId } = data;
+        const room = gameRooms.get(matchId);
+
+        if (!room) {
+          return socket.emit("error", {
+            code: "MATCH_NOT_FOUND",
+            message: "Match not found",
           });
         }
 
+        // Both players emit this - only advance once the current results are out
+        if (!room.players.some((p) => p.userId === socket.userId) || !room.questionClosed) {
+          return;
+        }
+
+        // Battle royale down to its last player
+        if (isRoyale(room) && activePlayers(room).length < 2) {
+          return endMatch(io, matchId, { reason: "Last player standing" });
+        }
+
         // Move to next question
         room.currentQuestionIndex++;
         console.log(
@@ -658,7 +1362,7 @@ function initializeSocket(server) {
      * Used when client timer drifts
      * Returns remaining time for current question
      */
-    socket.on("sync-timer", (data) => {
+    on("sync-timer", (data) => {
       try {
         const { matchId } = data;
         const room = gameRooms.get(matchId);
@@ -687,14 +1391,27 @@ function initializeSocket(server) {
      * Player forfeits the match
      * Opponent wins by default
      */
-    socket.on("forfeit-match", async (data) => {
+    on("forfeit-match", async (data) => {
       try {
         const { matchId } = data;
         const userId = socket.userId;
 
+        const room = gameRooms.get(matchId);
+        if (room && !room.players.some((p) => p.userId === userId)) {
+          return socket.emit("error", {
+            code: "NOT_IN_MATCH",
+            message: "You are not a player in this match",
+          });
+        }
+
         console.log(`[FORFEIT] Player ${userId} forfeited match ${matchId}`);
 
-        const room = gameRooms.get(matchId);
+        // Battle royale / team match: only the forfeiting player is out
+        if (room && isMultiplayer(room)) {
+          await forfeitMultiplayer(io, room, userId, "Player forfeited");
+          return;
+        }
+
         if (room) {
           // Opponent wins - they get bonus points
           const opponent = room.players.find((p) => p.userId !== userId);
@@ -717,9 +1434,10 @@ function initializeSocket(server) {
      * Reconnect to ongoing match
      * If player disconnected and reconnects within grace period
      */
-    socket.on("reconnect-match", async (data) => {
+    on("reconnect-match", async (data) => {
       try {
-        const { matchId, userId } = data;
+        const { matchId } = data;
+        const userId = socket.userId;
         const room = gameRooms.get(matchId);
 
         if (!room) {
@@ -729,17 +1447,26 @@ function initializeSocket(server) {
           });
         }
 
+        // Only players of this match can reconnect to it
+        const player = room.players.find((p) => p.userId === userId);
+        if (!player) {
+          return socket.emit("error", {
+            code: "NOT_IN_MATCH",
+            message: "You are not a player in this match",
+          });
+        }
+
         // Restore socket connection
-        socket.userId = userId;
-        socket.matchId = matchId;
         socket.join(matchId);
 
         // Mark player as reconnected
-        const player = room.players.find((p) => p.userId === userId);
-        if (player) {
-          player.disconnected = false;
-          player.socketId = socket.id;
+        player.disconnected = false;
+        player.socketId = socket.id;
+        player.reconnectDeadline = null;
+        if (room.graceTimers) {
+          clearTimeout(room.graceTimers[userId]);
         }
+        saveRoom(io, room);
 
         console.log(`[RECONNECT] Player ${userId} reconnected to match ${matchId}`);
 
@@ -752,7 +1479,11 @@ function initializeSocket(server) {
         socket.emit("match-state-restored", {
           matchId,
           currentQuestionIndex: room.currentQuestionIndex,
-          currentQuestion: room.questionsData[room.currentQuestionIndex],
+          currentQuestion: toPublicQuestion(room.questionsData[room.currentQuestionIndex]),
+          questionClosed: Boolean(room.questionClosed),
+          timeRemaining: room.questionDeadline && !room.questionClosed
+            ? Math.max(0, room.questionDeadline - Date.now())
+            : 0,
           scores: room.scores,
           state: room.state,
           players: room.players.map((p) => ({
@@ -771,86 +1502,547 @@ function initializeSocket(server) {
     });
 
     // ============================================================
-    // DISCONNECTION HANDLING
+    // SPECTATORS
     // ============================================================
 
-    socket.on("disconnect", () => {
-      console.log(`[DISCONNECT] Socket disconnected: ${socket.id}`);
-
-      const matchId = socket.matchId;
-      if (matchId) {
-        const room = gameRooms.get(matchId);
-        if (room) {
-          const player = room.players.find((p) => p.socketId === socket.id);
-          if (player) {
-            player.disconnected = true;
-            console.log(
-              `[DISCONNECT] Player ${player.userId} disconnected from match ${matchId}`
-            );
+    /**
+     * Watch a public match without playing
+     * Frontend sends: matchId (or code)
+     * Spectators receive question-display, question-results, scores and
+     * match-ended like players, but never anything that gives an answer away
+     */
+    on("spectate-match", (data = {}) => {
+      const room = findLocalRoom(io, data);
 
-            // Notify opponent
-            io.to(matchId)
-              .except(socket.id)
-              .emit("opponent-disconnected", {
-                userId: player.userId,
-                message: "Opponent disconnected. Waiting for reconnection...",
-                reconnectTimeLimit: RECONNECT_GRACE_PERIOD / 1000,
-              });
+      if (!room || room.ending) {
+        return socket.emit("error", {
+          code: "MATCH_NOT_FOUND",
+          message: "Match not found or already over",
+        });
+      }
+      if (room.isPublic === false) {
+        return socket.emit("error", {
+          code: "MATCH_PRIVATE",
+          message: "Private matches cannot be spectated",
+        });
+      }
+      if (room.players.some((p) => p.userId === socket.userId)) {
+        return socket.emit("error", {
+          code: "ALREADY_IN_MATCH",
+          message: "You are playing in this match",
+        });
+      }
 
-            // Set grace period for reconnection
-            const gracePeriodTimeout = setTimeout(() => {
-              // Check if player is still disconnected
-              const stillDisconnected = room.players.find(
-                (p) => p.userId === player.userId && p.disconnected
-              );
-
-              if (stillDisconnected) {
-                console.log(
-                  `[GRACE-PERIOD-EXPIRED] Player ${player.userId} did not reconnect`
-                );
-                // Player forfeited - opponent wins
-                endMatch(io, matchId, {
-                  forfeiter: player.userId,
-                  reason: "Did not reconnect in time",
-                });
-              }
-            }, RECONNECT_GRACE_PERIOD);
-
-            // Store timeout ID for potential cancellation
-            room.gracePeriodTimeout = gracePeriodTimeout;
-          }
-        }
+      const channel = spectatorRoom(room.matchId);
+      socket.join(channel);
+      room.spectators = room.spectators || [];
+      if (!room.spectators.includes(socket.id)) {
+        room.spectators.push(socket.id);
       }
+      saveRoom(io, room);
+
+      console.log(`[SPECTATE] ${socket.userId} is watching ${room.matchId} (${room.spectators.length} spectators)`);
+
+      // The open question is only sent once it is on the players' screens
+      const questionOpen = room.state === "active" && room.startTime && !room.questionClosed;
+      socket.emit("spectating", {
+        matchId: room.matchId,
+        mode: room.mode || MATCH_MODES.DUEL,
+        categoryName: room.categoryName,
+        state: room.state,
+        players: room.players.map((p) => ({
+          userId: p.userId,
+          username: p.username,
+          teamId: p.teamId || null,
+          eliminated: Boolean(p.eliminated),
+        })),
+        scores: room.scores,
+        standings: buildStandings(room),
+        teamStandings: isTeamMatch(room) ? buildTeamStandings(room) : undefined,
+        totalQuestions: room.questionsData.length,
+        currentQuestionIndex: room.currentQuestionIndex,
+        currentQuestion: questionOpen
+          ? toPublicQuestion(room.questionsData[room.currentQuestionIndex])
+          : null,
+        timeRemaining: questionOpen ? Math.max(0, room.questionDeadline - Date.now()) : 0,
+        spectatorCount: room.spectators.length,
+      });
+
+      emitSpectatorCount(io, room);
     });
-  });
 
-  return io;
-}
+    /**
+     * Stop watching a match
+     * Frontend sends: matchId (or code)
+     */
+    on("leave-spectate", (data = {}) => {
+      const room = findLocalRoom(io, data);
+      if (!room) return;
 
-// ============================================================
-// HELPER FUNCTIONS
-// ============================================================
+      socket.leave(spectatorRoom(room.matchId));
+      removeSpectator(io, room, socket.id);
+    });
 
-/**
- * Start match and deliver first question
- */
-function startMatch(io, matchId) {
-  const room = gameRooms.get(matchId);
-  if (!room) return;
+    // ============================================================
+    // FRIEND CHALLENGES
+    // ============================================================
+    // The challenger creates a match with create-match, then invites a friend
+    // to it. The friend accepts by sending join-match with the invite's code.
 
-  room.state = "active";
-  console.log(`[START-MATCH] Match ${matchId} starting. Category: ${room.categoryName}`);
+    /**
+     * Invite a friend to the challenger's waiting match
+     * Frontend sends: friendId, matchId (or code)
+     */
+    on("challenge-friend", async (data = {}) => {
+      try {
+        const { friendId } = data;
+        const room = findLocalRoom(io, data);
 
-  io.to(matchId).emit("start-battle", {
-    matchId,
-    categoryName: room.categoryName,
-    totalQuestions: room.questionsData.length,
-    questionDuration: room.questionTimeLimit || QUESTION_TIME_LIMIT,
-    message: `Battle started! Answer ${room.questionsData.length} questions about ${room.categoryName}`,
-  });
+        if (!room || room.state !== "waiting") {
+          return socket.emit("error", {
+            code: "MATCH_NOT_FOUND",
+            message: "Create a match first, then challenge a friend to it",
+          });
+        }
+        if (!room.players.some((p) => p.userId === socket.userId)) {
+          return socket.emit("error", {
+            code: "NOT_IN_MATCH",
+            message: "You can only invite friends to your own match",
+          });
+        }
+        if (room.players.length >= (room.maxPlayers || 2)) {
+          return socket.emit("error", {
+            code: "MATCH_FULL",
+            message: "This match is already full",
+          });
+        }
+        if (
+          !friendId ||
+          !mongoose.Types.ObjectId.isValid(friendId) ||
+          !(await areFriends(socket.userId, friendId))
+        ) {
+          return socket.emit("error", {
+            code: "NOT_FRIENDS",
+            message: "You can only challenge your friends",
+          });
+        }
 
-  // Deliver first question after 1 second
-  setTimeout(() => {
+        console.log(`[CHALLENGE-FRIEND] ${socket.userId} invited ${friendId} to ${room.matchId}`);
+
+        io.to(`user-${friendId}`).emit("friend-challenge", {
+          matchId: room.matchId,
+          matchCode: room.matchCode,
+          code: room.matchCode,
+          from: { userId: socket.userId, username: socket.username },
+          categoryName: room.categoryName,
+          mode: room.mode,
+          maxPlayers: room.maxPlayers,
+          numberOfQuestions: room.numberOfQuestions,
+          timePerQuestion: room.questionTimeLimit,
+          message: `${socket.username || "A friend"} challenged you! Send join-match with this code to accept.`,
+        });
+
+        socket.emit("friend-challenge-sent", { matchId: room.matchId, friendId });
+      } catch (error) {
+        console.error("[CHALLENGE-FRIEND ERROR]", error);
+        socket.emit("error", {
+          code: "CHALLENGE_FRIEND_FAILED",
+          message: "Failed to challenge friend",
+        });
+      }
+    });
+
+    /**
+     * Decline a friend's invite; the players waiting in the match are told
+     * Frontend sends: matchId (or code)
+     */
+    on("decline-friend-challenge", (data = {}) => {
+      const room = findLocalRoom(io, data);
+      if (!room || room.state !== "waiting") return;
+
+      console.log(`[CHALLENGE-FRIEND] ${socket.userId} declined ${room.matchId}`);
+      io.to(room.matchId).emit("friend-challenge-declined", {
+        matchId: room.matchId,
+        userId: socket.userId,
+        username: socket.username,
+      });
+    });
+
+    // ============================================================
+    // ASYNC CHALLENGES
+    // ============================================================
+    // Challenges live in MongoDB rather than a room, so any instance can
+    // serve them. The REST routes under /api/challenges do the same.
+
+    // Errors thrown with httpError carry a client-facing code and message
+    const emitServiceError = (error, fallbackCode, fallbackMessage) => {
+      if (!error.status) console.error(`[${fallbackCode}]`, error);
+      socket.emit("error", {
+        code: error.code || fallbackCode,
+        message: error.status ? error.message : fallbackMessage,
+      });
+    };
+
+    /**
+     * Challenge another player to play the same questions later
+     * Frontend sends: opponentId, categoryId, numberOfQuestions, timePerQuestion
+     */
+    on("create-challenge", async (data = {}) => {
+      try {
+        const challenge = await createChallenge(io, { ...data, challengerId: socket.userId });
+        socket.emit("challenge-created", challenge);
+      } catch (error) {
+        emitServiceError(error, "CREATE_CHALLENGE_FAILED", "Failed to create challenge");
+      }
+    });
+
+    /**
+     * Serve the player's next challenge question and start its timer
+     * Frontend sends: matchId
+     */
+    on("challenge-next-question", async (data = {}) => {
+      try {
+        const question = await nextChallengeQuestion(io, data.matchId, socket.userId);
+        socket.emit("challenge-question", question);
+      } catch (error) {
+        emitServiceError(error, "CHALLENGE_QUESTION_FAILED", "Failed to load question");
+      }
+    });
+
+    /**
+     * Answer the open challenge question
+     * Frontend sends: matchId, questionIndex, selectedOptionId | selectedOptionIds | answerValue
+     */
+    on("challenge-answer", async (data = {}) => {
+      try {
+        const result = await submitChallengeAnswer(io, data.matchId, socket.userId, data);
+        socket.emit("challenge-answer-result", { matchId: data.matchId, ...result });
+      } catch (error) {
+        emitServiceError(error, "CHALLENGE_ANSWER_FAILED", "Failed to submit answer");
+      }
+    });
+
+    // ============================================================
+    // QUESTION REPORTS
+    // ============================================================
+    // Read from the stored Match, so any instance can take the report
+
+    /**
+     * Report a bad question, e.g. while question-results are shown
+     * Frontend sends: matchId, questionIndex, reason (wrong-answer, typo, ambiguous, offensive), comment
+     */
+    on("report-question", async (data = {}) => {
+      try {
+        const report = await reportQuestion(socket.userId, {
+          matchId: data.matchId,
+          questionIndex: data.questionIndex,
+          reason: data.reason,
+          comment: data.comment,
+        });
+        socket.emit("question-reported", {
+          matchId: data.matchId,
+          questionIndex: data.questionIndex,
+          reportId: report.reportId,
+          reason: report.reason,
+        });
+      } catch (error) {
+        emitServiceError(error, "REPORT_QUESTION_FAILED", "Failed to report question");
+      }
+    });
+
+    // ============================================================
+    // PRACTICE (SOLO)
+    // ============================================================
+    // Same flow as the REST routes under /api/practice
+
+    /**
+     * Start a practice session
+     * Frontend sends: categoryId, optional difficulty and numberOfQuestions
+     * Returns: practice-started with the first question
+     */
+    on("start-practice", async (data = {}) => {
+      try {
+        const result = await startPractice({ ...data, userId: socket.userId });
+        socket.emit("practice-started", result);
+      } catch (error) {
+        emitServiceError(error, "START_PRACTICE_FAILED", "Failed to start practice");
+      }
+    });
+
+    /**
+     * Answer the current practice question
+     * Frontend sends: sessionId, questionIndex, selectedOptionId | selectedOptionIds | answerValue
+     * Returns: practice-feedback with the correct answer, explanation and next question
+     */
+    on("practice-answer", async (data = {}) => {
+      try {
+        const feedback = await answerPractice(data.sessionId, socket.userId, data);
+        socket.emit("practice-feedback", feedback);
+      } catch (error) {
+        emitServiceError(error, "PRACTICE_ANSWER_FAILED", "Failed to submit answer");
+      }
+    });
+
+    /**
+     * End a practice session early
+     * Frontend sends: sessionId
+     */
+    on("finish-practice", async (data = {}) => {
+      try {
+        const summary = await finishPractice(data.sessionId, socket.userId);
+        socket.emit("practice-finished", summary);
+      } catch (error) {
+        emitServiceError(error, "FINISH_PRACTICE_FAILED", "Failed to finish practice");
+      }
+    });
+
+    // ============================================================
+    // DISCONNECTION HANDLING
+    // ============================================================
+
+    on("disconnect", () => {
+      // Drop from matchmaking unless the user is queued from another socket
+      const queued = socket.userId ? matchmakingQueue.getEntry(socket.userId) : null;
+      if (queued && queued.socketId === socket.id) {
+        matchmakingQueue.removeFromQueue(socket.userId);
+      }
+
+      // Stop counting the socket as a spectator of our rooms
+      for (const room of new Set(gameRooms.values())) {
+        if (room.spectators && room.spectators.includes(socket.id)) {
+          removeSpectator(io, room, socket.id);
+        }
+      }
+
+      const matchId = findRoomIdBySocket(io, socket.id);
+      if (matchId) {
+        const room = gameRooms.get(matchId);
+        if (room) {
+          const player = room.players.find((p) => p.socketId === socket.id);
+          if (player && !player.eliminated) {
+            player.disconnected = true;
+            console.log(
+              `[DISCONNECT] Player ${player.userId} disconnected from match ${matchId}`
+            );
+
+            // Notify opponent
+            io.to(matchId)
+              .except(socket.id)
+              .emit("opponent-disconnected", {
+                userId: player.userId,
+                message: "Opponent disconnected. Waiting for reconnection...",
+                reconnectTimeLimit: RECONNECT_GRACE_PERIOD / 1000,
+              });
+
+            // Set grace period for reconnection
+            startReconnectGracePeriod(io, matchId, player.userId, Date.now() + RECONNECT_GRACE_PERIOD);
+            saveRoom(io, room);
+          }
+        }
+      }
+    });
+  }
+
+  return io;
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+/**
+ * Socket.IO handshake middleware
+ * Verifies the access token (auth.token, ?token= or Authorization header)
+ * and binds socket.userId / socket.username from it
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const { auth = {}, query = {}, headers = {} } = socket.handshake;
+    const token =
+      auth.token ||
+      query.token ||
+      (headers.authorization && headers.authorization.split(" ")[1]);
+
+    if (!token) {
+      const err = new Error("No token provided. Please login.");
+      err.data = { code: "NO_TOKEN" };
+      return next(err);
+    }
+
+    const decoded = verifyToken(token);
+    const user = await User.findById(decoded.id).select("_id username isActive");
+
+    if (!user || user.isActive === false) {
+      const err = new Error("User not found. Please login again.");
+      err.data = { code: "USER_NOT_FOUND" };
+      return next(err);
+    }
+
+    socket.userId = user._id.toString();
+    socket.username = user.username;
+    socket.tokenExpiresAt = decoded.exp * 1000;
+    next();
+  } catch (error) {
+    const err = new Error("Invalid or expired token. Please login again.");
+    err.data = { code: error.name === "TokenExpiredError" ? "TOKEN_EXPIRED" : "INVALID_TOKEN" };
+    next(err);
+  }
+}
+
+/**
+ * Tell the client shortly before its access token expires so it can refresh
+ */
+function scheduleTokenExpiryWarning(socket) {
+  clearTimeout(socket.tokenExpiryTimer);
+
+  const delay = socket.tokenExpiresAt - Date.now() - TOKEN_EXPIRY_WARNING;
+  socket.tokenExpiryTimer = setTimeout(() => {
+    socket.emit("token-expiring", {
+      expiresAt: new Date(socket.tokenExpiresAt).toISOString(),
+      message: "Access token is about to expire. Send refresh-token with a new token.",
+    });
+  }, Math.max(delay, 0));
+}
+
+/**
+ * Pair queued players, start their matches and update everyone still waiting
+ */
+function runMatchmaking(io) {
+  const { matchmakingQueue } = stateOf(io);
+  const pairs = matchmakingQueue.findMatches();
+
+  for (const pair of pairs) {
+    createQueuedMatch(io, pair).catch((error) => {
+      console.error("[MATCHMAKING ERROR]", error);
+    });
+  }
+
+  for (const entry of matchmakingQueue.listQueued()) {
+    const status = matchmakingQueue.getQueueStatus(entry.userId);
+    if (status) {
+      io.to(entry.socketId).emit("queue-status", status);
+    }
+  }
+}
+
+/**
+ * Create a match for two queued players and start it straight away
+ */
+async function createQueuedMatch(io, [first, second]) {
+  const { gameRooms } = stateOf(io);
+  const { categoryId, categoryName } = first;
+  const entries = [first, second];
+
+  const questions = await selectMatchQuestions({
+    categoryId,
+    count: QUESTIONS_PER_MATCH,
+    userIds: entries.map((e) => e.userId),
+  });
+  if (questions.length < QUESTIONS_PER_MATCH) {
+    entries.forEach((entry) => {
+      io.to(entry.socketId).emit("error", {
+        code: "INSUFFICIENT_QUESTIONS",
+        message: `Not enough questions in category "${categoryName}" to start a match.`,
+      });
+    });
+    return;
+  }
+
+  const match = await Match.create({
+    players: entries.map((e) => ({ user: e.userId, socketId: e.socketId })),
+    category: categoryId,
+    questions: questions.map((q) => q._id),
+    scores: entries.map((e) => ({ userId: e.userId, score: 0 })),
+    state: "active",
+    questionTimeLimit: QUESTION_TIME_LIMIT,
+    startedAt: new Date(),
+    finishedAt: null,
+  });
+
+  const matchId = match._id.toString();
+  const matchCode = createMatchCode(matchId, true);
+
+  gameRooms.set(matchId, {
+    matchId,
+    matchCode,
+    categoryId,
+    categoryName,
+    numberOfQuestions: QUESTIONS_PER_MATCH,
+    questionTimeLimit: QUESTION_TIME_LIMIT,
+    mode: MATCH_MODES.DUEL,
+    maxPlayers: 2,
+    hostId: null,
+    players: entries.map((e) => ({
+      userId: e.userId,
+      socketId: e.socketId,
+      username: e.username,
+      answered: false,
+      disconnected: false,
+      finishReady: false,
+    })),
+    questionsData: questions,
+    currentQuestionIndex: 0,
+    scores: Object.fromEntries(entries.map((e) => [e.userId, 0])),
+    answers: {},
+    state: "active",
+    startTime: null,
+    timerInterval: null,
+    createdAt: new Date(),
+  });
+  gameRooms.set(matchCode, gameRooms.get(matchId));
+  saveRoom(io, gameRooms.get(matchId));
+
+  // Move both sockets into the match room, wherever they are connected
+  entries.forEach((entry) => {
+    io.in(entry.socketId).socketsJoin(matchId);
+  });
+
+  console.log(`[MATCHMAKING] Paired ${first.userId} vs ${second.userId} in ${categoryName} (match ${matchId})`);
+
+  entries.forEach((entry) => {
+    const opponent = entries.find((e) => e.userId !== entry.userId);
+    io.to(entry.socketId).emit("match-found", {
+      matchId,
+      matchCode,
+      categoryId,
+      categoryName,
+      opponent: { userId: opponent.userId, username: opponent.username },
+    });
+  });
+
+  io.to(matchId).emit("match-ready", {
+    matchId,
+    players: entries.map((e) => ({ userId: e.userId, username: e.username })),
+    message: "Opponent found! Battle starting...",
+    startingIn: 2, // seconds
+  });
+
+  setTimeout(() => {
+    startMatch(io, matchId);
+  }, 2000);
+}
+
+/**
+ * Start match and deliver first question
+ */
+function startMatch(io, matchId) {
+  const { gameRooms } = stateOf(io);
+  const room = gameRooms.get(matchId);
+  if (!room) return;
+
+  room.state = "active";
+  console.log(`[START-MATCH] Match ${matchId} starting. Category: ${room.categoryName}`);
+
+  io.to(matchId).to(spectatorRoom(matchId)).emit("start-battle", {
+    matchId,
+    categoryName: room.categoryName,
+    totalQuestions: room.questionsData.length,
+    questionDuration: room.questionTimeLimit || QUESTION_TIME_LIMIT,
+    message: `Battle started! Answer ${room.questionsData.length} questions about ${room.categoryName}`,
+  });
+
+  // Deliver first question after 1 second
+  setTimeout(() => {
     deliverQuestion(io, matchId, 0);
   }, 1000);
 }
@@ -860,6 +2052,7 @@ function startMatch(io, matchId) {
  * Aligned with Backend Architecture: uses 'text', not 'questionText'
  */
 function deliverQuestion(io, matchId, questionIndex) {
+  const { gameRooms } = stateOf(io);
   const room = gameRooms.get(matchId);
   if (!room || !room.questionsData[questionIndex]) {
     console.error(`[DELIVER-QUESTION] Invalid question at index ${questionIndex}`);
@@ -871,69 +2064,159 @@ function deliverQuestion(io, matchId, questionIndex) {
 
   // Reset answered flags for new question
   room.players.forEach((p) => (p.answered = false));
+  room.currentQuestionIndex = questionIndex;
+  room.questionClosed = false;
   room.startTime = Date.now();
+  room.questionDeadline = room.startTime + timeLimit * 1000;
 
   console.log(`[DELIVER-QUESTION] Delivering Q${questionIndex + 1} for match ${matchId} (${timeLimit}s limit)`);
 
-  // Emit question to both players
-  io.to(matchId).emit("question-display", {
+  // Emit question to both players (and spectators) - public projection only, no answer
+  const publicQuestion = toPublicQuestion(question);
+  io.to(matchId).to(spectatorRoom(matchId)).emit("question-display", {
     questionIndex,
-    questionText: question.text, // Aligned: 'text', not 'questionText'
-    options: question.options, // Aligned: Array of {id, text}
-    correctOptionId: question.correctOptionId, // Include correct answer ID for frontend
-    difficulty: question.difficulty,
+    questionText: publicQuestion.text, // Aligned: 'text', not 'questionText'
+    type: publicQuestion.type,
+    codeSnippet: publicQuestion.codeSnippet,
+    options: publicQuestion.options, // Aligned: Array of {id, text}, empty for numeric and code output
+    difficulty: publicQuestion.difficulty,
     timeLimit: timeLimit,
     questionNumber: questionIndex + 1,
     totalQuestions: room.questionsData.length,
   });
 
+  // Remember who has seen it so later matches prefer fresh questions
+  const viewers = room.players.filter((p) => !p.isBot).map((p) => p.userId);
+  recordServedQuestions(viewers, [question]).catch((error) =>
+    console.error(`[DELIVER-QUESTION] Failed to record served question for ${matchId}:`, error)
+  );
+
   // Set auto-timeout: if both don't answer in time, auto-advance
-  const timeoutId = setTimeout(() => {
-    if (room && room.currentQuestionIndex === questionIndex) {
+  scheduleQuestionTimeout(io, matchId, questionIndex, timeLimit * 1000);
+  scheduleBotAnswers(io, room);
+  saveRoom(io, room);
+}
+
+/**
+ * Close the question when its deadline passes
+ */
+function scheduleQuestionTimeout(io, matchId, questionIndex, delay) {
+  const { gameRooms } = stateOf(io);
+  const room = gameRooms.get(matchId);
+  if (!room) return;
+
+  clearTimeout(room.timerInterval);
+  room.timerInterval = setTimeout(() => {
+    const current = gameRooms.get(matchId);
+    if (current && current.currentQuestionIndex === questionIndex && !current.questionClosed) {
       console.log(
         `[QUESTION-TIMEOUT] Q${questionIndex + 1} timed out for match ${matchId}`
       );
-      io.to(matchId).emit("question-timeout", {
+      io.to(matchId).to(spectatorRoom(matchId)).emit("question-timeout", {
         questionIndex,
         message: "Time is up!",
       });
       displayQuestionResults(io, matchId, questionIndex);
     }
-  }, timeLimit * 1000);
-
-  room.timerInterval = timeoutId;
+  }, Math.max(delay, 0));
 }
 
 /**
  * Display results after both players answered or timeout
  */
 function displayQuestionResults(io, matchId, questionIndex) {
+  const { gameRooms } = stateOf(io);
   const room = gameRooms.get(matchId);
-  if (!room || !room.questionsData[questionIndex]) return;
+  if (!room || !room.questionsData[questionIndex] || room.questionClosed) return;
+
+  // No more answers accepted for this question
+  room.questionClosed = true;
 
   const question = room.questionsData[questionIndex];
-  const correctOption = question.options.find(
-    (opt) => opt.id === question.correctOptionId
-  );
+  const correctAnswer = correctAnswerOf(question);
+
+  console.log(`[QUESTION-RESULTS] Q${questionIndex + 1} results: ${correctAnswer.text}`);
 
-  console.log(`[QUESTION-RESULTS] Q${questionIndex + 1} results: ${correctOption.text}`);
+  // Battle royale elimination: knock out the lowest scorers, except after the last question
+  const eliminated =
+    isRoyale(room) && room.elimination?.enabled && questionIndex + 1 < room.questionsData.length
+      ? eliminateLowestScorers(room, room.elimination.perRound)
+      : [];
 
-  io.to(matchId).emit("question-results", {
+  io.to(matchId).to(spectatorRoom(matchId)).emit("question-results", {
     questionIndex,
-    correctOptionId: question.correctOptionId,
-    correctOptionText: correctOption ? correctOption.text : "Unknown",
+    type: correctAnswer.type,
+    correctOptionId: question.correctOptionId ?? null,
+    correctOptionText: correctAnswer.text,
+    correctAnswer,
+    explanation: question.explanation || "",
     scores: room.scores,
     playerAnswers: Object.entries(room.answers).map(([userId, answer]) => ({
       userId,
       isCorrect: answer.isCorrect,
+      credit: answer.credit,
       selectedOptionId: answer.selectedOptionId,
+      selectedOptionIds: answer.selectedOptionIds,
+      answerValue: answer.answerValue,
       xpAwarded: answer.xpAwarded,
+      timeSpent: answer.timeSpent,
     })),
+    standings: buildStandings(room),
+    teamStandings: isTeamMatch(room) ? buildTeamStandings(room) : undefined,
+    eliminated: eliminated.map((p) => ({ userId: p.userId, username: p.username })),
     message: "Results displayed. Next question coming...",
   });
 
+  if (eliminated.length > 0) {
+    console.log(
+      `[ELIMINATION] Q${questionIndex + 1}: ${eliminated.map((p) => p.userId).join(", ")} eliminated from ${matchId}`
+    );
+    io.to(matchId).to(spectatorRoom(matchId)).emit("players-eliminated", {
+      questionIndex,
+      eliminated: eliminated.map((p) => ({ userId: p.userId, username: p.username })),
+      remainingPlayers: activePlayers(room).length,
+    });
+
+    if (activePlayers(room).length < 2) {
+      setTimeout(() => {
+        endMatch(io, matchId, { reason: "Last player standing" });
+      }, 2000); // 2 seconds to show the results
+    }
+  }
+
+  // Question statistics: every human still in the match was asked it
+  const statAnswers = room.players
+    .filter((p) => !p.isBot && !(p.eliminated && p.eliminatedAtQuestion < questionIndex))
+    .map((p) => room.answers[p.userId] || { selectedOptionId: null, isCorrect: false });
+  recordQuestionAnswers(question._id, statAnswers).catch((err) =>
+    console.error("[QUESTION-STATS ERROR]", err)
+  );
+
+  // Record unanswered questions too, so replays show every player on every question
+  const timeLimit = room.questionTimeLimit || QUESTION_TIME_LIMIT;
+  for (const player of room.players) {
+    if (room.answers[player.userId] || (player.eliminated && player.eliminatedAtQuestion < questionIndex)) continue;
+
+    Match.updateOne(
+      { _id: room.matchId, "players.user": player.userId },
+      {
+        $push: {
+          "players.$.answers": {
+            questionId: question._id,
+            questionIndex,
+            selectedOptionId: null,
+            isCorrect: false,
+            timeSpent: timeLimit,
+            pointsAwarded: 0,
+          },
+        },
+      }
+    ).catch((err) => console.error("[ANSWER-PERSIST ERROR]", err));
+  }
+
   // Clear answers for next question
   room.answers = {};
+  saveRoom(io, room);
 }
 
 /**
@@ -941,12 +2224,17 @@ function displayQuestionResults(io, matchId, questionIndex) {
  * Aligned with Backend Architecture XP & Ranking System
  */
 async function endMatch(io, matchId, endReason = {}) {
+  const { gameRooms } = stateOf(io);
   const room = gameRooms.get(matchId);
   if (!room) {
     console.error(`[END-MATCH] Room not found for ${matchId}`);
     return;
   }
 
+  // Several paths can end a match (last answer, next-question, forfeit) - settle it once
+  if (room.ending) return;
+  room.ending = true;
+
   try {
     console.log(
       `[END-MATCH] Ending match ${matchId}. Reason:`,
@@ -956,14 +2244,62 @@ async function endMatch(io, matchId, endReason = {}) {
     // Calculate final scores
     const finalScores = room.scores;
 
-    // Determine winner
-    let winnerId = null;
-    if (endReason.forfeiter) {
-      winnerId = room.players.find((p) => p.userId !== endReason.forfeiter)?.userId;
-    } else {
-      const entries = Object.entries(finalScores);
-      if (entries.length > 0) {
-        winnerId = entries.sort(([, a], [, b]) => b - a)[0][0];
+    // Finishing order: forfeiters and eliminated players rank below those still playing
+    const placements = calculatePlacements(
+      room.players.map((p) => ({
+        userId: p.userId,
+        score: finalScores[p.userId] || 0,
+        eliminatedAtQuestion: p.eliminatedAtQuestion,
+        forfeited: p.forfeited || p.userId === endReason.forfeiter,
+      }))
+    );
+
+    // Team matches: every member shares their team's place
+    const teamStandings = isTeamMatch(room) ? buildTeamStandings(room) : null;
+    if (teamStandings) {
+      placements.forEach((p) => {
+        p.place = teamStandings.find((t) => t.members.includes(p.userId))?.place || teamStandings.length;
+      });
+      placements.sort((a, b) => a.place - b.place);
+    }
+    const winningTeams = teamStandings ? teamStandings.filter((t) => t.place === 1) : [];
+    const winningTeamId = winningTeams.length === 1 ? winningTeams[0].teamId : null;
+
+    // Determine winner (null on a draw, and for team matches)
+    const firstPlace = placements.filter((p) => p.place === 1);
+    const isDraw = teamStandings ? !winningTeamId : firstPlace.length > 1;
+    const winnerId =
+      !teamStandings && firstPlace.length === 1 && !firstPlace[0].forfeited
+        ? firstPlace[0].userId
+        : null;
+
+    // Matches against a bot are unrated and worth less XP
+    const hasBot = room.players.some((p) => p.isBot);
+    const xpEarned = calculateMatchXp({
+      mode: room.mode || MATCH_MODES.DUEL,
+      placements,
+      winningTeamId,
+      xpMultiplier: hasBot ? BOT_MATCH_XP_MULTIPLIER : 1,
+    });
+
+    const users = await User.find({ _id: { $in: Object.keys(finalScores) } });
+    const findUser = (userId) => users.find((u) => u._id.toString() === userId);
+
+    // Per-category Elo: only 1v1 matches that actually started are rated
+    const ratingChanges = {};
+    const isRated =
+      (room.mode || MATCH_MODES.DUEL) === MATCH_MODES.DUEL &&
+      room.players.length === 2 &&
+      room.state !== "waiting" &&
+      !hasBot &&
+      !endReason.unrated;
+    if (isRated) {
+      const [first, second] = room.players.map((p) => findUser(p.userId));
+      if (first && second) {
+        Object.assign(
+          ratingChanges,
+          calculateMatchRatingChanges([first, second], room.categoryId, { winnerId, isDraw })
+        );
       }
     }
 
@@ -973,93 +2309,101 @@ async function endMatch(io, matchId, endReason = {}) {
       {
         state: "finished", // Aligned with Backend Architecture
         finishedAt: new Date(),
+        endReason: endReason.reason || "Match completed",
+        winnerId,
+        isDraw,
+        isRated: Object.keys(ratingChanges).length > 0,
+        forfeitedBy: endReason.forfeiter || null,
         scores: Object.entries(finalScores).map(([userId, score]) => ({
           userId: new mongoose.Types.ObjectId(userId),
           score,
+          xpEarned: xpEarned[userId] ?? score,
+          ratingBefore: ratingChanges[userId]?.ratingBefore,
+          ratingChange: ratingChanges[userId]?.ratingChange,
+        })),
+        placements: placements.map((p) => ({
+          userId: new mongoose.Types.ObjectId(p.userId),
+          place: p.place,
+          score: p.score,
+          eliminatedAtQuestion: p.eliminatedAtQuestion,
+          forfeited: p.forfeited,
         })),
+        ...(teamStandings && {
+          teams: teamStandings.map((t) => ({
+            teamId: t.teamId,
+            name: t.name,
+            members: t.members.map((id) => new mongoose.Types.ObjectId(id)),
+            score: t.score,
+            place: t.place,
+            isWinner: t.teamId === winningTeamId,
+          })),
+        }),
       },
       { new: true }
     );
 
-    // Update user profiles: XP, rank, badges
+    // Update user profiles: XP, rank, badges, category rating
     for (const [userId, score] of Object.entries(finalScores)) {
-      const user = await User.findById(userId);
-      if (user) {
-        // Award XP
-        user.xp += score;
-        user.weeklyXp += score;
-
-        // Update rank based on total XP using calculateRank utility
-        const { calculateRank } = require("../utils/calculateXP");
-        user.rank = calculateRank(user.xp);
-
-        // Award badges
-        const earnedBadges = [];
-
-        // Check for "Perfect Match" badge (5/5 correct = 50 XP)
-        if (score >= PERFECT_MATCH_BONUS && !user.badges.includes("Perfect Match")) {
-          user.badges.push("Perfect Match");
-          earnedBadges.push("Perfect Match");
-        }
-
-        // Check for milestone badges
-        if (user.xp >= 100 && !user.badges.includes("Novice")) {
-          user.badges.push("Novice");
-          earnedBadges.push("Novice");
-        }
-        if (user.xp >= 1000 && !user.badges.includes("Pro Gamer")) {
-          user.badges.push("Pro Gamer");
-          earnedBadges.push("Pro Gamer");
-        }
-        if (user.xp >= 5000 && !user.badges.includes("Master")) {
-          user.badges.push("Master");
-          earnedBadges.push("Master");
-        }
-
-        await user.save();
+      const user = findUser(userId);
+      if (user && !user.isBot) {
+        const roomPlayer = room.players.find((p) => p.userId === userId);
+        const earned = xpEarned[userId] ?? score;
+        const earnedBadges = await applyMatchReward(user, {
+          categoryId: room.categoryId,
+          xpEarned: earned,
+          ratingChange: ratingChanges[userId],
+          correctCount: roomPlayer?.correctCount || 0,
+          questionsCount: room.questionsData.length,
+        });
 
         console.log(
-          `[USER-UPDATE] ${userId} earned ${score} XP, rank: ${user.rank}, badges: ${earnedBadges.join(
-            ", "
-          )}`
+          `[USER-UPDATE] ${userId} earned ${earned} XP, rank: ${user.rank}, rating change: ${
+            ratingChanges[userId]?.ratingChange ?? "unrated"
+          }, badges: ${earnedBadges.join(", ")}`
         );
       }
     }
 
-    // Build leaderboard from final scores
+    // Build leaderboard in finishing order
     const leaderboard = [];
-    for (const [userId, score] of Object.entries(finalScores)) {
-      const player = room.players.find(p => p.userId === userId);
+    for (const placement of placements) {
+      const player = room.players.find(p => p.userId === placement.userId);
       if (player) {
         leaderboard.push({
-          userId,
-          username: player.username || `Player ${userId.slice(0, 8)}`,
-          score
+          userId: placement.userId,
+          username: player.username || `Player ${placement.userId.slice(0, 8)}`,
+          score: placement.score,
+          place: placement.place,
+          xpEarned: xpEarned[placement.userId],
         });
       }
     }
-    // Sort by score descending
-    leaderboard.sort((a, b) => b.score - a.score);
 
-    // Notify both players of match end
-    io.to(matchId).emit("match-ended", {
+    // Notify both players (and spectators) of match end
+    io.to(matchId).to(spectatorRoom(matchId)).emit("match-ended", {
       matchId,
       winnerId,
+      isDraw,
       finalScores,
+      ratingChanges: Object.fromEntries(
+        Object.entries(ratingChanges).map(([userId, r]) => [
+          userId,
+          { ratingBefore: r.ratingBefore, ratingChange: r.ratingChange },
+        ])
+      ),
       leaderboard,
+      placements: leaderboard.map(({ userId, place }) => ({ userId, place })),
+      teamStandings: teamStandings || undefined,
+      winningTeamId,
       questionsCount: room.questionsData?.length || room.numberOfQuestions || 0,
       reason: endReason.reason || "Match completed",
-      message: `Match complete! ${winnerId ? `Winner: Player with ${finalScores[winnerId]} XP` : "Draw"}`,
+      message: winningTeamId
+        ? `Match complete! Winner: ${winningTeams[0].name} with ${winningTeams[0].score} points`
+        : `Match complete! ${winnerId ? `Winner: Player with ${finalScores[winnerId]} XP` : "Draw"}`,
     });
 
-    // Clean up: remove from memory
-    if (room.gracePeriodTimeout) {
-      clearTimeout(room.gracePeriodTimeout);
-    }
-    if (room.timerInterval) {
-      clearTimeout(room.timerInterval);
-    }
-    gameRooms.delete(matchId);
+    // Clean up: remove from memory and the room store
+    removeRoom(io, room);
 
     console.log(`[MATCH-CLEANED] Match ${matchId} removed from memory`);
   } catch (error) {
@@ -1071,4 +2415,814 @@ async function endMatch(io, matchId, endReason = {}) {
   }
 }
 
-module.exports = { initializeSocket };
\ No newline at end of file
+// ============================================================
+// BATTLE ROYALE & TEAM MATCHES
+// ============================================================
+
+const isRoyale = (room) => room.mode === MATCH_MODES.BATTLE_ROYALE;
+const isTeamMatch = (room) => room.mode === MATCH_MODES.TEAM;
+const isMultiplayer = (room) => isRoyale(room) || isTeamMatch(room);
+
+/**
+ * Players not yet eliminated (everyone, outside battle royale)
+ */
+const activePlayers = (room) => room.players.filter((p) => !p.eliminated);
+
+/**
+ * Show question results once every remaining player has answered,
+ * ending the match after the last question
+ */
+function closeQuestionIfAllAnswered(io, room) {
+  const questionIndex = room.currentQuestionIndex;
+  if (!room.startTime || room.questionClosed || !activePlayers(room).every((p) => p.answered)) {
+    return;
+  }
+
+  console.log(`[ALL-ANSWERED] Displaying results for Q${questionIndex + 1}`);
+  clearTimeout(room.timerInterval);
+  displayQuestionResults(io, room.matchId, questionIndex);
+
+  // Check if all questions are answered - if so, end match immediately
+  if (questionIndex + 1 >= room.questionsData.length) {
+    console.log(`[ALL-QUESTIONS-ANSWERED] Every player finished all questions, ending match immediately`);
+    // Wait a moment to show results, then end match
+    setTimeout(() => {
+      endMatch(io, room.matchId, { reason: "All questions answered" });
+    }, 2000); // 2 seconds to show final question results
+  }
+}
+
+/**
+ * Current ranking of a room, for question-results
+ */
+function buildStandings(room) {
+  return calculatePlacements(
+    room.players.map((p) => ({
+      userId: p.userId,
+      score: room.scores[p.userId] || 0,
+      eliminatedAtQuestion: p.eliminatedAtQuestion,
+      forfeited: p.forfeited,
+    }))
+  ).map((entry) => ({
+    userId: entry.userId,
+    username: room.players.find((p) => p.userId === entry.userId)?.username,
+    score: entry.score,
+    place: entry.place,
+    eliminated: entry.eliminatedAtQuestion !== null,
+  }));
+}
+
+/**
+ * Current team ranking of a team room (sum or average of member scores)
+ */
+function buildTeamStandings(room) {
+  return calculateTeamStandings(
+    room.teams.map((team) => ({
+      teamId: team.teamId,
+      name: team.name,
+      members: room.players
+        .filter((p) => p.teamId === team.teamId)
+        .map((p) => ({ userId: p.userId, forfeited: p.forfeited })),
+    })),
+    room.scores,
+    room.teamScoring
+  );
+}
+
+/**
+ * Mark players as out at the current question
+ */
+function markEliminated(room, players, { forfeited = false } = {}) {
+  players.forEach((p) => {
+    p.eliminated = true;
+    p.eliminatedAtQuestion = room.currentQuestionIndex;
+    p.forfeited = forfeited;
+  });
+}
+
+/**
+ * Eliminate up to `count` of the lowest scorers
+ * Players tied with the lowest survivor are spared, so someone always survives
+ * @returns {array} Eliminated room players
+ */
+function eliminateLowestScorers(room, count) {
+  const scoreOf = (p) => room.scores[p.userId] || 0;
+  const contenders = activePlayers(room).sort((a, b) => scoreOf(a) - scoreOf(b));
+  if (contenders.length < 2) return [];
+
+  const cut = Math.min(count, contenders.length - 1);
+  const lowestSurvivorScore = scoreOf(contenders[cut]);
+  const eliminated = contenders.slice(0, cut).filter((p) => scoreOf(p) < lowestSurvivorScore);
+
+  markEliminated(room, eliminated);
+  return eliminated;
+}
+
+/**
+ * Tell a battle royale / team lobby (and the match list) who is in the room
+ */
+function emitRoomUpdate(io, room) {
+  const capacity = room.maxPlayers || 2;
+
+  io.to(room.matchId).to(spectatorRoom(room.matchId)).emit("room-updated", {
+    matchId: room.matchId,
+    hostId: room.hostId,
+    maxPlayers: capacity,
+    players: room.players.map((p) => ({
+      userId: p.userId,
+      username: p.username,
+      teamId: p.teamId || null,
+      isHost: p.userId === room.hostId,
+    })),
+    teams: isTeamMatch(room) ? room.teams : undefined,
+    canStart: isRoyale(room) && room.players.length >= ROYALE_MIN_PLAYERS,
+  });
+
+  if (room.isPublic === false) return;
+
+  if (room.players.length >= capacity) {
+    io.emit("match-removed-from-lobby", { matchId: room.matchId });
+  } else {
+    io.emit("lobby-match-updated", {
+      matchId: room.matchId,
+      playersCount: room.players.length,
+      maxPlayers: capacity,
+    });
+  }
+}
+
+/**
+ * Take a player out of a battle royale or team match: leave the room before
+ * it starts, or drop out (ranked below everyone still playing) once it is running
+ * A team match ends when one side has nobody left
+ */
+async function forfeitMultiplayer(io, room, userId, reason) {
+  if (room.state === "waiting") {
+    return leaveWaitingRoom(io, room, userId);
+  }
+
+  const player = room.players.find((p) => p.userId === userId);
+  if (!player || player.eliminated) return;
+
+  markEliminated(room, [player], { forfeited: true });
+  saveRoom(io, room);
+
+  console.log(`[FORFEIT] ${userId} left ${room.mode} match ${room.matchId}: ${reason}`);
+  io.to(room.matchId).to(spectatorRoom(room.matchId)).emit("players-eliminated", {
+    questionIndex: room.currentQuestionIndex,
+    eliminated: [{ userId, username: player.username, teamId: player.teamId || null, reason }],
+    remainingPlayers: activePlayers(room).length,
+  });
+
+  if (isTeamMatch(room)) {
+    const teamLeft = activePlayers(room).some((p) => p.teamId === player.teamId);
+    if (!teamLeft) {
+      return endMatch(io, room.matchId, { reason: "Team forfeited" });
+    }
+  } else if (activePlayers(room).length < 2) {
+    return endMatch(io, room.matchId, { reason: "Last player standing" });
+  }
+  closeQuestionIfAllAnswered(io, room);
+}
+
+/**
+ * Remove a player from a battle royale / team room that has not started
+ * The host role passes to the longest-waiting player; an empty room is closed
+ */
+async function leaveWaitingRoom(io, room, userId) {
+  const player = room.players.find((p) => p.userId === userId);
+  if (!player) return;
+
+  room.players = room.players.filter((p) => p.userId !== userId);
+  delete room.scores[userId];
+  if (room.graceTimers) {
+    clearTimeout(room.graceTimers[userId]);
+  }
+  io.in(player.socketId).socketsLeave(room.matchId);
+
+  if (room.players.length === 0) {
+    return endMatch(io, room.matchId, { reason: "Everyone left the room", unrated: true });
+  }
+
+  if (room.hostId === userId) {
+    room.hostId = room.players[0].userId;
+  }
+  saveRoom(io, room);
+
+  const pull = { players: { user: userId }, scores: { userId } };
+  if (isTeamMatch(room)) {
+    pull["teams.$[].members"] = userId;
+  }
+  await Match.updateOne({ _id: room.matchId }, { $pull: pull, host: room.hostId });
+
+  console.log(`[LEAVE-ROOM] ${userId} left ${room.mode} room ${room.matchId} (host: ${room.hostId})`);
+  emitRoomUpdate(io, room);
+}
+
+/**
+ * Close this instance's waiting rooms that nobody joined in time
+ * The room is dropped from memory and the store, and its Match deleted
+ */
+async function expireWaitingRooms(io) {
+  const { gameRooms } = stateOf(io);
+  const cutoff = Date.now() - WAITING_ROOM_TTL;
+  const stale = new Set(
+    Array.from(gameRooms.values()).filter(
+      (room) => room.state === "waiting" && new Date(room.createdAt).getTime() < cutoff
+    )
+  );
+
+  for (const room of stale) {
+    console.log(`[EXPIRE-ROOM] Waiting room ${room.matchId} expired with ${room.players.length} player(s)`);
+
+    io.to(room.matchId).to(spectatorRoom(room.matchId)).emit("match-expired", {
+      matchId: room.matchId,
+      message: "Nobody joined in time. The match was closed.",
+    });
+    if (room.isPublic !== false) {
+      io.emit("match-removed-from-lobby", { matchId: room.matchId });
+    }
+    removeRoom(io, room);
+    await Match.deleteOne({ _id: room.matchId, state: "waiting" });
+  }
+}
+
+/**
+ * Refit a room's questions to everyone now in it (difficulty by rank,
+ * avoiding questions they saw recently)
+ * Keeps the current set if the category cannot provide a full new one
+ * @returns {Promise<array>} Question IDs to store on the Match
+ */
+async function fitQuestionsToPlayers(room, userIds) {
+  const questions = await selectMatchQuestions({
+    categoryId: room.categoryId,
+    count: room.questionsData.length,
+    userIds,
+    curve: room.difficultyCurve,
+  });
+  if (questions.length === room.questionsData.length) {
+    room.questionsData = questions;
+  }
+  return room.questionsData.map((q) => q._id);
+}
+
+// ============================================================
+// BOT OPPONENTS
+// ============================================================
+
+const botSocketId = (matchId, userId) => `bot-${matchId}-${userId}`;
+
+/**
+ * Play a game event as a bot, through the same handler a player's socket uses
+ * @param {object} bot - { userId, username }
+ */
+function runBotCommand(io, matchId, bot, event, data = {}) {
+  return runForwardedCommand(io, {
+    event,
+    data: { matchId, ...data },
+    socket: {
+      id: botSocketId(matchId, bot.userId),
+      userId: bot.userId,
+      username: bot.username,
+      rooms: [],
+    },
+  });
+}
+
+/**
+ * Fill a waiting duel with a bot unless someone joins within `delay` ms
+ */
+function scheduleBotFill(io, room, delay) {
+  room.botTimers = room.botTimers || {};
+  clearTimeout(room.botTimers.join);
+
+  room.botTimers.join = setTimeout(() => {
+    fillWithBot(io, room.matchId).catch((error) => {
+      console.error("[BOT-JOIN ERROR]", error);
+    });
+  }, Math.max(delay, 0));
+}
+
+/**
+ * Seat a bot in a waiting duel through join-match, which starts the match
+ */
+async function fillWithBot(io, matchId) {
+  const room = stateOf(io).gameRooms.get(matchId);
+  if (!room || room.state !== "waiting" || room.players.length !== 1) return;
+
+  const skill = room.botFill.skill;
+  const botUser = await getBotUser(skill);
+  const bot = { userId: botUser._id.toString(), username: botUser.username };
+
+  console.log(`[BOT-JOIN] Nobody joined ${matchId}, ${bot.username} is taking the seat`);
+  // Private rooms only admit their invite code
+  await runBotCommand(io, matchId, bot, "join-match", { code: room.matchCode });
+
+  // A human may have taken the seat first
+  const player = room.players.find((p) => p.userId === bot.userId);
+  if (!player) return;
+
+  player.isBot = true;
+  player.botSkill = skill;
+  saveRoom(io, room);
+
+  await Match.updateOne(
+    { _id: matchId, "players.user": botUser._id },
+    { $set: { hasBot: true, botSkill: skill, "players.$.isBot": true } }
+  );
+
+  io.to(matchId).to(spectatorRoom(matchId)).emit("bot-joined", {
+    matchId,
+    userId: bot.userId,
+    username: bot.username,
+    skill,
+    message: "No opponent found, so a bot joined. Bot matches are unrated and give reduced XP.",
+  });
+}
+
+/**
+ * Schedule the current question's answers for every bot still playing
+ * Picks and timing come from the bot's skill; answers go through submit-answer
+ */
+function scheduleBotAnswers(io, room) {
+  const questionIndex = room.currentQuestionIndex;
+  const question = room.questionsData[questionIndex];
+  const bots = activePlayers(room).filter((p) => p.isBot && !p.answered);
+  if (!question || !room.startTime || bots.length === 0) return;
+
+  const timeLimitMs = (room.questionTimeLimit || QUESTION_TIME_LIMIT) * 1000;
+  room.botTimers = room.botTimers || {};
+
+  for (const bot of bots) {
+    const { answer, delayMs } = planBotAnswer(question, timeLimitMs, bot.botSkill);
+
+    clearTimeout(room.botTimers[bot.userId]);
+    room.botTimers[bot.userId] = setTimeout(() => {
+      runBotCommand(io, room.matchId, bot, "submit-answer", { questionIndex, ...answer });
+    }, Math.max(0, room.startTime + delayMs - Date.now()));
+  }
+}
+
+// ============================================================
+// CLUSTER ROUTING
+// ============================================================
+
+/**
+ * Use a cluster adapter so rooms, broadcasts and game events span instances
+ * @param {object} io - Socket.IO server
+ * @param {function} adapter - Adapter constructor (see clusterAdapter.js)
+ */
+function attachClusterAdapter(io, adapter) {
+  const state = stateOf(io);
+  io.adapter(adapter);
+  state.clustered = true;
+  // Until this instance wins the matchmaking lock
+  state.isMatchmakingLeader = false;
+}
+
+/**
+ * Stop an instance as if its process died: close its sockets and timers
+ * but leave its rooms in the store for another instance to adopt
+ */
+function shutdownSocket(io) {
+  const state = stateOf(io);
+  state.timers.forEach((timer) => clearInterval(timer));
+
+  for (const room of new Set(state.gameRooms.values())) {
+    clearTimeout(room.timerInterval);
+    Object.values(room.graceTimers || {}).forEach((timer) => clearTimeout(timer));
+  }
+  state.gameRooms.clear();
+  io.close();
+}
+
+/**
+ * Code players join a room with
+ * Public rooms use the start of their match ID, which the lobby lists anyway.
+ * Private rooms get a random code: match IDs from the same process share
+ * their first 12 characters' worth of timestamp and process value.
+ */
+function createMatchCode(matchId, isPublic) {
+  return isPublic
+    ? matchId.substring(0, 12).toUpperCase()
+    : crypto.randomBytes(6).toString("hex").toUpperCase();
+}
+
+/**
+ * Live room a room event refers to, if this instance owns it
+ * Accepts the same matchId / code lookups as join-match; private rooms only
+ * by their exact matchId (handlers check membership) or invite code
+ */
+function findLocalRoom(io, data = {}) {
+  const { gameRooms } = stateOf(io);
+  const matchId = data.matchId ? String(data.matchId).trim() : null;
+  const code = data.code ? String(data.code).trim().toUpperCase() : null;
+
+  if (matchId && gameRooms.has(matchId)) return gameRooms.get(matchId);
+  if (code && gameRooms.has(code)) return gameRooms.get(code);
+
+  const lookup = code || (matchId && matchId.toUpperCase());
+  if (!lookup) return null;
+
+  for (const room of gameRooms.values()) {
+    if (room.isPublic === false) continue;
+    if (
+      room.matchCode === lookup ||
+      room.matchId.toUpperCase() === lookup ||
+      (lookup.length >= 8 && room.matchId.toUpperCase().startsWith(lookup))
+    ) {
+      return room;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether this instance should run a game event itself
+ */
+function canHandleLocally(io, event, data) {
+  if (ROOM_EVENTS.includes(event)) return Boolean(findLocalRoom(io, data));
+  if (QUEUE_EVENTS.includes(event)) return stateOf(io).isMatchmakingLeader;
+  return true;
+}
+
+/**
+ * Run a game event locally or forward it to the instance that owns it
+ * If no instance claims it, it runs here (so the player still gets MATCH_NOT_FOUND)
+ */
+function dispatchGameEvent(io, socket, event, data, handler) {
+  const broadcast = BROADCAST_EVENTS.includes(event);
+  if (!stateOf(io).clustered || broadcast || canHandleLocally(io, event, data)) {
+    handler(data);
+    if (!stateOf(io).clustered || !broadcast) return;
+  }
+
+  const command = {
+    event,
+    data,
+    socket: {
+      id: socket.id,
+      userId: socket.userId,
+      username: socket.username,
+      rooms: Array.from(socket.rooms),
+    },
+  };
+
+  if (broadcast) {
+    io.serverSideEmit("game-command", command);
+    return;
+  }
+
+  // Times out after the adapter's requestsTimeout if an instance does not answer
+  io.serverSideEmit("game-command", command, (error, responses = []) => {
+    if (!responses.some((response) => response && response.handled)) {
+      handler(data);
+    }
+  });
+}
+
+/**
+ * Run a game event forwarded by another instance, or played by a bot
+ * The stand-in socket emits and joins through the adapter
+ * @returns {Promise} Settles once the handler has finished
+ */
+function runForwardedCommand(io, { event, data, socket: origin }) {
+  const socket = {
+    id: origin.id,
+    userId: origin.userId,
+    username: origin.username,
+    rooms: new Set(origin.rooms),
+    emit: (name, payload) => io.to(origin.id).emit(name, payload),
+    join: (room) => io.in(origin.id).socketsJoin(room),
+    leave: (room) => io.in(origin.id).socketsLeave(room),
+  };
+
+  let handler = null;
+  stateOf(io).registerGameEvents(socket, (name, fn) => {
+    if (name === event) handler = fn;
+  });
+
+  if (!handler) return Promise.resolve();
+  return Promise.resolve(handler(data)).catch((error) => {
+    console.error(`[GAME-COMMAND ERROR] ${event}`, error);
+  });
+}
+
+/**
+ * Read-only channel for a match's spectators
+ */
+const spectatorRoom = (matchId) => `spectate-${matchId}`;
+
+/**
+ * Tell players and spectators how many people are watching
+ */
+function emitSpectatorCount(io, room) {
+  io.to(room.matchId).to(spectatorRoom(room.matchId)).emit("spectator-count", {
+    matchId: room.matchId,
+    count: (room.spectators || []).length,
+  });
+}
+
+/**
+ * Stop counting a socket as a spectator of a room
+ */
+function removeSpectator(io, room, socketId) {
+  if (!room.spectators || !room.spectators.includes(socketId)) return;
+
+  room.spectators = room.spectators.filter((id) => id !== socketId);
+  saveRoom(io, room);
+  emitSpectatorCount(io, room);
+}
+
+/**
+ * Match room name (a Match ObjectId) rather than a socket or user room
+ */
+const isMatchRoomName = (room) => /^[a-f0-9]{24}$/i.test(room);
+
+/**
+ * Local room a socket is playing in
+ */
+function findRoomIdBySocket(io, socketId) {
+  for (const room of stateOf(io).gameRooms.values()) {
+    if (room.players.some((p) => p.socketId === socketId)) {
+      return room.matchId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Drop a player from the matchmaking queue on every instance
+ */
+function leaveQueueEverywhere(io, userId) {
+  const state = stateOf(io);
+  state.matchmakingQueue.removeFromQueue(userId);
+  if (state.clustered) {
+    io.serverSideEmit("dequeue-user", userId);
+  }
+}
+
+// ============================================================
+// ROOM PERSISTENCE
+// ============================================================
+
+/**
+ * Plain, JSON-safe copy of a room without timers
+ */
+function serializeRoom(room) {
+  const snapshot = {};
+  for (const [key, value] of Object.entries(room)) {
+    if (!RUNTIME_ROOM_KEYS.includes(key)) {
+      snapshot[key] = value;
+    }
+  }
+  return JSON.parse(JSON.stringify(snapshot));
+}
+
+/**
+ * Run room store writes for a match one after another
+ */
+function queueStoreWrite(io, matchId, write) {
+  const { pendingStoreWrites } = stateOf(io);
+  const previous = pendingStoreWrites.get(matchId) || Promise.resolve();
+  const next = previous
+    .then(write)
+    .catch((error) => console.error("[ROOM-STORE ERROR]", error));
+
+  pendingStoreWrites.set(matchId, next);
+  next.then(() => {
+    if (pendingStoreWrites.get(matchId) === next) {
+      pendingStoreWrites.delete(matchId);
+    }
+  });
+}
+
+/**
+ * Persist the current room state and renew this instance's lease on it
+ */
+function saveRoom(io, room) {
+  if (!room || room.ending) return;
+  const { roomStore, serverId } = stateOf(io);
+  const snapshot = serializeRoom(room);
+  queueStoreWrite(io, room.matchId, () =>
+    roomStore.save(snapshot, { ownerId: serverId, expiresAt: Date.now() + ROOM_LEASE_TTL })
+  );
+}
+
+/**
+ * Stop a room's timers and drop it from memory and the room store
+ */
+function removeRoom(io, room) {
+  const { gameRooms, roomStore } = stateOf(io);
+  clearTimeout(room.timerInterval);
+  Object.values(room.graceTimers || {}).forEach((timer) => clearTimeout(timer));
+  Object.values(room.botTimers || {}).forEach((timer) => clearTimeout(timer));
+
+  gameRooms.delete(room.matchId);
+  if (room.matchCode && gameRooms.get(room.matchCode) === room) {
+    gameRooms.delete(room.matchCode);
+  }
+  io.in(room.matchId).socketsLeave(room.matchId);
+  io.in(spectatorRoom(room.matchId)).socketsLeave(spectatorRoom(room.matchId));
+  queueStoreWrite(io, room.matchId, () => roomStore.remove(room.matchId));
+}
+
+/**
+ * Forfeit a disconnected player once their reconnect deadline passes
+ */
+function startReconnectGracePeriod(io, matchId, userId, deadline) {
+  const { gameRooms } = stateOf(io);
+  const room = gameRooms.get(matchId);
+  const player = room && room.players.find((p) => p.userId === userId);
+  if (!player) return;
+
+  player.reconnectDeadline = deadline;
+  room.graceTimers = room.graceTimers || {};
+  clearTimeout(room.graceTimers[userId]);
+
+  room.graceTimers[userId] = setTimeout(() => {
+    const current = gameRooms.get(matchId);
+    const stillDisconnected = current && current.players.find(
+      (p) => p.userId === userId && p.disconnected
+    );
+    if (!stillDisconnected) return;
+
+    console.log(`[GRACE-PERIOD-EXPIRED] Player ${userId} did not reconnect`);
+
+    if (activePlayers(current).every((p) => p.disconnected)) {
+      // Nobody came back - settle on current scores without rating changes
+      endMatch(io, matchId, { reason: "No players reconnected in time", unrated: true });
+    } else if (isMultiplayer(current)) {
+      // Only this player drops out of a battle royale or team match
+      forfeitMultiplayer(io, current, userId, "Did not reconnect in time").catch((error) => {
+        console.error("[FORFEIT ERROR]", error);
+      });
+    } else {
+      // Player forfeited - opponent wins
+      endMatch(io, matchId, {
+        forfeiter: userId,
+        reason: "Did not reconnect in time",
+      });
+    }
+  }, Math.max(deadline - Date.now(), 0));
+}
+
+/**
+ * Close a match that cannot be resumed, without awarding XP
+ */
+async function finalizeUnresumableMatch(matchId, reason) {
+  await Match.updateOne(
+    { _id: matchId, state: { $ne: "finished" } },
+    { state: "finished", finishedAt: new Date(), endReason: reason }
+  );
+  console.log(`[REHYDRATE] Finalized match ${matchId}: ${reason}`);
+}
+
+/**
+ * Rebuild a live room from its snapshot and resume its timers
+ * Players whose socket is still connected (to any instance) keep playing
+ */
+async function restoreRoom(io, snapshot) {
+  const { gameRooms } = stateOf(io);
+  const room = {
+    ...snapshot,
+    createdAt: new Date(snapshot.createdAt),
+    timerInterval: null,
+    graceTimers: {},
+  };
+  const { matchId } = room;
+  const now = Date.now();
+
+  gameRooms.set(matchId, room);
+  if (room.matchCode) {
+    gameRooms.set(room.matchCode, room);
+  }
+
+  // Sockets lost with the old process get time to reconnect (bots have none)
+  for (const p of room.players) {
+    if (p.isBot) continue;
+    const liveSockets = p.socketId && !p.disconnected
+      ? await io.in(p.socketId).fetchSockets().catch(() => [])
+      : [];
+    if (liveSockets.length > 0) continue;
+
+    p.disconnected = true;
+    startReconnectGracePeriod(
+      io,
+      matchId,
+      p.userId,
+      Math.max(p.reconnectDeadline || 0, now + RECONNECT_GRACE_PERIOD)
+    );
+  }
+
+  if (room.state === "waiting" && room.botFill && room.players.length === 1) {
+    scheduleBotFill(io, room, room.createdAt.getTime() + BOT_JOIN_TIMEOUT - now);
+  }
+
+  if (room.state === "active") {
+    if (!room.startTime) {
+      startMatch(io, matchId);
+    } else if (!room.questionClosed) {
+      scheduleQuestionTimeout(io, matchId, room.currentQuestionIndex, room.questionDeadline - now);
+      scheduleBotAnswers(io, room);
+    } else if (room.currentQuestionIndex + 1 >= room.questionsData.length) {
+      endMatch(io, matchId, { reason: "All questions answered" });
+      return;
+    } else {
+      deliverQuestion(io, matchId, room.currentQuestionIndex + 1);
+      return;
+    }
+  }
+
+  saveRoom(io, room);
+}
+
+/**
+ * Take over rooms whose owner stopped renewing its lease
+ * @returns {Promise<array>} Adopted match IDs
+ */
+async function adoptExpiredRooms(io) {
+  const { gameRooms, roomStore, serverId } = stateOf(io);
+  const snapshots = await roomStore.claimExpired(serverId, ROOM_LEASE_TTL);
+  const adoptedIds = [];
+
+  for (const snapshot of snapshots) {
+    // Our own room whose lease lapsed (e.g. a stalled event loop) - already live here
+    if (gameRooms.has(snapshot.matchId)) continue;
+
+    const match = await Match.findById(snapshot.matchId).select("state");
+    const resumable =
+      match &&
+      match.state !== "finished" &&
+      Array.isArray(snapshot.questionsData) &&
+      snapshot.questionsData.length > 0;
+
+    if (!resumable) {
+      if (match && match.state !== "finished") {
+        await finalizeUnresumableMatch(match._id, "Stored room could not be resumed");
+      }
+      await roomStore.remove(snapshot.matchId);
+      continue;
+    }
+
+    await restoreRoom(io, snapshot);
+    adoptedIds.push(snapshot.matchId);
+  }
+
+  return adoptedIds;
+}
+
+/**
+ * Renew leases on our rooms and adopt rooms of instances that went away
+ */
+async function maintainRoomLeases(io) {
+  const { roomStore, serverId } = stateOf(io);
+  try {
+    await roomStore.renew(serverId, ROOM_LEASE_TTL);
+    const adoptedIds = await adoptExpiredRooms(io);
+    if (adoptedIds.length > 0) {
+      console.log(`[ROOM-LEASE] ${serverId} adopted ${adoptedIds.length} rooms`);
+    }
+  } catch (error) {
+    console.error("[ROOM-LEASE ERROR]", error);
+  }
+}
+
+/**
+ * On boot: adopt unfinished rooms from the room store and finalize
+ * Match documents left waiting/active that have no room to resume
+ * Rooms still leased by another live instance are left to it
+ */
+async function rehydrateRooms(io) {
+  const { roomStore } = stateOf(io);
+  try {
+    const restoredIds = await adoptExpiredRooms(io);
+    const storedIds = (await roomStore.loadAll()).map((snapshot) => snapshot.matchId);
+
+    // Skip matches created moments ago whose first room save may still be in flight
+    // Async challenges have no room and stay open until their deadline
+    const orphaned = await Match.find({
+      state: { $in: ["waiting", "active"] },
+      mode: { $ne: "challenge" },
+      _id: { $nin: storedIds },
+      updatedAt: { $lt: new Date(Date.now() - ROOM_LEASE_TTL) },
+    }).select("_id");
+
+    for (const match of orphaned) {
+      await finalizeUnresumableMatch(match._id, "Server restarted before the match could resume");
+    }
+
+    console.log(
+      `[REHYDRATE] Restored ${restoredIds.length} rooms, finalized ${orphaned.length} matches (${roomStore.name} store)`
+    );
+  } catch (error) {
+    console.error("[REHYDRATE ERROR]", error);
+  }
+}
+
+module.exports = {
+  initializeSocket,
+  attachClusterAdapter,
+  shutdownSocket,
+  rehydrateRooms,
+};
@@ -0,0 +1,149 @@
+/**
+ * Shared fixtures for the answer-leak tests
+ * Full questions of every type (answer key and explanation included), a
+ * deep scan for answer fields, and stand-ins for the Mongoose calls the
+ * code under test makes, so no database is needed.
+ */
+const mongoose = require("mongoose");
+
+// Fields that give an answer away before question-results
+const ANSWER_FIELDS = ["correctOptionId", "correctOptionIds", "numericAnswer", "acceptedAnswers", "explanation"];
+
+const categoryId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+const OPTIONS = [
+  { id: 1, text: "let" },
+  { id: 2, text: "const" },
+  { id: 3, text: "var" },
+  { id: 4, text: "def" },
+];
+
+// One question of each type, as stored
+const QUESTIONS = [
+  {
+    _id: new mongoose.Types.ObjectId(),
+    text: "Which keyword declares a constant?",
+    type: "single-choice",
+    options: OPTIONS,
+    correctOptionId: 2,
+    explanation: "const bindings cannot be reassigned",
+  },
+  {
+    _id: new mongoose.Types.ObjectId(),
+    text: "Which keywords declare variables?",
+    type: "multi-select",
+    options: OPTIONS,
+    correctOptionIds: [1, 2, 3],
+    explanation: "def is Python",
+  },
+  {
+    _id: new mongoose.Types.ObjectId(),
+    text: "What is 0.1 + 0.2 rounded to one decimal?",
+    type: "numeric",
+    options: [],
+    numericAnswer: { value: 0.3, tolerance: 0.01 },
+    explanation: "Floating point rounds to 0.30000000000000004",
+  },
+  {
+    _id: new mongoose.Types.ObjectId(),
+    text: "What does this print?",
+    type: "code-output",
+    codeSnippet: { language: "javascript", code: "console.log(typeof null)" },
+    options: [],
+    acceptedAnswers: ["object"],
+    explanation: "A historical quirk",
+  },
+  {
+    _id: new mongoose.Types.ObjectId(),
+    text: "JavaScript is single threaded.",
+    type: "true-false",
+    options: [
+      { id: 1, text: "True" },
+      { id: 2, text: "False" },
+    ],
+    correctOptionId: 1,
+    explanation: "One call stack per agent",
+  },
+].map((q) => ({
+  ...q,
+  category: categoryId,
+  difficulty: "medium",
+  tags: ["javascript"],
+  isApproved: true,
+  isActive: true,
+}));
+
+/**
+ * Paths of every answer field anywhere in a payload
+ */
+const findLeaks = (payload, path = "payload") => {
+  if (Array.isArray(payload)) {
+    return payload.flatMap((item, index) => findLeaks(item, `${path}[${index}]`));
+  }
+  if (!payload || typeof payload !== "object" || payload instanceof mongoose.Types.ObjectId || payload instanceof Date) {
+    return [];
+  }
+
+  const source = typeof payload.toObject === "function" ? payload.toObject() : payload;
+  return Object.entries(source).flatMap(([key, value]) => [
+    ...(ANSWER_FIELDS.includes(key) && value !== undefined ? [`${path}.${key}`] : []),
+    ...findLeaks(value, `${path}.${key}`),
+  ]);
+};
+
+/**
+ * What MongoDB returns for a projection: a space-separated list or a $project object
+ */
+const project = (doc, fields) => {
+  if (!fields) return doc;
+  const keep = typeof fields === "string" ? fields.split(/\s+/).filter(Boolean) : Object.keys(fields).filter((k) => fields[k]);
+  return Object.fromEntries(Object.entries(doc).filter(([key]) => key === "_id" || keep.includes(key)));
+};
+
+/**
+ * Stand-in for a Mongoose query resolving to result; select() applies the projection
+ */
+const fakeQuery = (result) => {
+  const query = {
+    select: (fields) =>
+      fakeQuery(Array.isArray(result) ? result.map((doc) => project(doc, fields)) : result && project(result, fields)),
+    populate: () => query,
+    sort: () => query,
+    lean: () => query,
+    collation: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+  };
+  return query;
+};
+
+/**
+ * Replace methods for one test; restore() puts every original back
+ */
+const createStubs = () => {
+  const originals = [];
+  return {
+    stub(target, name, impl) {
+      originals.push([target, name, target[name]]);
+      target[name] = impl;
+    },
+    restore() {
+      while (originals.length > 0) {
+        const [target, name, original] = originals.pop();
+        target[name] = original;
+      }
+    },
+  };
+};
+
+module.exports = {
+  ANSWER_FIELDS,
+  QUESTIONS,
+  categoryId,
+  userId,
+  findLeaks,
+  project,
+  fakeQuery,
+  createStubs,
+};
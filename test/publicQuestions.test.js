@@ -0,0 +1,194 @@
+/**
+ * Public question routes, challenges and practice never send the answer
+ * Mongoose calls are stubbed with the fixtures in helpers/answerLeaks.
+ */
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const app = require("../app");
+const Question = require("../models/Question");
+const QuestionView = require("../models/QuestionView");
+const Category = require("../models/Category");
+const User = require("../models/User");
+const Match = require("../models/Match");
+const PracticeSession = require("../models/PracticeSession");
+const { PUBLIC_QUESTION_FIELDS, toPublicQuestion } = require("../utils/questionProjection");
+const { nextChallengeQuestion } = require("../utils/challenges");
+const { startPractice, answerPractice } = require("../utils/practice");
+const {
+  ANSWER_FIELDS,
+  QUESTIONS,
+  categoryId,
+  userId,
+  findLeaks,
+  project,
+  fakeQuery,
+  createStubs,
+} = require("./helpers/answerLeaks");
+
+// Nothing here connects; fail fast instead of buffering if a call slips through
+mongoose.set("bufferCommands", false);
+
+const stubs = createStubs();
+afterEach(() => stubs.restore());
+
+// Aggregations the selection code runs: $match on difficulty / excluded IDs, $sample, $project
+const aggregateFixtures = (pipeline) => {
+  const match = pipeline.find((stage) => stage.$match)?.$match || {};
+  const size = pipeline.find((stage) => stage.$sample)?.$sample.size ?? QUESTIONS.length;
+  const fields = pipeline.find((stage) => stage.$project)?.$project;
+  const excluded = (match._id?.$nin || []).map(String);
+
+  return Promise.resolve(
+    QUESTIONS.filter((q) => !match.difficulty || q.difficulty === match.difficulty)
+      .filter((q) => !excluded.includes(q._id.toString()))
+      .slice(0, size)
+      .map((q) => project(q, fields))
+  );
+};
+
+const byId = (id) => QUESTIONS.find((q) => q._id.toString() === String(id)) || null;
+
+describe("toPublicQuestion", () => {
+  for (const question of QUESTIONS) {
+    it(`strips the answer from a ${question.type} question`, () => {
+      const publicQuestion = toPublicQuestion(question);
+      assert.deepEqual(findLeaks(publicQuestion), []);
+      assert.equal(publicQuestion.type, question.type);
+      assert.equal(publicQuestion.text, question.text);
+    });
+  }
+
+  it("keeps the code snippet", () => {
+    const publicQuestion = toPublicQuestion(QUESTIONS.find((q) => q.type === "code-output"));
+    assert.deepEqual(publicQuestion.codeSnippet, { language: "javascript", code: "console.log(typeof null)" });
+  });
+
+  it("strips Mongoose documents too", () => {
+    assert.deepEqual(findLeaks(toPublicQuestion(new Question(QUESTIONS[0]))), []);
+  });
+
+  it("PUBLIC_QUESTION_FIELDS selects no answer field", () => {
+    const fields = PUBLIC_QUESTION_FIELDS.split(/\s+/);
+    assert.deepEqual(fields.filter((field) => ANSWER_FIELDS.includes(field)), []);
+  });
+});
+
+describe("public question routes", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/questions`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const getJson = async (path) => {
+    const res = await fetch(`${baseUrl}${path}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  it("GET /random/:categoryId/:count", async () => {
+    stubs.stub(Question, "aggregate", aggregateFixtures);
+
+    const { status, body } = await getJson(`/random/${categoryId}/5`);
+    assert.equal(status, 200);
+    assert.equal(body.data.length, 5);
+    assert.deepEqual(findLeaks(body), []);
+  });
+
+  it("GET /category/:categoryId", async () => {
+    stubs.stub(Question, "find", () => fakeQuery(QUESTIONS));
+
+    const { status, body } = await getJson(`/category/${categoryId}`);
+    assert.equal(status, 200);
+    assert.equal(body.data.length, QUESTIONS.length);
+    assert.deepEqual(findLeaks(body), []);
+  });
+
+  for (const question of QUESTIONS) {
+    it(`GET /:id (${question.type})`, async () => {
+      stubs.stub(Question, "findById", (id) => fakeQuery(byId(id)));
+
+      const { status, body } = await getJson(`/${question._id}`);
+      assert.equal(status, 200);
+      assert.equal(body.data.text, question.text);
+      assert.deepEqual(findLeaks(body), []);
+    });
+  }
+});
+
+describe("challenge questions", () => {
+  for (const [index, question] of QUESTIONS.entries()) {
+    it(`serves a ${question.type} question without its answer`, async () => {
+      const match = new Match({
+        mode: "challenge",
+        state: "active",
+        category: categoryId,
+        questions: QUESTIONS.map((q) => q._id),
+        players: [{ user: userId, answers: QUESTIONS.slice(0, index).map((q, i) => ({ questionId: q._id, questionIndex: i })) }],
+        challenge: { challenger: userId, questionTimeLimit: 30, deadline: new Date(Date.now() + 60000) },
+      });
+      stubs.stub(Match, "findOne", () => fakeQuery(match));
+      stubs.stub(Match, "updateOne", () => Promise.resolve({ modifiedCount: 1 }));
+      stubs.stub(Question, "findById", (id) => fakeQuery(byId(id)));
+      stubs.stub(QuestionView, "bulkWrite", () => Promise.resolve());
+
+      const payload = await nextChallengeQuestion(null, match._id.toString(), userId.toString());
+      assert.equal(payload.questionIndex, index);
+      assert.equal(payload.question.text, question.text);
+      assert.deepEqual(findLeaks(payload), []);
+    });
+  }
+});
+
+describe("practice questions", () => {
+  it("starts a session without revealing the first answer", async () => {
+    stubs.stub(Category, "findById", () => fakeQuery({ _id: categoryId, name: "JavaScript" }));
+    stubs.stub(User, "find", () => fakeQuery([]));
+    stubs.stub(User, "findById", () => fakeQuery(null));
+    stubs.stub(QuestionView, "aggregate", () => Promise.resolve([]));
+    stubs.stub(QuestionView, "bulkWrite", () => Promise.resolve());
+    stubs.stub(Question, "aggregate", aggregateFixtures);
+    stubs.stub(Question, "find", () => fakeQuery([]));
+    stubs.stub(PracticeSession, "create", (data) => Promise.resolve(new PracticeSession(data)));
+
+    const payload = await startPractice({
+      userId: userId.toString(),
+      categoryId: categoryId.toString(),
+      numberOfQuestions: QUESTIONS.length,
+    });
+    assert.equal(payload.nextQuestion.totalQuestions, QUESTIONS.length);
+    assert.deepEqual(findLeaks(payload), []);
+  });
+
+  it("reveals only the answered question in feedback, never the next one", async () => {
+    const session = new PracticeSession({
+      user: userId,
+      category: categoryId,
+      questions: QUESTIONS.map((q) => q._id),
+      questionServedAt: new Date(),
+    });
+    stubs.stub(PracticeSession, "findOne", () => fakeQuery(session));
+    stubs.stub(PracticeSession, "findOneAndUpdate", (filter, update) => {
+      session.answers.push(update.$push.answers);
+      return fakeQuery(session);
+    });
+    stubs.stub(Question, "findById", (id) => fakeQuery(byId(id)));
+    stubs.stub(QuestionView, "bulkWrite", () => Promise.resolve());
+    stubs.stub(User, "findById", () => fakeQuery(null));
+
+    for (let index = 0; index < QUESTIONS.length - 1; index++) {
+      const feedback = await answerPractice(session._id.toString(), userId.toString(), {
+        questionIndex: index,
+        selectedOptionId: 4,
+      });
+      assert.equal(feedback.nextQuestion.question.text, QUESTIONS[index + 1].text);
+      assert.deepEqual(findLeaks(feedback.nextQuestion), []);
+    }
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Live match events never send the answer before question-results
+ * Plays a restored room through a real Socket.IO connection: reconnect-match,
+ * then question-display for every question type. Mongoose calls are stubbed;
+ * any other call fails fast and is logged by its handler.
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const mongoose = require("mongoose");
+const { io: connectClient } = require("socket.io-client");
+
+const User = require("../models/User");
+const Match = require("../models/Match");
+const Question = require("../models/Question");
+const QuestionView = require("../models/QuestionView");
+const { initializeSocket, rehydrateRooms, shutdownSocket } = require("../socket/socketHandler");
+const createMemoryRoomStore = require("../socket/roomStores/memoryRoomStore");
+const { generateAccessToken } = require("../utils/generateToken");
+const { QUESTIONS, categoryId, userId, findLeaks, fakeQuery, createStubs } = require("./helpers/answerLeaks");
+
+mongoose.set("bufferCommands", false);
+
+const matchId = new mongoose.Types.ObjectId().toString();
+const playerId = userId.toString();
+
+// A match left mid-question by a previous server process
+const roomSnapshot = () => {
+  const now = Date.now();
+  return {
+    matchId,
+    matchCode: matchId.substring(0, 12).toUpperCase(),
+    mode: "duel",
+    isPublic: true,
+    state: "active",
+    categoryId: categoryId.toString(),
+    categoryName: "JavaScript",
+    players: [{ userId: playerId, username: "player", socketId: null, answered: false, isBot: false }],
+    spectators: [],
+    questionsData: QUESTIONS.map((q) => JSON.parse(JSON.stringify(q))),
+    currentQuestionIndex: 0,
+    questionTimeLimit: 30,
+    startTime: now,
+    questionDeadline: now + 30000,
+    questionClosed: false,
+    scores: { [playerId]: 0 },
+    answers: {},
+    createdAt: new Date(now).toISOString(),
+  };
+};
+
+// Wait for the next event of a name
+const nextEvent = (socket, event) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${event} within 5s`)), 5000);
+    socket.once(event, (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+
+describe("live match events", () => {
+  const stubs = createStubs();
+  let server;
+  let io;
+  let client;
+
+  before(async () => {
+    stubs.stub(User, "findById", () => fakeQuery({ _id: userId, username: "player", isActive: true, friends: [] }));
+    stubs.stub(Match, "findById", () => fakeQuery({ _id: matchId, state: "active" }));
+    stubs.stub(Match, "find", () => fakeQuery([]));
+    stubs.stub(Match, "updateOne", () => fakeQuery({ modifiedCount: 1 }));
+    stubs.stub(Question, "updateOne", () => fakeQuery({ modifiedCount: 1 }));
+    stubs.stub(QuestionView, "bulkWrite", () => Promise.resolve());
+
+    const roomStore = createMemoryRoomStore();
+    await roomStore.save(roomSnapshot(), { ownerId: "previous-server", expiresAt: 0 });
+
+    server = http.createServer();
+    io = initializeSocket(server, { serverId: "test-server", roomStore });
+    await rehydrateRooms(io);
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    client = connectClient(`http://127.0.0.1:${server.address().port}`, {
+      auth: { token: generateAccessToken(playerId) },
+      transports: ["websocket"],
+    });
+    await nextEvent(client, "connect");
+  });
+
+  after(async () => {
+    client.close();
+    shutdownSocket(io);
+    await new Promise((resolve) => server.close(resolve));
+    stubs.restore();
+  });
+
+  it("reconnect-match restores the open question without its answer", async () => {
+    const restored = nextEvent(client, "match-state-restored");
+    client.emit("reconnect-match", { matchId });
+
+    const payload = await restored;
+    assert.equal(payload.currentQuestion.text, QUESTIONS[0].text);
+    assert.deepEqual(findLeaks(payload), []);
+  });
+
+  for (const [index, question] of QUESTIONS.entries()) {
+    if (index === 0) continue;
+
+    it(`question-display sends a ${question.type} question without its answer`, async () => {
+      // Answer the open question so its results close it, then move on
+      const results = nextEvent(client, "question-results");
+      client.emit("submit-answer", { matchId, questionIndex: index - 1, selectedOptionId: 1 });
+      await results;
+
+      const display = nextEvent(client, "question-display");
+      client.emit("next-question", { matchId });
+
+      const payload = await display;
+      assert.equal(payload.questionIndex, index);
+      assert.equal(payload.questionText, question.text);
+      assert.equal(payload.type, question.type);
+      assert.deepEqual(findLeaks(payload), []);
+    });
+  }
+});
@@ -0,0 +1,70 @@
+/**
+ * Finishing order for matches with any number of players
+ * Players still in the game rank first by score, then players knocked out
+ * (later eliminations rank higher), then players who forfeited.
+ */
+
+// 0 = still playing, 1 = eliminated on score, 2 = forfeited / left
+const tierOf = (entry) => {
+  if (entry.forfeited) return 2;
+  if (entry.eliminatedAtQuestion !== null && entry.eliminatedAtQuestion !== undefined) return 1;
+  return 0;
+};
+
+const compareEntries = (a, b) =>
+  tierOf(a) - tierOf(b) ||
+  (b.eliminatedAtQuestion ?? -1) - (a.eliminatedAtQuestion ?? -1) ||
+  b.score - a.score;
+
+/**
+ * Rank players (or teams) into places; identical results share a place (1, 1, 3)
+ * @param {array} entries - [{ userId, score, eliminatedAtQuestion, forfeited }]
+ * @returns {array} Entries sorted by place, each with a `place` field
+ */
+const calculatePlacements = (entries) => {
+  const sorted = entries
+    .map((entry) => ({
+      ...entry,
+      score: entry.score || 0,
+      eliminatedAtQuestion: entry.eliminatedAtQuestion ?? null,
+      forfeited: Boolean(entry.forfeited),
+    }))
+    .sort(compareEntries);
+
+  sorted.forEach((entry, index) => {
+    const previous = sorted[index - 1];
+    entry.place = previous && compareEntries(previous, entry) === 0 ? previous.place : index + 1;
+  });
+
+  return sorted;
+};
+
+/**
+ * Aggregate member scores per team and rank the teams
+ * A team whose members all forfeited ranks last
+ * @param {array} teams - [{ teamId, name, members: [{ userId, forfeited }] }]
+ * @param {object} scores - userId -> score
+ * @param {string} scoring - "sum" or "average"
+ * @returns {array} [{ teamId, name, members: [userId], score, place, forfeited }] by place
+ */
+const calculateTeamStandings = (teams, scores, scoring = "sum") => {
+  const entries = teams.map((team) => {
+    const total = team.members.reduce((sum, m) => sum + (scores[m.userId] || 0), 0);
+    const score =
+      scoring === "average" && team.members.length > 0
+        ? Math.round((total / team.members.length) * 10) / 10
+        : total;
+
+    return {
+      teamId: team.teamId,
+      name: team.name,
+      members: team.members.map((m) => m.userId),
+      score,
+      forfeited: team.members.length > 0 && team.members.every((m) => m.forfeited),
+    };
+  });
+
+  return calculatePlacements(entries).map(({ eliminatedAtQuestion, ...team }) => team);
+};
+
+module.exports = { calculatePlacements, calculateTeamStandings };
@@ -0,0 +1,94 @@
+/**
+ * Elo rating helpers for per-category competitive ratings
+ */
+
+const DEFAULT_RATING = 1200;
+const MIN_RATING = 100;
+const PROVISIONAL_MATCHES = 10; // Matches before a rating settles
+const PROVISIONAL_K_FACTOR = 40;
+const K_FACTOR = 24;
+
+/**
+ * Expected score of player A against player B
+ * @param {number} ratingA - Player A rating
+ * @param {number} ratingB - Player B rating
+ * @returns {number} Probability (0-1) that A wins
+ */
+const expectedScore = (ratingA, ratingB) => {
+  return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+};
+
+/**
+ * Calculate a player's rating change after a match
+ * @param {number} rating - Player's current rating
+ * @param {number} opponentRating - Opponent's current rating
+ * @param {number} actualScore - 1 for a win, 0.5 for a draw, 0 for a loss
+ * @param {number} matchesPlayed - Rated matches the player has already played
+ * @returns {number} Rounded rating delta (can be negative)
+ */
+const calculateRatingChange = (rating, opponentRating, actualScore, matchesPlayed = 0) => {
+  const kFactor = matchesPlayed < PROVISIONAL_MATCHES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+  const delta = Math.round(kFactor * (actualScore - expectedScore(rating, opponentRating)));
+
+  // Never drop below the rating floor
+  return Math.max(delta, MIN_RATING - rating);
+};
+
+/**
+ * Get a user's rating entry for a category
+ * @param {object} user - User document (with categoryRatings)
+ * @param {string} categoryId - Category ID
+ * @returns {object} Rating entry, or a default unrated entry
+ */
+const getCategoryRating = (user, categoryId) => {
+  const entry = (user.categoryRatings || []).find(
+    (r) => r.category && r.category.toString() === categoryId.toString()
+  );
+
+  return (
+    entry || {
+      category: categoryId,
+      rating: DEFAULT_RATING,
+      matchesPlayed: 0,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+    }
+  );
+};
+
+/**
+ * Apply a rated result to a user's category rating (mutates the document)
+ * @param {object} user - User document
+ * @param {string} categoryId - Category ID
+ * @param {number} ratingChange - Delta from calculateRatingChange
+ * @param {number} actualScore - 1 win, 0.5 draw, 0 loss
+ * @returns {object} The updated rating entry
+ */
+const applyRatingResult = (user, categoryId, ratingChange, actualScore) => {
+  let entry = (user.categoryRatings || []).find(
+    (r) => r.category && r.category.toString() === categoryId.toString()
+  );
+
+  if (!entry) {
+    user.categoryRatings.push({ category: categoryId, rating: DEFAULT_RATING });
+    entry = user.categoryRatings[user.categoryRatings.length - 1];
+  }
+
+  entry.rating += ratingChange;
+  entry.matchesPlayed += 1;
+  if (actualScore === 1) entry.wins += 1;
+  else if (actualScore === 0) entry.losses += 1;
+  else entry.draws += 1;
+  entry.lastPlayedAt = new Date();
+
+  return entry;
+};
+
+module.exports = {
+  DEFAULT_RATING,
+  expectedScore,
+  calculateRatingChange,
+  getCategoryRating,
+  applyRatingResult,
+};
@@ -116,6 +116,45 @@ const calculateMatchReward = (matchData) => {
   };
 };
 
+/**
+ * Calculate points for a single answer, scaled by answer speed
+ * Partially correct answers (multi-select) earn their share of the points
+ * @param {object} answerData - { isCorrect, credit (0-1, defaults to isCorrect), timeSpent (ms), timeLimit (ms), basePoints, maxSpeedBonus }
+ * @returns {number} Points awarded (0 for a wrong answer)
+ */
+const calculateAnswerPoints = (answerData) => {
+  const {
+    isCorrect = false,
+    credit = isCorrect ? 1 : 0,
+    timeSpent = 0,
+    timeLimit = 30000,
+    basePoints = 10,
+    maxSpeedBonus = 10,
+  } = answerData;
+
+  if (!(credit > 0)) return 0;
+
+  // Share of the time limit left when the answer arrived (0-1)
+  const remaining = timeLimit > 0 ? Math.max(0, 1 - timeSpent / timeLimit) : 0;
+  const speedBonus = Math.round(maxSpeedBonus * remaining);
+
+  return Math.round((basePoints + speedBonus) * Math.min(1, credit));
+};
+
+/**
+ * Calculate XP for a finishing place in a multi-player match
+ * @param {object} placementData - { score, place, playerCount, maxPlacementBonus }
+ * @returns {number} Match score plus a bonus that shrinks from first place to last
+ */
+const calculatePlacementXP = (placementData) => {
+  const { score = 0, place = 1, playerCount = 1, maxPlacementBonus = 50 } = placementData;
+
+  if (playerCount <= 1) return score;
+
+  const share = Math.max(0, (playerCount - place) / (playerCount - 1));
+  return score + Math.round(maxPlacementBonus * share);
+};
+
 /**
  * Calculate win rate
  * @param {number} wins - Total wins
@@ -175,6 +214,8 @@ module.exports = {
   calculateRank,
   checkBadges,
   calculateMatchReward,
+  calculateAnswerPoints,
+  calculatePlacementXP,
   calculateWinRate,
   calculateLevel,
   getProgressToNextLevel,
@@ -0,0 +1,543 @@
+/**
+ * Asynchronous (turn-based) challenges
+ * The challenger plays a fixed question set, then the opponent has until the
+ * deadline to play the same questions. Questions are timed by the server from
+ * the moment they are served. Used by both the REST routes and the socket events.
+ */
+const mongoose = require("mongoose");
+const Match = require("../models/Match");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Question = require("../models/Question");
+const { selectMatchQuestions, recordServedQuestions } = require("./questionSelection");
+const { recordQuestionAnswers } = require("./questionStats");
+const { calculateAnswerPoints } = require("./calculateXP");
+const { calculatePlacements } = require("./calculatePlacements");
+const { calculateMatchRatingChanges, applyMatchReward } = require("./matchRewards");
+const { PUBLIC_QUESTION_FIELDS, toPublicQuestion } = require("./questionProjection");
+const { ANSWER_KEY_FIELDS, answerFrom, gradeAnswer } = require("./questionGrading");
+const httpError = require("./httpError");
+
+// Configuration Constants
+const CHALLENGE_QUESTIONS = 5;
+const CHALLENGE_TIME_LIMIT = 30; // seconds per question
+const CHALLENGE_DEADLINE = 48 * 60 * 60 * 1000; // 48 hours for each player's turn
+const ANSWER_LATENCY_GRACE = 1000; // Same allowance as live matches
+const XP_PER_CORRECT = 10;
+const MAX_SPEED_BONUS = 10;
+
+const notifyUser = (io, userId, event, payload) => {
+  if (io) {
+    io.to(`user-${userId}`).emit(event, payload);
+  }
+};
+
+// IDs of populated or plain references
+const idOf = (ref) => (ref._id || ref).toString();
+
+const findPlayer = (match, userId) =>
+  match.players.find((p) => idOf(p.user) === idOf(userId));
+
+const isChallenger = (match, userId) =>
+  idOf(match.challenge.challenger) === idOf(userId);
+
+/**
+ * Challenge as seen by one of its players
+ * The opponent's score stays hidden until the challenge is settled
+ */
+const summarizeChallenge = (match, viewerId) => {
+  const self = findPlayer(match, viewerId);
+  const other = match.players.find((p) => p !== self);
+  const finished = match.state === "finished";
+  const challengerDone = Boolean(findPlayer(match, match.challenge.challenger)?.finishedAt);
+
+  return {
+    matchId: match._id,
+    state: match.state,
+    category: match.category,
+    challenger: match.challenge.challenger,
+    opponent: match.challenge.opponent,
+    deadline: match.challenge.deadline,
+    totalQuestions: match.questions.length,
+    questionTimeLimit: match.challenge.questionTimeLimit,
+    yourTurn:
+      !finished &&
+      !self.finishedAt &&
+      (isChallenger(match, viewerId) || challengerDone),
+    you: {
+      answered: self.answers.length,
+      score: self.score,
+      finished: Boolean(self.finishedAt),
+    },
+    them: {
+      userId: other.user,
+      finished: Boolean(other.finishedAt),
+      score: finished ? other.score : undefined,
+    },
+    result: finished
+      ? {
+          winnerId: match.winnerId,
+          isDraw: match.isDraw,
+          endReason: match.endReason,
+          scores: match.scores,
+        }
+      : undefined,
+  };
+};
+
+/**
+ * Load a challenge for one of its players
+ */
+const loadChallenge = async (matchId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(matchId)) {
+    throw httpError(404, "CHALLENGE_NOT_FOUND", "Challenge not found");
+  }
+
+  const match = await Match.findOne({ _id: matchId, mode: "challenge" });
+  if (!match) {
+    throw httpError(404, "CHALLENGE_NOT_FOUND", "Challenge not found");
+  }
+
+  const player = findPlayer(match, userId);
+  if (!player) {
+    throw httpError(403, "NOT_IN_MATCH", "You are not a player in this challenge");
+  }
+
+  return { match, player };
+};
+
+/**
+ * Reject play that is out of turn, finished or past the deadline
+ */
+const assertCanPlay = async (io, match, player) => {
+  if (match.state === "finished") {
+    throw httpError(409, "CHALLENGE_FINISHED", "This challenge is already over");
+  }
+
+  if (match.challenge.deadline && match.challenge.deadline.getTime() < Date.now()) {
+    await settleChallenge(io, match._id, "Deadline passed");
+    throw httpError(409, "CHALLENGE_EXPIRED", "The deadline for this challenge has passed");
+  }
+
+  if (player.finishedAt) {
+    throw httpError(409, "ALREADY_FINISHED", "You already played this challenge");
+  }
+
+  const challenger = findPlayer(match, match.challenge.challenger);
+  if (!isChallenger(match, player.user) && !challenger.finishedAt) {
+    throw httpError(409, "NOT_YOUR_TURN", "Wait for the challenger to finish their turn");
+  }
+};
+
+/**
+ * Create a challenge against another player
+ * @param {object} io - Socket.IO server (optional, for notifications)
+ * @param {object} data - { challengerId, opponentId, categoryId, numberOfQuestions, timePerQuestion }
+ * @returns {Promise<object>} Challenge summary for the challenger
+ */
+const createChallenge = async (io, data) => {
+  const { challengerId, opponentId, categoryId } = data;
+  const questionsCount = Number(data.numberOfQuestions) || CHALLENGE_QUESTIONS;
+  const questionTimeLimit = Number(data.timePerQuestion) || CHALLENGE_TIME_LIMIT;
+
+  if (!opponentId || !mongoose.Types.ObjectId.isValid(opponentId)) {
+    throw httpError(400, "INVALID_OPPONENT", "A valid opponent ID is required");
+  }
+  if (opponentId.toString() === challengerId.toString()) {
+    throw httpError(400, "INVALID_OPPONENT", "You cannot challenge yourself");
+  }
+  if (!categoryId || !mongoose.Types.ObjectId.isValid(categoryId)) {
+    throw httpError(400, "CATEGORY_NOT_FOUND", "A valid category ID is required");
+  }
+  if (questionsCount < 3 || questionsCount > 20) {
+    throw httpError(400, "INVALID_QUESTION_COUNT", "Number of questions must be between 3 and 20");
+  }
+  if (questionTimeLimit < 15 || questionTimeLimit > 300) {
+    throw httpError(400, "INVALID_TIME_LIMIT", "Time per question must be between 15 and 300 seconds");
+  }
+
+  const [opponent, category] = await Promise.all([
+    User.findById(opponentId).select("username"),
+    Category.findById(categoryId).select("name"),
+  ]);
+  if (!opponent) {
+    throw httpError(404, "USER_NOT_FOUND", "Opponent not found");
+  }
+  if (!category) {
+    throw httpError(404, "CATEGORY_NOT_FOUND", "Category not found");
+  }
+
+  const questions = await selectMatchQuestions({
+    categoryId,
+    count: questionsCount,
+    userIds: [challengerId, opponentId],
+  });
+  if (questions.length < questionsCount) {
+    throw httpError(
+      400,
+      "INSUFFICIENT_QUESTIONS",
+      `Not enough questions in category "${category.name}". Available: ${questions.length}, Required: ${questionsCount}.`
+    );
+  }
+
+  const match = await Match.create({
+    mode: "challenge",
+    state: "waiting",
+    isPublic: false,
+    players: [{ user: challengerId }, { user: opponentId }],
+    category: categoryId,
+    questions: questions.map((q) => q._id),
+    scores: [
+      { userId: challengerId, score: 0 },
+      { userId: opponentId, score: 0 },
+    ],
+    startedAt: new Date(),
+    finishedAt: null,
+    challenge: {
+      challenger: challengerId,
+      opponent: opponentId,
+      questionTimeLimit,
+      deadline: new Date(Date.now() + CHALLENGE_DEADLINE),
+    },
+  });
+
+  console.log(`[CHALLENGE] ${challengerId} challenged ${opponentId} in ${category.name} (match ${match._id})`);
+  return summarizeChallenge(match, challengerId);
+};
+
+/**
+ * Record an answer (or a timeout when submitted is null)
+ * The $size guard makes duplicate submissions for a question no-ops
+ * @param {object|null} submitted - From answerFrom
+ */
+const recordAnswer = async (match, player, questionIndex, submitted, receivedAt) => {
+  const questionId = match.questions[questionIndex];
+  const question = await Question.findById(questionId).select(`type options ${ANSWER_KEY_FIELDS}`);
+
+  const timeLimitMs = match.challenge.questionTimeLimit * 1000;
+  const elapsedMs = receivedAt - player.questionServedAt.getTime();
+  const inTime = elapsedMs <= timeLimitMs + ANSWER_LATENCY_GRACE;
+  const given = inTime && submitted ? submitted : answerFrom();
+  const { isCorrect, credit } = question ? gradeAnswer(question, given) : { isCorrect: false, credit: 0 };
+
+  const timeSpentMs = Math.min(elapsedMs, timeLimitMs);
+  const pointsAwarded = calculateAnswerPoints({
+    isCorrect,
+    credit,
+    timeSpent: timeSpentMs,
+    timeLimit: timeLimitMs,
+    basePoints: XP_PER_CORRECT,
+    maxSpeedBonus: MAX_SPEED_BONUS,
+  });
+  const answer = {
+    questionId,
+    questionIndex,
+    ...given,
+    isCorrect,
+    credit,
+    timeSpent: Math.round(timeSpentMs / 100) / 10, // seconds, 0.1s precision
+    pointsAwarded,
+  };
+  const finished = questionIndex + 1 >= match.questions.length;
+
+  const result = await Match.updateOne(
+    {
+      _id: match._id,
+      state: { $ne: "finished" },
+      players: { $elemMatch: { user: player.user, answers: { $size: questionIndex } } },
+    },
+    {
+      $push: { "players.$.answers": answer },
+      $inc: { "players.$.score": pointsAwarded, "scores.$[own].score": pointsAwarded },
+      $set: {
+        "players.$.questionServedAt": null,
+        "players.$.finishedAt": finished ? new Date(receivedAt) : null,
+      },
+    },
+    { arrayFilters: [{ "own.userId": player.user }] }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw httpError(409, "ALREADY_ANSWERED", "You already answered this question");
+  }
+
+  recordQuestionAnswers(questionId, [answer]).catch((error) =>
+    console.error("[CHALLENGE] Failed to record question statistics:", error)
+  );
+
+  return { answer, inTime, finished, totalScore: player.score + pointsAwarded };
+};
+
+/**
+ * After a player's last answer: hand the turn to the opponent, or settle
+ */
+const onPlayerFinished = async (io, matchId, userId) => {
+  const match = await Match.findById(matchId);
+  if (!match || match.state === "finished") return;
+
+  if (match.players.every((p) => p.finishedAt)) {
+    await settleChallenge(io, matchId, "Both players finished");
+    return;
+  }
+
+  if (isChallenger(match, userId)) {
+    match.challenge.deadline = new Date(Date.now() + CHALLENGE_DEADLINE);
+    await match.save();
+
+    const opponentId = match.challenge.opponent;
+    console.log(`[CHALLENGE] ${userId} finished ${matchId}, ${opponentId} has until ${match.challenge.deadline.toISOString()}`);
+    notifyUser(io, opponentId, "challenge-received", summarizeChallenge(match, opponentId));
+  }
+};
+
+/**
+ * Serve the player's next question, starting its timer
+ * Asking again while a question is open returns it with the time left;
+ * a question whose time ran out is recorded as unanswered first
+ * @returns {Promise<object>} { matchId, questionIndex, totalQuestions, timeLimit, timeRemaining, question } or { finished: true }
+ */
+const nextChallengeQuestion = async (io, matchId, userId) => {
+  const { match, player } = await loadChallenge(matchId, userId);
+  await assertCanPlay(io, match, player);
+
+  const now = Date.now();
+  const timeLimitMs = match.challenge.questionTimeLimit * 1000;
+  let questionIndex = player.answers.length;
+  let timeRemaining = timeLimitMs;
+  let alreadyServed = false;
+
+  if (player.questionServedAt) {
+    const elapsedMs = now - player.questionServedAt.getTime();
+
+    if (elapsedMs <= timeLimitMs) {
+      timeRemaining = timeLimitMs - elapsedMs;
+      alreadyServed = true;
+    } else {
+      // Ran out of time without answering
+      const { finished } = await recordAnswer(match, player, questionIndex, null, now);
+      if (finished) {
+        await onPlayerFinished(io, match._id, userId);
+        return { matchId: match._id, finished: true };
+      }
+      questionIndex += 1;
+    }
+  }
+
+  if (!alreadyServed) {
+    const served = await Match.updateOne(
+      {
+        _id: match._id,
+        players: {
+          $elemMatch: { user: player.user, answers: { $size: questionIndex }, questionServedAt: null },
+        },
+      },
+      { $set: { "players.$.questionServedAt": new Date(now), state: "active" } }
+    );
+    if (served.modifiedCount === 0) {
+      throw httpError(409, "QUESTION_ALREADY_SERVED", "This question is already open");
+    }
+  }
+
+  const question = await Question.findById(match.questions[questionIndex]).select(PUBLIC_QUESTION_FIELDS);
+  if (!alreadyServed && question) {
+    recordServedQuestions([userId], [question]).catch((error) =>
+      console.error("[CHALLENGE] Failed to record served question:", error)
+    );
+  }
+
+  return {
+    matchId: match._id,
+    questionIndex,
+    totalQuestions: match.questions.length,
+    timeLimit: match.challenge.questionTimeLimit,
+    timeRemaining: Math.ceil(timeRemaining / 1000),
+    question: toPublicQuestion(question),
+  };
+};
+
+/**
+ * Answer the open question
+ * @param {object} answerData - { questionIndex, selectedOptionId | selectedOptionIds | answerValue }
+ * @returns {Promise<object>} { questionIndex, isCorrect, credit, pointsAwarded, timeSpent, late, totalScore, finished }
+ */
+const submitChallengeAnswer = async (io, matchId, userId, answerData = {}) => {
+  const { match, player } = await loadChallenge(matchId, userId);
+  await assertCanPlay(io, match, player);
+
+  const questionIndex = Number(answerData.questionIndex);
+  if (questionIndex !== player.answers.length || !player.questionServedAt) {
+    throw httpError(409, "QUESTION_NOT_ACTIVE", "This question is not open for answers");
+  }
+
+  const { answer, inTime, finished, totalScore } = await recordAnswer(
+    match,
+    player,
+    questionIndex,
+    answerFrom(answerData),
+    Date.now()
+  );
+
+  if (finished) {
+    await onPlayerFinished(io, match._id, userId);
+  }
+
+  return {
+    questionIndex,
+    isCorrect: answer.isCorrect,
+    credit: answer.credit,
+    pointsAwarded: answer.pointsAwarded,
+    timeSpent: answer.timeSpent,
+    late: !inTime,
+    totalScore,
+    finished,
+  };
+};
+
+/**
+ * Score a challenge once, like endMatch: winner, rating, XP and badges
+ * A player who did not finish by the deadline forfeits
+ * @returns {Promise<object|null>} The finished match, or null if already settled
+ */
+const settleChallenge = async (io, matchId, reason) => {
+  // Claim the challenge so it is only settled once
+  const match = await Match.findOneAndUpdate(
+    { _id: matchId, mode: "challenge", state: { $ne: "finished" } },
+    { state: "finished", finishedAt: new Date() },
+    { new: true }
+  );
+  if (!match) return null;
+
+  const entries = match.players.map((p) => ({
+    userId: p.user.toString(),
+    score: p.score,
+    forfeited: !p.finishedAt,
+  }));
+  const placements = calculatePlacements(entries);
+  const nobodyPlayed = entries.every((e) => e.forfeited);
+  const firstPlace = placements.filter((p) => p.place === 1);
+  const winnerId =
+    firstPlace.length === 1 && !firstPlace[0].forfeited ? firstPlace[0].userId : null;
+  const isDraw = !nobodyPlayed && firstPlace.length > 1;
+  const forfeiters = entries.filter((e) => e.forfeited);
+
+  const users = await User.find({ _id: { $in: entries.map((e) => e.userId) } });
+  const findUser = (userId) => users.find((u) => u._id.toString() === userId);
+
+  // Only rated when both players actually played
+  const ratingChanges =
+    forfeiters.length === 0 && users.length === 2
+      ? calculateMatchRatingChanges(
+          entries.map((e) => findUser(e.userId)),
+          match.category,
+          { winnerId, isDraw }
+        )
+      : {};
+
+  for (const player of match.players) {
+    const userId = player.user.toString();
+    const user = findUser(userId);
+    if (!user) continue;
+
+    await applyMatchReward(user, {
+      categoryId: match.category,
+      xpEarned: player.score,
+      ratingChange: ratingChanges[userId],
+      correctCount: player.answers.filter((a) => a.isCorrect).length,
+      questionsCount: match.questions.length,
+    });
+  }
+
+  match.set({
+    endReason: reason,
+    winnerId,
+    isDraw,
+    isRated: Object.keys(ratingChanges).length > 0,
+    forfeitedBy: forfeiters.length === 1 ? forfeiters[0].userId : null,
+    scores: entries.map((e) => ({
+      userId: e.userId,
+      score: e.score,
+      xpEarned: e.score,
+      ratingBefore: ratingChanges[e.userId]?.ratingBefore,
+      ratingChange: ratingChanges[e.userId]?.ratingChange,
+    })),
+    placements: placements.map((p) => ({
+      userId: p.userId,
+      place: p.place,
+      score: p.score,
+      forfeited: p.forfeited,
+    })),
+  });
+  await match.save();
+
+  console.log(`[CHALLENGE] Settled ${matchId}: ${reason}, winner ${winnerId || (isDraw ? "draw" : "none")}`);
+
+  for (const e of entries) {
+    notifyUser(io, e.userId, "challenge-finished", {
+      ...summarizeChallenge(match, e.userId),
+      ratingChange: ratingChanges[e.userId]?.ratingChange ?? null,
+    });
+  }
+
+  return match;
+};
+
+/**
+ * Settle every challenge whose deadline has passed
+ * @returns {Promise<number>} Challenges settled
+ */
+const expireChallenges = async (io) => {
+  const expired = await Match.find({
+    mode: "challenge",
+    state: { $ne: "finished" },
+    "challenge.deadline": { $lt: new Date() },
+  }).select("_id");
+
+  let settled = 0;
+  for (const { _id } of expired) {
+    if (await settleChallenge(io, _id, "Deadline passed")) {
+      settled += 1;
+    }
+  }
+  return settled;
+};
+
+/**
+ * A player's challenges, newest first
+ * @param {string} userId - Player
+ * @param {string} status - "pending" (not finished) or "finished"; anything else returns both
+ */
+const listChallenges = async (userId, status) => {
+  const query = { mode: "challenge", "players.user": userId };
+  if (status === "pending") query.state = { $ne: "finished" };
+  if (status === "finished") query.state = "finished";
+
+  const matches = await Match.find(query)
+    .populate("category", "name")
+    .populate("challenge.challenger challenge.opponent", "username")
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  return matches.map((match) => summarizeChallenge(match, userId));
+};
+
+/**
+ * One challenge as seen by one of its players
+ */
+const getChallenge = async (matchId, userId) => {
+  const { match } = await loadChallenge(matchId, userId);
+  await match.populate([
+    { path: "category", select: "name" },
+    { path: "challenge.challenger challenge.opponent", select: "username" },
+  ]);
+  return summarizeChallenge(match, userId);
+};
+
+module.exports = {
+  createChallenge,
+  nextChallengeQuestion,
+  submitChallengeAnswer,
+  settleChallenge,
+  expireChallenges,
+  listChallenges,
+  getChallenge,
+};
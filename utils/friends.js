@@ -0,0 +1,240 @@
+/**
+ * Friends: requests, accept/decline, friends list with online presence
+ * Used by the REST routes under /api/friends and the socket layer.
+ * Players are notified through their `user-${userId}` socket rooms.
+ */
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const httpError = require("./httpError");
+
+// Profile fields shown in friends lists and requests
+const FRIEND_FIELDS = "username xp rank level profileImage";
+
+const userRoom = (userId) => `user-${userId}`;
+
+const notifyUser = (io, userId, event, payload) => {
+  if (io) {
+    io.to(userRoom(userId)).emit(event, payload);
+  }
+};
+
+/**
+ * Which of the given users have a socket connected to any instance
+ * @param {object} io - Socket.IO server (optional)
+ * @param {array} userIds - Users to check
+ * @returns {Promise<Set<string>>} IDs of the online users
+ */
+const getOnlineUserIds = async (io, userIds) => {
+  const online = new Set();
+  if (!io || userIds.length === 0) return online;
+
+  const rooms = userIds.map((id) => userRoom(id));
+  const sockets = await io.in(rooms).fetchSockets();
+
+  for (const socket of sockets) {
+    for (const room of socket.rooms) {
+      if (rooms.includes(room)) online.add(room.slice("user-".length));
+    }
+  }
+  return online;
+};
+
+/**
+ * Tell a user's friends that they came online or went offline
+ */
+const notifyFriendsOfPresence = async (io, userId, isOnline) => {
+  const user = await User.findById(userId).select("username friends");
+  if (!user) return;
+
+  const event = isOnline ? "friend-online" : "friend-offline";
+  for (const friendId of user.friends) {
+    notifyUser(io, friendId, event, { userId: user._id, username: user.username });
+  }
+};
+
+const assertUserId = (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw httpError(404, "USER_NOT_FOUND", "User not found");
+  }
+};
+
+const areFriends = async (userId, otherId) =>
+  Boolean(await User.exists({ _id: userId, friends: otherId }));
+
+/**
+ * Find the target of a friend request by ID or username
+ */
+const findTarget = async ({ userId, username }) => {
+  if (userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+    return User.findById(userId).select("username friends friendRequests");
+  }
+  if (username) {
+    return User.findOne({ username: String(username).trim() }).select("username friends friendRequests");
+  }
+  return null;
+};
+
+/**
+ * Send a friend request
+ * If the target already asked us, the request is accepted instead
+ * @param {object} target - { userId } or { username }
+ * @returns {Promise<object>} { status: "sent" | "accepted", user }
+ */
+const sendFriendRequest = async (io, fromId, target = {}) => {
+  const [sender, recipient] = await Promise.all([
+    User.findById(fromId).select("username friends friendRequests"),
+    findTarget(target),
+  ]);
+
+  if (!recipient) {
+    throw httpError(404, "USER_NOT_FOUND", "User not found");
+  }
+  const recipientId = recipient._id.toString();
+
+  if (recipientId === fromId.toString()) {
+    throw httpError(400, "INVALID_FRIEND", "You cannot add yourself as a friend");
+  }
+  if (sender.friends.some((id) => id.toString() === recipientId)) {
+    throw httpError(409, "ALREADY_FRIENDS", "You are already friends");
+  }
+
+  // They already asked us: accept their request
+  if (sender.friendRequests.some((r) => r.from.toString() === recipientId)) {
+    const user = await acceptFriendRequest(io, fromId, recipientId);
+    return { status: "accepted", user };
+  }
+
+  const result = await User.updateOne(
+    { _id: recipientId, "friendRequests.from": { $ne: fromId } },
+    { $push: { friendRequests: { from: fromId } } }
+  );
+  if (result.modifiedCount === 0) {
+    throw httpError(409, "REQUEST_ALREADY_SENT", "Friend request already sent");
+  }
+
+  console.log(`[FRIENDS] ${fromId} sent a friend request to ${recipientId}`);
+  notifyUser(io, recipientId, "friend-request-received", {
+    from: { _id: sender._id, username: sender.username },
+  });
+
+  return { status: "sent", user: { _id: recipient._id, username: recipient.username } };
+};
+
+/**
+ * Accept an incoming friend request
+ * @returns {Promise<object>} The new friend's public profile
+ */
+const acceptFriendRequest = async (io, userId, fromId) => {
+  assertUserId(fromId);
+
+  const result = await User.updateOne(
+    { _id: userId, "friendRequests.from": fromId },
+    { $pull: { friendRequests: { from: fromId } }, $addToSet: { friends: fromId } }
+  );
+  if (result.modifiedCount === 0) {
+    throw httpError(404, "REQUEST_NOT_FOUND", "Friend request not found");
+  }
+
+  await User.updateOne(
+    { _id: fromId },
+    { $pull: { friendRequests: { from: userId } }, $addToSet: { friends: userId } }
+  );
+
+  const [user, friend] = await Promise.all([
+    User.findById(userId).select("username"),
+    User.findById(fromId).select(FRIEND_FIELDS),
+  ]);
+
+  console.log(`[FRIENDS] ${userId} accepted ${fromId}'s friend request`);
+  notifyUser(io, fromId, "friend-request-accepted", {
+    friend: { _id: user._id, username: user.username },
+  });
+
+  return friend;
+};
+
+/**
+ * Decline an incoming friend request
+ */
+const declineFriendRequest = async (userId, fromId) => {
+  assertUserId(fromId);
+
+  const result = await User.updateOne(
+    { _id: userId, "friendRequests.from": fromId },
+    { $pull: { friendRequests: { from: fromId } } }
+  );
+  if (result.modifiedCount === 0) {
+    throw httpError(404, "REQUEST_NOT_FOUND", "Friend request not found");
+  }
+};
+
+/**
+ * Remove a friend (both sides)
+ */
+const removeFriend = async (userId, friendId) => {
+  assertUserId(friendId);
+
+  const result = await User.updateOne({ _id: userId, friends: friendId }, { $pull: { friends: friendId } });
+  if (result.modifiedCount === 0) {
+    throw httpError(404, "FRIEND_NOT_FOUND", "This user is not your friend");
+  }
+  await User.updateOne({ _id: friendId }, { $pull: { friends: userId } });
+};
+
+/**
+ * Friends list with online presence, online friends first
+ */
+const listFriends = async (io, userId) => {
+  const user = await User.findById(userId).populate("friends", FRIEND_FIELDS);
+  if (!user) {
+    throw httpError(404, "USER_NOT_FOUND", "User not found");
+  }
+
+  const online = await getOnlineUserIds(
+    io,
+    user.friends.map((f) => f._id.toString())
+  );
+
+  return user.friends
+    .map((friend) => ({
+      ...friend.toObject(),
+      isOnline: online.has(friend._id.toString()),
+    }))
+    .sort((a, b) => b.isOnline - a.isOnline || a.username.localeCompare(b.username));
+};
+
+/**
+ * Pending friend requests: incoming (to accept/decline) and outgoing
+ */
+const listFriendRequests = async (userId) => {
+  const [user, outgoing] = await Promise.all([
+    User.findById(userId).select("friendRequests").populate("friendRequests.from", FRIEND_FIELDS),
+    User.find({ "friendRequests.from": userId }).select("username friendRequests"),
+  ]);
+  if (!user) {
+    throw httpError(404, "USER_NOT_FOUND", "User not found");
+  }
+
+  return {
+    incoming: user.friendRequests
+      .filter((r) => r.from)
+      .map((r) => ({ from: r.from, createdAt: r.createdAt })),
+    outgoing: outgoing.map((recipient) => ({
+      to: { _id: recipient._id, username: recipient.username },
+      createdAt: recipient.friendRequests.find((r) => r.from.toString() === userId.toString()).createdAt,
+    })),
+  };
+};
+
+module.exports = {
+  getOnlineUserIds,
+  notifyFriendsOfPresence,
+  areFriends,
+  sendFriendRequest,
+  acceptFriendRequest,
+  declineFriendRequest,
+  removeFriend,
+  listFriends,
+  listFriendRequests,
+};
@@ -0,0 +1,12 @@
+/**
+ * Error carrying an HTTP status and a client-facing code
+ * The global error handler and socket handlers send both back to the client
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @returns {Error}
+ */
+const httpError = (status, code, message) =>
+  Object.assign(new Error(message), { status, code });
+
+module.exports = httpError;
@@ -0,0 +1,91 @@
+/**
+ * Match lobby: open public matches waiting for players
+ * Read from MongoDB so every server instance lists the same matches
+ */
+const mongoose = require("mongoose");
+const Match = require("../models/Match");
+
+// Waiting rooms nobody joins within this time are closed and deleted
+const WAITING_ROOM_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Modes that can be joined from the lobby
+const LOBBY_MODES = ["duel", "battle-royale", "team"];
+
+/**
+ * Open public matches, newest first
+ * @param {object} filters - { categoryId, mode }
+ * @returns {Promise<array>} [{ matchId, category, creator, mode, settings, playersCount, ageSeconds, createdAt }]
+ */
+const listOpenMatches = async (filters = {}) => {
+  const query = {
+    state: "waiting",
+    isPublic: true,
+    mode: { $in: LOBBY_MODES },
+    createdAt: { $gt: new Date(Date.now() - WAITING_ROOM_TTL) },
+    // Not full yet
+    $expr: { $lt: [{ $size: "$players" }, "$maxPlayers"] },
+  };
+
+  if (filters.categoryId && mongoose.Types.ObjectId.isValid(filters.categoryId)) {
+    query.category = filters.categoryId;
+  }
+  if (filters.mode && LOBBY_MODES.includes(filters.mode)) {
+    query.mode = filters.mode;
+  }
+
+  const matches = await Match.find(query)
+    .select("category players host mode maxPlayers questions questionTimeLimit teamSize teamScoring elimination createdAt")
+    .populate("category", "name")
+    .populate("players.user", "username rank")
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  const now = Date.now();
+  return matches.map((match) => {
+    const creator = match.players[0] ? match.players[0].user : null;
+
+    return {
+      matchId: match._id,
+      matchCode: match._id.toString().substring(0, 12).toUpperCase(),
+      category: match.category,
+      creator: creator && { _id: creator._id, username: creator.username, rank: creator.rank },
+      mode: match.mode,
+      settings: {
+        numberOfQuestions: match.questions.length,
+        timePerQuestion: match.questionTimeLimit,
+        maxPlayers: match.maxPlayers,
+        teamSize: match.teamSize,
+        teamScoring: match.teamScoring,
+        elimination: match.elimination,
+      },
+      playersCount: match.players.length,
+      createdAt: match.createdAt,
+      ageSeconds: Math.floor((now - match.createdAt.getTime()) / 1000),
+    };
+  });
+};
+
+/**
+ * Delete waiting matches (of any instance) left behind well past the TTL
+ * Live rooms are expired by the instance that owns them; this catches the rest
+ * @returns {Promise<array>} IDs of the deleted matches
+ */
+const deleteStaleWaitingMatches = async () => {
+  const stale = await Match.find({
+    state: "waiting",
+    mode: { $in: LOBBY_MODES },
+    createdAt: { $lt: new Date(Date.now() - WAITING_ROOM_TTL * 2) },
+  }).select("_id");
+
+  const ids = stale.map((m) => m._id);
+  if (ids.length > 0) {
+    await Match.deleteMany({ _id: { $in: ids }, state: "waiting" });
+  }
+  return ids.map((id) => id.toString());
+};
+
+module.exports = {
+  WAITING_ROOM_TTL,
+  listOpenMatches,
+  deleteStaleWaitingMatches,
+};
@@ -0,0 +1,122 @@
+/**
+ * Settle a finished match on player profiles
+ * Shared by live socket matches and asynchronous challenges
+ */
+const {
+  calculateRatingChange,
+  getCategoryRating,
+  applyRatingResult,
+} = require("./calculateRating");
+const { calculateRank, calculatePlacementXP } = require("./calculateXP");
+
+const ROYALE_PLACEMENT_BONUS = 50; // Extra XP for 1st place, shrinking to 0 for last
+const TEAM_WIN_BONUS = 25; // Extra XP for every member of the winning team who did not forfeit
+
+/**
+ * XP each player earns from a finished match
+ * Duels award the match score; battle royale adds a bonus by finishing place,
+ * team matches a bonus for every member of the winning team still playing at the end
+ * @param {object} result - { mode, placements: [{ userId, score, place, forfeited }], winningTeamId, xpMultiplier (duels) }
+ * @returns {object} userId -> XP earned
+ */
+const calculateMatchXp = ({ mode, placements, winningTeamId = null, xpMultiplier = 1 }) =>
+  Object.fromEntries(
+    placements.map((p) => {
+      if (mode === "battle-royale") {
+        return [
+          p.userId,
+          calculatePlacementXP({
+            score: p.score,
+            place: p.place,
+            playerCount: placements.length,
+            maxPlacementBonus: ROYALE_PLACEMENT_BONUS,
+          }),
+        ];
+      }
+      if (mode === "team") {
+        return [p.userId, p.score + (winningTeamId && p.place === 1 && !p.forfeited ? TEAM_WIN_BONUS : 0)];
+      }
+      return [p.userId, Math.round(p.score * xpMultiplier)];
+    })
+  );
+
+/**
+ * Elo changes for a finished 1v1 match
+ * @param {array} users - The two players' User documents
+ * @param {string} categoryId - Category the match was played in
+ * @param {object} result - { winnerId, isDraw }
+ * @returns {object} userId -> { ratingBefore, ratingChange, actualScore }
+ */
+const calculateMatchRatingChanges = ([first, second], categoryId, { winnerId, isDraw }) => {
+  const ratingChanges = {};
+
+  for (const [self, opponent] of [[first, second], [second, first]]) {
+    const selfId = self._id.toString();
+    const own = getCategoryRating(self, categoryId);
+    const theirs = getCategoryRating(opponent, categoryId);
+    const actualScore = isDraw ? 0.5 : winnerId === selfId ? 1 : 0;
+
+    ratingChanges[selfId] = {
+      ratingBefore: own.rating,
+      ratingChange: calculateRatingChange(own.rating, theirs.rating, actualScore, own.matchesPlayed),
+      actualScore,
+    };
+  }
+
+  return ratingChanges;
+};
+
+/**
+ * Apply a match result to a player: category rating, XP, rank and badges
+ * Mutates and saves the user document
+ * @param {object} user - User document
+ * @param {object} reward - { categoryId, xpEarned, ratingChange, correctCount, questionsCount }
+ * @returns {Promise<array>} Badges earned in this match
+ */
+const applyMatchReward = async (user, reward) => {
+  const { categoryId, xpEarned = 0, ratingChange, correctCount = 0, questionsCount = 0 } = reward;
+
+  if (ratingChange) {
+    applyRatingResult(user, categoryId, ratingChange.ratingChange, ratingChange.actualScore);
+  }
+
+  // Award XP
+  user.xp += xpEarned;
+  user.weeklyXp += xpEarned;
+
+  // Update rank based on total XP
+  user.rank = calculateRank(user.xp);
+
+  // Award badges
+  const earnedBadges = [];
+
+  // Check for "Perfect Match" badge (every question answered correctly)
+  const isPerfect = questionsCount > 0 && correctCount >= questionsCount;
+  if (isPerfect && !user.badges.includes("Perfect Match")) {
+    user.badges.push("Perfect Match");
+    earnedBadges.push("Perfect Match");
+  }
+
+  // Check for milestone badges
+  if (user.xp >= 100 && !user.badges.includes("Novice")) {
+    user.badges.push("Novice");
+    earnedBadges.push("Novice");
+  }
+  if (user.xp >= 1000 && !user.badges.includes("Pro Gamer")) {
+    user.badges.push("Pro Gamer");
+    earnedBadges.push("Pro Gamer");
+  }
+  if (user.xp >= 5000 && !user.badges.includes("Master")) {
+    user.badges.push("Master");
+    earnedBadges.push("Master");
+  }
+
+  await user.save();
+  return earnedBadges;
+};
+
+module.exports = {
+  calculateMatchXp,
+  calculateMatchRatingChanges,
+  applyMatchReward,
+};
@@ -0,0 +1,395 @@
+/**
+ * Solo practice against the question bank
+ * Instant feedback with explanations and a small, daily-capped XP reward.
+ * Sessions are stored as PracticeSessions, never as ranked Matches.
+ * Used by both the REST routes and the socket events.
+ */
+const mongoose = require("mongoose");
+const PracticeSession = require("../models/PracticeSession");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Question = require("../models/Question");
+const { selectMatchQuestions, recordServedQuestions } = require("./questionSelection");
+const { calculateRank } = require("./calculateXP");
+const { toPublicQuestion } = require("./questionProjection");
+const { answerFrom, gradeAnswer, correctAnswerOf } = require("./questionGrading");
+const httpError = require("./httpError");
+
+// Configuration Constants
+const PRACTICE_QUESTIONS = 10;
+const PRACTICE_XP_PER_CORRECT = 2; // Matches award 10+ per correct answer
+// XP practice can earn per day; PRACTICE_DAILY_XP_CAP=0 turns practice XP off
+const PRACTICE_DAILY_XP_CAP = Number(process.env.PRACTICE_DAILY_XP_CAP ?? 50);
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Give practice XP up to today's cap
+ * The last answer before the cap gets whatever is left of it. The cap check and
+ * the increment happen in one update, so parallel answers can't exceed it.
+ * @returns {Promise<number>} XP actually awarded
+ */
+const grantPracticeXp = async (userId, amount) => {
+  if (amount <= 0 || PRACTICE_DAILY_XP_CAP <= 0) return 0;
+
+  const day = today();
+  await User.updateOne(
+    { _id: userId, "practiceXp.day": { $ne: day } },
+    { $set: { "practiceXp.day": day, "practiceXp.earned": 0 } }
+  );
+
+  // Every expression in one $set stage reads the values from before the update
+  const grant = { $min: [amount, { $subtract: [PRACTICE_DAILY_XP_CAP, "$practiceXp.earned"] }] };
+  const before = await User.findOneAndUpdate(
+    { _id: userId, "practiceXp.day": day, "practiceXp.earned": { $lt: PRACTICE_DAILY_XP_CAP } },
+    [
+      {
+        $set: {
+          "practiceXp.earned": { $add: ["$practiceXp.earned", grant] },
+          xp: { $add: ["$xp", grant] },
+          weeklyXp: { $add: ["$weeklyXp", grant] },
+        },
+      },
+    ],
+    { new: false, updatePipeline: true }
+  ).select("xp rank practiceXp");
+  if (!before) return 0;
+
+  const awarded = Math.min(amount, PRACTICE_DAILY_XP_CAP - before.practiceXp.earned);
+  const rank = calculateRank(before.xp + awarded);
+  if (rank !== before.rank) {
+    await User.updateOne({ _id: userId }, { rank });
+  }
+  return awarded;
+};
+
+/**
+ * Practice XP still available today
+ */
+const dailyXpRemaining = async (userId) => {
+  const user = await User.findById(userId).select("practiceXp");
+  const earned = user && user.practiceXp && user.practiceXp.day === today() ? user.practiceXp.earned : 0;
+  return Math.max(0, PRACTICE_DAILY_XP_CAP - earned);
+};
+
+const accuracyOf = (correct, answered) =>
+  answered > 0 ? Math.round((correct / answered) * 100) : 0;
+
+/**
+ * Session result with a per-question breakdown
+ */
+const summarizePractice = (session) => ({
+  sessionId: session._id,
+  category: session.category,
+  difficulty: session.difficulty,
+  state: session.state,
+  totalQuestions: session.questions.length,
+  answered: session.answers.length,
+  correctCount: session.correctCount,
+  accuracy: accuracyOf(session.correctCount, session.answers.length),
+  xpEarned: session.xpEarned,
+  questions: session.answers.map((a) => ({
+    questionIndex: a.questionIndex,
+    questionId: a.questionId,
+    selectedOptionId: a.selectedOptionId,
+    selectedOptionIds: a.selectedOptionIds,
+    answerValue: a.answerValue,
+    isCorrect: a.isCorrect,
+    credit: a.credit,
+    timeSpent: a.timeSpent,
+    xpAwarded: a.xpAwarded,
+  })),
+  startedAt: session.createdAt,
+  finishedAt: session.finishedAt,
+});
+
+/**
+ * Load one of the user's practice sessions
+ */
+const loadSession = async (sessionId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw httpError(404, "PRACTICE_NOT_FOUND", "Practice session not found");
+  }
+
+  const session = await PracticeSession.findOne({ _id: sessionId, user: userId });
+  if (!session) {
+    throw httpError(404, "PRACTICE_NOT_FOUND", "Practice session not found");
+  }
+  return session;
+};
+
+const logServeError = (error) => console.error("[PRACTICE] Failed to record served question:", error);
+
+const publicQuestionAt = async (session, questionIndex) => {
+  const question = await Question.findById(session.questions[questionIndex]);
+  if (question) {
+    recordServedQuestions([session.user], [question]).catch(logServeError);
+  }
+  return {
+    questionIndex,
+    questionNumber: questionIndex + 1,
+    totalQuestions: session.questions.length,
+    question: toPublicQuestion(question),
+  };
+};
+
+/**
+ * Start a practice session and serve its first question
+ * @param {object} data - { userId, categoryId, difficulty, numberOfQuestions }
+ * @returns {Promise<object>} { session, nextQuestion, dailyXpRemaining }
+ */
+const startPractice = async (data) => {
+  const { userId, categoryId } = data;
+  const difficulty = data.difficulty || null;
+  const questionsCount = Number(data.numberOfQuestions) || PRACTICE_QUESTIONS;
+
+  if (!categoryId || !mongoose.Types.ObjectId.isValid(categoryId)) {
+    throw httpError(400, "CATEGORY_NOT_FOUND", "A valid category ID is required");
+  }
+  if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+    throw httpError(400, "INVALID_DIFFICULTY", `Difficulty must be one of: ${DIFFICULTIES.join(", ")}`);
+  }
+  if (questionsCount < 1 || questionsCount > 50) {
+    throw httpError(400, "INVALID_QUESTION_COUNT", "Number of questions must be between 1 and 50");
+  }
+
+  const category = await Category.findById(categoryId).select("name");
+  if (!category) {
+    throw httpError(404, "CATEGORY_NOT_FOUND", "Category not found");
+  }
+
+  // Use whatever is available, practice doesn't need a full set
+  const questions = await selectMatchQuestions({
+    categoryId,
+    count: questionsCount,
+    userIds: [userId],
+    curve: "mixed",
+    difficulty,
+  });
+  if (questions.length === 0) {
+    throw httpError(
+      400,
+      "INSUFFICIENT_QUESTIONS",
+      `No ${difficulty ? `${difficulty} ` : ""}questions found in category "${category.name}"`
+    );
+  }
+
+  const session = await PracticeSession.create({
+    user: userId,
+    category: categoryId,
+    difficulty,
+    questions: questions.map((q) => q._id),
+    questionServedAt: new Date(),
+  });
+
+  recordServedQuestions([userId], [questions[0]]).catch(logServeError);
+
+  console.log(`[PRACTICE] ${userId} started practice ${session._id} in ${category.name} (${questions.length} questions)`);
+
+  return {
+    session: summarizePractice(session),
+    nextQuestion: {
+      questionIndex: 0,
+      questionNumber: 1,
+      totalQuestions: questions.length,
+      question: toPublicQuestion(questions[0]),
+    },
+    dailyXpRemaining: await dailyXpRemaining(userId),
+  };
+};
+
+/**
+ * Answer the current practice question
+ * @param {object} answerData - { questionIndex, selectedOptionId | selectedOptionIds | answerValue }
+ * @returns {Promise<object>} Feedback with the correct answer and explanation,
+ *   plus the next question, or the session summary after the last one
+ */
+const answerPractice = async (sessionId, userId, answerData = {}) => {
+  const session = await loadSession(sessionId, userId);
+  const questionIndex = Number(answerData.questionIndex);
+
+  if (session.state !== "active") {
+    throw httpError(409, "PRACTICE_FINISHED", "This practice session is over");
+  }
+  if (questionIndex !== session.answers.length) {
+    throw httpError(409, "QUESTION_NOT_ACTIVE", "This question is not open for answers");
+  }
+
+  const question = await Question.findById(session.questions[questionIndex]);
+  const answer = answerFrom(answerData);
+  const { isCorrect, credit } = question ? gradeAnswer(question, answer) : { isCorrect: false, credit: 0 };
+  const timeSpentMs = Date.now() - (session.questionServedAt || session.createdAt).getTime();
+  const finished = questionIndex + 1 >= session.questions.length;
+
+  // The $size guard makes a duplicate submission a no-op
+  const updated = await PracticeSession.findOneAndUpdate(
+    { _id: session._id, state: "active", answers: { $size: questionIndex } },
+    {
+      $push: {
+        answers: {
+          questionId: session.questions[questionIndex],
+          questionIndex,
+          ...answer,
+          isCorrect,
+          credit,
+          timeSpent: Math.round(timeSpentMs / 100) / 10, // seconds, 0.1s precision
+          xpAwarded: 0,
+        },
+      },
+      $inc: { correctCount: isCorrect ? 1 : 0 },
+      $set: finished
+        ? { state: "finished", finishedAt: new Date(), questionServedAt: null }
+        : { questionServedAt: new Date() },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw httpError(409, "ALREADY_ANSWERED", "You already answered this question");
+  }
+
+  const earned = Math.round(PRACTICE_XP_PER_CORRECT * credit);
+  const xpAwarded = earned > 0 ? await grantPracticeXp(userId, earned) : 0;
+  if (xpAwarded > 0) {
+    updated.answers[questionIndex].xpAwarded = xpAwarded;
+    updated.xpEarned += xpAwarded;
+    await updated.save();
+  }
+
+  const correctAnswer = question ? correctAnswerOf(question) : null;
+
+  return {
+    sessionId: session._id,
+    questionIndex,
+    ...answer,
+    isCorrect,
+    credit,
+    correctOptionId: question ? question.correctOptionId ?? null : null,
+    correctOptionText: correctAnswer ? correctAnswer.text : null,
+    correctAnswer,
+    explanation: question ? question.explanation || "" : "",
+    xpAwarded,
+    dailyXpRemaining: await dailyXpRemaining(userId),
+    finished,
+    nextQuestion: finished ? null : await publicQuestionAt(updated, questionIndex + 1),
+    summary: finished ? summarizePractice(updated) : undefined,
+  };
+};
+
+/**
+ * End a practice session early
+ */
+const finishPractice = async (sessionId, userId) => {
+  const session = await loadSession(sessionId, userId);
+
+  if (session.state === "active") {
+    session.state = "finished";
+    session.finishedAt = new Date();
+    session.questionServedAt = null;
+    await session.save();
+  }
+  return summarizePractice(session);
+};
+
+/**
+ * One practice session (the current question is included while it is running)
+ */
+const getPractice = async (sessionId, userId) => {
+  const session = await loadSession(sessionId, userId);
+  await session.populate("category", "name");
+
+  return {
+    ...summarizePractice(session),
+    nextQuestion:
+      session.state === "active" ? await publicQuestionAt(session, session.answers.length) : null,
+  };
+};
+
+/**
+ * The user's practice sessions, newest first
+ */
+const listPractice = async (userId) => {
+  const sessions = await PracticeSession.find({ user: userId })
+    .populate("category", "name")
+    .sort({ createdAt: -1 })
+    .limit(20);
+
+  // Without the per-question breakdown
+  return sessions.map((session) => {
+    const { questions, ...summary } = summarizePractice(session);
+    return summary;
+  });
+};
+
+/**
+ * Practice accuracy overall, per category and per question
+ */
+const getPracticeStats = async (userId) => {
+  const user = new mongoose.Types.ObjectId(userId);
+
+  const [byCategory, byQuestion] = await Promise.all([
+    PracticeSession.aggregate([
+      { $match: { user } },
+      { $unwind: "$answers" },
+      {
+        $group: {
+          _id: "$category",
+          answered: { $sum: 1 },
+          correct: { $sum: { $cond: ["$answers.isCorrect", 1, 0] } },
+          xpEarned: { $sum: "$answers.xpAwarded" },
+        },
+      },
+      { $lookup: { from: "categories", localField: "_id", foreignField: "_id", as: "category" } },
+      { $sort: { answered: -1 } },
+    ]),
+    PracticeSession.aggregate([
+      { $match: { user } },
+      { $unwind: "$answers" },
+      {
+        $group: {
+          _id: "$answers.questionId",
+          attempts: { $sum: 1 },
+          correct: { $sum: { $cond: ["$answers.isCorrect", 1, 0] } },
+          avgTimeSpent: { $avg: "$answers.timeSpent" },
+          lastAttemptAt: { $max: "$updatedAt" },
+        },
+      },
+      { $sort: { attempts: -1, lastAttemptAt: -1 } },
+      { $limit: 100 },
+      { $lookup: { from: "questions", localField: "_id", foreignField: "_id", as: "question" } },
+    ]),
+  ]);
+
+  const answered = byCategory.reduce((sum, c) => sum + c.answered, 0);
+  const correct = byCategory.reduce((sum, c) => sum + c.correct, 0);
+
+  return {
+    overall: { answered, correct, accuracy: accuracyOf(correct, answered) },
+    dailyXpRemaining: await dailyXpRemaining(userId),
+    byCategory: byCategory.map((c) => ({
+      categoryId: c._id,
+      categoryName: c.category[0] ? c.category[0].name : null,
+      answered: c.answered,
+      correct: c.correct,
+      accuracy: accuracyOf(c.correct, c.answered),
+      xpEarned: c.xpEarned,
+    })),
+    byQuestion: byQuestion.map((q) => ({
+      questionId: q._id,
+      text: q.question[0] ? q.question[0].text : null,
+      attempts: q.attempts,
+      correct: q.correct,
+      accuracy: accuracyOf(q.correct, q.attempts),
+      avgTimeSpent: Math.round(q.avgTimeSpent * 10) / 10,
+    })),
+  };
+};
+
+module.exports = {
+  startPractice,
+  answerPractice,
+  finishPractice,
+  getPractice,
+  listPractice,
+  getPracticeStats,
+};
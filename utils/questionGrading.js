@@ -0,0 +1,238 @@
+/**
+ * Question types and answer grading
+ * Shared by live matches, challenges, practice, bots and rescoring so every
+ * mode grades a question the same way.
+ *
+ * Types and their answers:
+ * - single-choice: one option id (selectedOptionId)
+ * - true-false: option 1 (True) or 2 (False) (selectedOptionId)
+ * - multi-select: several option ids (selectedOptionIds), partial credit
+ * - numeric: a number within the question's tolerance (answerValue)
+ * - code-output: what a code snippet prints, typed out (answerValue)
+ * Any type can carry a codeSnippet ({ language, code }) shown with the question.
+ */
+
+const QUESTION_TYPES = ["single-choice", "true-false", "multi-select", "numeric", "code-output"];
+const CHOICE_TYPES = ["single-choice", "true-false"]; // Graded by correctOptionId
+const OPTION_TYPES = ["single-choice", "true-false", "multi-select"];
+
+// Fields gradeAnswer and correctAnswerOf read, besides type and options (Mongo projection)
+const ANSWER_KEY_FIELDS = "correctOptionId correctOptionIds numericAnswer acceptedAnswers";
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const MAX_CODE_LENGTH = 2000;
+const MAX_ANSWER_LENGTH = 500; // Typed answers are stored on the match
+const TRUE_FALSE_OPTIONS = [
+  { id: 1, text: "True" },
+  { id: 2, text: "False" },
+];
+
+// Questions from before types existed are single choice
+const typeOf = (question) => question.type || "single-choice";
+
+const isChoiceType = (question) => CHOICE_TYPES.includes(typeOf(question));
+
+/**
+ * Compare printed output ignoring line endings, trailing spaces and surrounding blank lines
+ */
+const normalizeOutput = (value) =>
+  String(value)
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.replace(/\s+$/, ""))
+    .join("\n")
+    .replace(/^\n+|\n+$/g, "");
+
+/**
+ * Pick the answer fields of a client payload
+ * @param {object} data - { selectedOptionId, selectedOptionIds, answerValue }
+ * @returns {object} { selectedOptionId, selectedOptionIds, answerValue }, missing fields null
+ */
+const answerFrom = (data = {}) => ({
+  selectedOptionId:
+    data.selectedOptionId === undefined || data.selectedOptionId === null ? null : Number(data.selectedOptionId),
+  selectedOptionIds: Array.isArray(data.selectedOptionIds)
+    ? [...new Set(data.selectedOptionIds.map(Number).filter(Number.isInteger))].sort((a, b) => a - b)
+    : null,
+  answerValue:
+    data.answerValue === undefined || data.answerValue === null || data.answerValue === ""
+      ? null
+      : typeof data.answerValue === "number"
+        ? data.answerValue
+        : String(data.answerValue).slice(0, MAX_ANSWER_LENGTH),
+});
+
+/**
+ * Whether an answer says anything for the question's type
+ */
+const hasAnswer = (question, answer) => {
+  const type = typeOf(question);
+  if (type === "multi-select") return Array.isArray(answer.selectedOptionIds) && answer.selectedOptionIds.length > 0;
+  if (type === "numeric" || type === "code-output") return answer.answerValue != null;
+  return answer.selectedOptionId != null;
+};
+
+/**
+ * Grade an answer
+ * Multi-select earns the share of correct options picked, less one share
+ * per wrong option picked (never below 0)
+ * @param {object} question - Question with its answer fields
+ * @param {object} answer - From answerFrom, or a stored answer
+ * @returns {object} { isCorrect, credit (0-1) }
+ */
+const gradeAnswer = (question, answer) => {
+  if (!answer || !hasAnswer(question, answer)) {
+    return { isCorrect: false, credit: 0 };
+  }
+
+  switch (typeOf(question)) {
+    case "multi-select": {
+      const correct = new Set(question.correctOptionIds || []);
+      if (correct.size === 0) return { isCorrect: false, credit: 0 };
+
+      const picked = answer.selectedOptionIds;
+      const right = picked.filter((id) => correct.has(id)).length;
+      const wrong = picked.length - right;
+      const credit = Math.max(0, (right - wrong) / correct.size);
+      return { isCorrect: credit === 1, credit: Math.round(credit * 100) / 100 };
+    }
+    case "numeric": {
+      const value = Number(answer.answerValue);
+      const expected = question.numericAnswer?.value;
+      const tolerance = question.numericAnswer?.tolerance || 0;
+      const isCorrect =
+        Number.isFinite(value) && Number.isFinite(expected) && Math.abs(value - expected) <= tolerance + 1e-9;
+      return { isCorrect, credit: isCorrect ? 1 : 0 };
+    }
+    case "code-output": {
+      const given = normalizeOutput(answer.answerValue);
+      const isCorrect = (question.acceptedAnswers || []).some((accepted) => normalizeOutput(accepted) === given);
+      return { isCorrect, credit: isCorrect ? 1 : 0 };
+    }
+    default: {
+      const isCorrect = answer.selectedOptionId === question.correctOptionId;
+      return { isCorrect, credit: isCorrect ? 1 : 0 };
+    }
+  }
+};
+
+/**
+ * The answer key, revealed in question results
+ * @returns {object} { type, correctOptionId | correctOptionIds | value and tolerance | acceptedAnswers, text }
+ */
+const correctAnswerOf = (question) => {
+  const type = typeOf(question);
+  const optionText = (id) => (question.options || []).find((opt) => opt.id === id)?.text;
+
+  switch (type) {
+    case "multi-select":
+      return {
+        type,
+        correctOptionIds: question.correctOptionIds || [],
+        text: (question.correctOptionIds || []).map(optionText).filter(Boolean).join(", "),
+      };
+    case "numeric": {
+      const { value, tolerance = 0 } = question.numericAnswer || {};
+      return { type, value, tolerance, text: tolerance ? `${value} (±${tolerance})` : String(value) };
+    }
+    case "code-output":
+      return { type, acceptedAnswers: question.acceptedAnswers || [], text: (question.acceptedAnswers || [])[0] || "" };
+    default:
+      return { type, correctOptionId: question.correctOptionId, text: optionText(question.correctOptionId) || "Unknown" };
+  }
+};
+
+/**
+ * Check the type-specific fields of a question
+ * @returns {string|null} The first problem found, or null when valid
+ */
+const typeValidationError = (data) => {
+  const type = data.type || "single-choice";
+  if (!QUESTION_TYPES.includes(type)) {
+    return `Question type must be one of: ${QUESTION_TYPES.join(", ")}`;
+  }
+
+  if (data.codeSnippet !== undefined && data.codeSnippet !== null) {
+    const { code, language } = data.codeSnippet;
+    if (typeof code !== "string" || !code.trim() || code.length > MAX_CODE_LENGTH) {
+      return `Code snippet must be non-empty and at most ${MAX_CODE_LENGTH} characters`;
+    }
+    if (language !== undefined && (typeof language !== "string" || language.length > 30)) {
+      return "Code snippet language must be a short string";
+    }
+  }
+
+  if (OPTION_TYPES.includes(type)) {
+    // True/false options default to True (1) and False (2)
+    const options = type === "true-false" && data.options === undefined ? TRUE_FALSE_OPTIONS : data.options;
+    const expected = type === "true-false" ? "exactly 2" : `${MIN_OPTIONS}-${MAX_OPTIONS}`;
+    const countOk = type === "true-false"
+      ? Array.isArray(options) && options.length === 2
+      : Array.isArray(options) && options.length >= MIN_OPTIONS && options.length <= MAX_OPTIONS;
+    if (!countOk) {
+      return `Question must have ${expected} options`;
+    }
+
+    for (const option of options) {
+      if (!option || !option.id || !option.text) {
+        return `Each option must have id (1-${MAX_OPTIONS}) and text`;
+      }
+      if (!Number.isInteger(Number(option.id)) || option.id < 1 || option.id > MAX_OPTIONS) {
+        return `Option ids must be 1-${MAX_OPTIONS}`;
+      }
+    }
+    const ids = options.map((opt) => Number(opt.id));
+    if (new Set(ids).size !== ids.length) {
+      return "Option ids must be unique";
+    }
+
+    if (type === "multi-select") {
+      const correct = data.correctOptionIds;
+      if (!Array.isArray(correct) || correct.length === 0) {
+        return "Multi-select questions need at least one correct option in correctOptionIds";
+      }
+      if (new Set(correct).size !== correct.length || correct.some((id) => !ids.includes(Number(id)))) {
+        return "correctOptionIds must be distinct ids of the question's options";
+      }
+    } else if (!ids.includes(Number(data.correctOptionId))) {
+      return `Correct option ID must be between 1-${MAX_OPTIONS} and match an option`;
+    }
+    return null;
+  }
+
+  if (type === "numeric") {
+    const { value, tolerance = 0 } = data.numericAnswer || {};
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return "Numeric questions need numericAnswer.value";
+    }
+    if (typeof tolerance !== "number" || !(tolerance >= 0)) {
+      return "numericAnswer.tolerance must be a number of at least 0";
+    }
+    return null;
+  }
+
+  // code-output
+  if (!data.codeSnippet) {
+    return "Code output questions need a codeSnippet";
+  }
+  const accepted = data.acceptedAnswers;
+  if (!Array.isArray(accepted) || accepted.length === 0 || accepted.some((a) => typeof a !== "string" || !a.trim())) {
+    return "Code output questions need at least one accepted answer";
+  }
+  return null;
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  MAX_OPTIONS,
+  TRUE_FALSE_OPTIONS,
+  ANSWER_KEY_FIELDS,
+  typeOf,
+  isChoiceType,
+  answerFrom,
+  hasAnswer,
+  gradeAnswer,
+  correctAnswerOf,
+  typeValidationError,
+};
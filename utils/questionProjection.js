@@ -0,0 +1,36 @@
+/**
+ * Public question projection
+ * Everything a player sees before question-results: never the answer or explanation
+ */
+
+// Fields safe to send to players (Mongo projection / populate select)
+const PUBLIC_QUESTION_FIELDS = "text type codeSnippet options difficulty category tags";
+
+/**
+ * Strip answer fields from a question
+ * @param {object} question - Question document or plain object
+ * @returns {object|null} { _id, text, type, codeSnippet, options: [{id, text}], difficulty, category, tags }
+ */
+const toPublicQuestion = (question) => {
+  if (!question) return null;
+
+  const source = typeof question.toObject === "function" ? question.toObject() : question;
+
+  return {
+    _id: source._id,
+    text: source.text,
+    type: source.type || "single-choice",
+    codeSnippet: source.codeSnippet && source.codeSnippet.code
+      ? { language: source.codeSnippet.language || null, code: source.codeSnippet.code }
+      : null,
+    options: (source.options || []).map((opt) => ({ id: opt.id, text: opt.text })),
+    difficulty: source.difficulty,
+    category: source.category,
+    tags: source.tags || [],
+  };
+};
+
+module.exports = {
+  PUBLIC_QUESTION_FIELDS,
+  toPublicQuestion,
+};
@@ -0,0 +1,268 @@
+/**
+ * Player reports of bad questions
+ * Players report questions they played in a match; enough distinct reports
+ * take a question out of play until an admin triages them. Triage can fix
+ * the correct option, which also rescores the finished matches that played it.
+ */
+const mongoose = require("mongoose");
+const Question = require("../models/Question");
+const QuestionReport = require("../models/QuestionReport");
+const Match = require("../models/Match");
+const { refreshQuestionCount } = require("./seedImporter");
+const { rescoreQuestion } = require("./rescoring");
+const { isChoiceType } = require("./questionGrading");
+const httpError = require("./httpError");
+
+const REPORT_REASONS = ["wrong-answer", "typo", "ambiguous", "offensive"];
+// Open reports from this many players deactivate a question; QUESTION_REPORT_THRESHOLD=0 turns it off
+const REPORT_THRESHOLD = Number(process.env.QUESTION_REPORT_THRESHOLD ?? 5);
+const REPORT_STATUSES = ["open", "resolved", "dismissed"];
+
+/**
+ * Report a question the player has played in a match
+ * The question is named by questionId or by its index in the match, and can
+ * be reported once the player has answered it or its time ran out
+ * @param {object} report - { matchId, questionId | questionIndex, reason, comment }
+ * @returns {Promise<object>} { reportId, questionId, reason, autoDeactivated }
+ */
+const reportQuestion = async (userId, { matchId, questionId, questionIndex, reason, comment } = {}) => {
+  if (!REPORT_REASONS.includes(reason)) {
+    throw httpError(400, "INVALID_REPORT_REASON", `Reason must be one of: ${REPORT_REASONS.join(", ")}`);
+  }
+  if (!mongoose.Types.ObjectId.isValid(matchId)) {
+    throw httpError(404, "MATCH_NOT_FOUND", "Match not found");
+  }
+
+  const match = await Match.findOne({ _id: matchId, "players.user": userId }).select("questions players category");
+  if (!match) {
+    throw httpError(404, "MATCH_NOT_FOUND", "Match not found");
+  }
+
+  const index = questionId
+    ? match.questions.findIndex((id) => id.toString() === questionId.toString())
+    : Number(questionIndex);
+  if (!Number.isInteger(index) || index < 0 || index >= match.questions.length) {
+    throw httpError(400, "QUESTION_NOT_IN_MATCH", "This question was not part of the match");
+  }
+
+  const player = match.players.find((p) => p.user.toString() === userId.toString());
+  if (!player.answers.some((a) => a.questionIndex === index)) {
+    throw httpError(400, "QUESTION_NOT_PLAYED", "You can report a question once you have answered it");
+  }
+
+  const question = await Question.findById(match.questions[index]).select("category isActive");
+  if (!question) {
+    throw httpError(404, "QUESTION_NOT_FOUND", "Question not found");
+  }
+
+  let report;
+  try {
+    report = await QuestionReport.create({
+      question: question._id,
+      reporter: userId,
+      category: question.category,
+      match: match._id,
+      reason,
+      comment: typeof comment === "string" ? comment.trim().slice(0, 500) : "",
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError(409, "ALREADY_REPORTED", "You already reported this question");
+    }
+    throw error;
+  }
+
+  const autoDeactivated = await deactivateIfOverThreshold(question._id);
+
+  console.log(`[QUESTION-REPORT] ${userId} reported ${question._id} (${reason})${autoDeactivated ? " - deactivated" : ""}`);
+  return { reportId: report._id, questionId: question._id, reason, autoDeactivated };
+};
+
+/**
+ * Take a question out of play once enough players report it
+ * @returns {Promise<boolean>} Whether this call deactivated it
+ */
+const deactivateIfOverThreshold = async (questionId) => {
+  if (REPORT_THRESHOLD <= 0) return false;
+
+  const openReports = await QuestionReport.countDocuments({ question: questionId, status: "open" });
+  if (openReports < REPORT_THRESHOLD) return false;
+
+  const deactivated = await Question.findOneAndUpdate(
+    { _id: questionId, isActive: true },
+    {
+      $set: { isActive: false },
+      $push: { history: { action: "deactivated", at: new Date(), reason: `${openReports} player reports` } },
+    },
+    { new: true }
+  );
+  if (!deactivated) return false;
+
+  await refreshQuestionCount(deactivated.category);
+  return true;
+};
+
+/**
+ * Reported questions for triage, most reported first
+ * @param {object} filters - { status (default open), categoryId }
+ * @returns {Promise<array>} [{ question, reportCount, reasons, reports }]
+ */
+const listReportedQuestions = async ({ status = "open", categoryId } = {}) => {
+  if (!REPORT_STATUSES.includes(status)) {
+    throw httpError(400, "INVALID_STATUS", `Status must be one of: ${REPORT_STATUSES.join(", ")}`);
+  }
+
+  const match = { status };
+  if (categoryId) {
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+      throw httpError(400, "INVALID_CATEGORY", "Invalid category ID");
+    }
+    match.category = new mongoose.Types.ObjectId(categoryId);
+  }
+
+  const grouped = await QuestionReport.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: "$question",
+        reportCount: { $sum: 1 },
+        reasons: { $push: "$reason" },
+        reports: {
+          $push: { reportId: "$_id", reporter: "$reporter", match: "$match", reason: "$reason", comment: "$comment", createdAt: "$createdAt" },
+        },
+        lastReportedAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { reportCount: -1, lastReportedAt: -1 } },
+    { $limit: 100 },
+  ]);
+
+  const questions = await Question.find({ _id: { $in: grouped.map((g) => g._id) } })
+    .select("text type codeSnippet options correctOptionId correctOptionIds numericAnswer acceptedAnswers explanation difficulty category isActive isApproved")
+    .populate("category", "name");
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+
+  return grouped.map((group) => ({
+    question: byId.get(group._id.toString()) || { _id: group._id },
+    reportCount: group.reportCount,
+    reasons: group.reasons.reduce((counts, reason) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {}),
+    lastReportedAt: group.lastReportedAt,
+    reports: group.reports,
+  }));
+};
+
+/**
+ * Close a question's open reports
+ * @param {object} resolution - {
+ *   action: "resolve" | "dismiss",
+ *   correctOptionId: fix the answer key of a single choice or true/false question (resolve only),
+ *   reactivate: put an auto-deactivated question back into play,
+ *   note
+ * }
+ * @returns {Promise<object>} {
+ *   questionId, closedReports, corrected, correctOptionId, isActive,
+ *   affectedMatches: matches rescored against the new key,
+ *   rescoreAuditId,
+ *   rescoreNeeded: matches still in play; rescore the question again once they finish
+ * }
+ */
+const resolveReports = async (questionId, adminId, { action, correctOptionId, reactivate, note } = {}) => {
+  if (!["resolve", "dismiss"].includes(action)) {
+    throw httpError(400, "INVALID_ACTION", "Action must be resolve or dismiss");
+  }
+  if (!mongoose.Types.ObjectId.isValid(questionId)) {
+    throw httpError(404, "QUESTION_NOT_FOUND", "Question not found");
+  }
+
+  const question = await Question.findById(questionId);
+  if (!question) {
+    throw httpError(404, "QUESTION_NOT_FOUND", "Question not found");
+  }
+
+  const now = new Date();
+  const resolutionNote = typeof note === "string" ? note.trim().slice(0, 500) : null;
+  let corrected = false;
+  let rescore = null;
+  let rescoreNeeded = [];
+
+  if (correctOptionId !== undefined && correctOptionId !== null) {
+    const newCorrect = Number(correctOptionId);
+    if (action !== "resolve") {
+      throw httpError(400, "INVALID_ACTION", "Only a resolution can correct the answer");
+    }
+    if (!isChoiceType(question)) {
+      throw httpError(
+        400,
+        "INVALID_QUESTION_TYPE",
+        "Only single choice and true/false answers can be corrected here; edit the question instead"
+      );
+    }
+    if (!question.options.some((opt) => opt.id === newCorrect)) {
+      throw httpError(400, "INVALID_OPTION", "correctOptionId must be one of the question's options");
+    }
+
+    if (newCorrect !== question.correctOptionId) {
+      question.history.push({
+        action: "corrected",
+        by: adminId,
+        at: now,
+        reason: resolutionNote,
+        changes: { correctOptionId: question.correctOptionId },
+      });
+      question.correctOptionId = newCorrect;
+      // Statistics count option picks, so the correct count can follow the new key
+      question.correctAnswers = question.optionPicks?.get(String(newCorrect)) || 0;
+      corrected = true;
+    }
+  }
+
+  if (reactivate === true && !question.isActive) {
+    question.isActive = true;
+    question.history.push({ action: "reactivated", by: adminId, at: now, reason: resolutionNote });
+  }
+
+  await question.save();
+
+  // Answers, scores, winners and XP of finished matches follow the new key
+  if (corrected) {
+    rescore = await rescoreQuestion(question._id.toString(), adminId, { reason: resolutionNote });
+    const unfinished = await Match.find({ questions: question._id, state: { $ne: "finished" } }).select("_id");
+    rescoreNeeded = unfinished.map((m) => m._id.toString());
+  }
+  await refreshQuestionCount(question.category);
+
+  const closed = await QuestionReport.updateMany(
+    { question: question._id, status: "open" },
+    {
+      $set: {
+        status: action === "resolve" ? "resolved" : "dismissed",
+        resolvedBy: adminId,
+        resolvedAt: now,
+        resolutionNote,
+      },
+    }
+  );
+
+  console.log(
+    `[QUESTION-REPORT] ${adminId} ${action}d ${closed.modifiedCount} reports on ${question._id}${corrected ? ` (answer corrected, ${rescore.matches.length} matches rescored)` : ""}`
+  );
+  return {
+    questionId: question._id,
+    closedReports: closed.modifiedCount,
+    corrected,
+    correctOptionId: question.correctOptionId,
+    affectedMatches: rescore ? rescore.matches.map((m) => m.match.toString()) : [],
+    rescoreAuditId: rescore?.auditId ?? null,
+    rescoreNeeded,
+    isActive: question.isActive,
+  };
+};
+
+module.exports = {
+  REPORT_REASONS,
+  REPORT_THRESHOLD,
+  reportQuestion,
+  listReportedQuestions,
+  resolveReports,
+};
@@ -0,0 +1,291 @@
+/**
+ * Question authoring and moderation
+ * Contributors submit questions into a review queue, admins approve or
+ * reject them. Every change is kept in the question's history, and
+ * Category.questionCount follows what is playable.
+ */
+const mongoose = require("mongoose");
+const Question = require("../models/Question");
+const Category = require("../models/Category");
+const { refreshQuestionCount } = require("./seedImporter");
+const httpError = require("./httpError");
+
+// Fields authors may set; approval and statistics are managed separately
+const EDITABLE_FIELDS = [
+  "text",
+  "category",
+  "type",
+  "codeSnippet",
+  "options",
+  "correctOptionId",
+  "correctOptionIds",
+  "numericAnswer",
+  "acceptedAnswers",
+  "difficulty",
+  "explanation",
+  "tags",
+];
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+const pickEditable = (data = {}) =>
+  Object.fromEntries(EDITABLE_FIELDS.filter((field) => data[field] !== undefined).map((field) => [field, data[field]]));
+
+const plain = (value) => JSON.parse(JSON.stringify(value ?? null));
+
+/**
+ * Previous values of the fields an update changes
+ * @returns {object|null} { field: previousValue } or null when nothing changes
+ */
+const previousValues = (question, updates) => {
+  const changes = {};
+  for (const [field, value] of Object.entries(updates)) {
+    const before = plain(question[field]);
+    const beforeComparable = Array.isArray(before)
+      ? before.map(({ _id, ...rest }) => rest) // Ignore subdocument IDs
+      : before;
+    if (JSON.stringify(beforeComparable) !== JSON.stringify(plain(value))) {
+      changes[field] = before;
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+const loadQuestion = async (questionId) => {
+  if (!mongoose.Types.ObjectId.isValid(questionId)) {
+    throw httpError(404, "QUESTION_NOT_FOUND", "Question not found");
+  }
+
+  const question = await Question.findById(questionId);
+  if (!question) {
+    throw httpError(404, "QUESTION_NOT_FOUND", "Question not found");
+  }
+  return question;
+};
+
+const assertCategoryExists = async (categoryId) => {
+  if (!mongoose.Types.ObjectId.isValid(categoryId) || !(await Category.exists({ _id: categoryId }))) {
+    throw httpError(404, "CATEGORY_NOT_FOUND", "Category not found");
+  }
+};
+
+/**
+ * Recount the categories a change touched
+ */
+const refreshCounts = (...categoryIds) => {
+  const unique = [...new Set(categoryIds.filter(Boolean).map((id) => id.toString()))];
+  return Promise.all(unique.map((id) => refreshQuestionCount(id)));
+};
+
+/**
+ * Author a question
+ * Admin questions are approved right away, contributor questions join the review queue
+ * @param {object} author - { userId, isAdmin }
+ * @param {object} data - Question fields (already checked by validateQuestion)
+ * @returns {Promise<object>} The new question
+ */
+const submitQuestion = async ({ userId, isAdmin }, data) => {
+  const fields = pickEditable(data);
+  await assertCategoryExists(fields.category);
+
+  const now = new Date();
+  const question = await Question.create({
+    ...fields,
+    createdBy: userId,
+    isApproved: Boolean(isAdmin),
+    reviewStatus: isAdmin ? "approved" : "pending",
+    reviewedBy: isAdmin ? userId : null,
+    reviewedAt: isAdmin ? now : null,
+    history: [{ action: isAdmin ? "created" : "submitted", by: userId, at: now }],
+  });
+
+  if (question.isApproved) {
+    await refreshCounts(question.category);
+  }
+
+  console.log(`[QUESTION-REVIEW] ${userId} ${isAdmin ? "created" : "submitted"} question ${question._id}`);
+  return question;
+};
+
+/**
+ * Edit a question
+ * Contributors may only edit their own questions before approval; an edited
+ * rejected question goes back into the queue. Admins may edit anything and
+ * also toggle isActive.
+ * @param {object} editor - { userId, isAdmin }
+ * @returns {Promise<object>} The updated question
+ */
+const editQuestion = async (questionId, { userId, isAdmin }, data) => {
+  const question = await loadQuestion(questionId);
+
+  if (!isAdmin) {
+    if (question.createdBy.toString() !== userId.toString()) {
+      throw httpError(403, "NOT_QUESTION_AUTHOR", "You can only edit your own questions");
+    }
+    if (question.reviewStatus === "approved") {
+      throw httpError(403, "QUESTION_ALREADY_APPROVED", "Approved questions can only be edited by admins");
+    }
+  }
+
+  const updates = pickEditable(data);
+  if (isAdmin && typeof data.isActive === "boolean") {
+    updates.isActive = data.isActive;
+  }
+  if (updates.category) {
+    await assertCategoryExists(updates.category);
+  }
+
+  const changes = previousValues(question, updates);
+  if (!changes) {
+    return question;
+  }
+
+  const previousCategory = question.category;
+  question.set(updates);
+  if (!isAdmin && question.reviewStatus === "rejected") {
+    question.reviewStatus = "pending";
+    question.rejectionReason = null;
+  }
+  question.history.push({ action: "edited", by: userId, changes });
+  await question.save();
+
+  if (question.isApproved) {
+    await refreshCounts(previousCategory, question.category);
+  }
+  return question;
+};
+
+/**
+ * Query for questions in a review status
+ * Questions from before moderation have no status; isApproved decides theirs
+ */
+const statusFilter = (status) => {
+  if (status === "rejected") {
+    return { reviewStatus: status };
+  }
+  return {
+    $or: [{ reviewStatus: status }, { reviewStatus: { $exists: false }, isApproved: status === "approved" }],
+  };
+};
+
+/**
+ * Approve or reject a question
+ * Rejecting takes a reason; so does un-approving an approved question
+ * @param {object} review - { approve: boolean, reason }
+ * @returns {Promise<object>} The reviewed question
+ */
+const reviewQuestion = async (questionId, adminId, { approve, reason }) => {
+  const question = await loadQuestion(questionId);
+  const status = approve ? "approved" : "rejected";
+  const note = typeof reason === "string" ? reason.trim().slice(0, 500) : "";
+
+  if (!approve && !note) {
+    throw httpError(400, "REASON_REQUIRED", "A reason is required to reject a question");
+  }
+
+  // Only the first of two concurrent reviews wins
+  const now = new Date();
+  const reviewed = await Question.findOneAndUpdate(
+    { _id: question._id, $nor: [statusFilter(status)] },
+    {
+      $set: {
+        isApproved: approve,
+        reviewStatus: status,
+        reviewedBy: adminId,
+        reviewedAt: now,
+        rejectionReason: approve ? null : note,
+      },
+      $push: { history: { action: status, by: adminId, at: now, reason: note || null } },
+    },
+    { new: true }
+  );
+  if (!reviewed) {
+    throw httpError(409, "ALREADY_REVIEWED", `Question is already ${status}`);
+  }
+
+  await refreshCounts(reviewed.category);
+
+  console.log(`[QUESTION-REVIEW] ${adminId} ${status} question ${reviewed._id}`);
+  return reviewed;
+};
+
+/**
+ * Delete a question and recount its category
+ */
+const removeQuestion = async (questionId) => {
+  const question = await loadQuestion(questionId);
+  await question.deleteOne();
+  await refreshCounts(question.category);
+  return question;
+};
+
+/**
+ * Questions awaiting review, oldest first
+ * @param {object} filters - { categoryId, status (default pending) }
+ */
+const listReviewQueue = async ({ categoryId, status = "pending" } = {}) => {
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw httpError(400, "INVALID_STATUS", `Status must be one of: ${REVIEW_STATUSES.join(", ")}`);
+  }
+
+  const query = statusFilter(status);
+  if (categoryId) {
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+      throw httpError(400, "INVALID_CATEGORY", "Invalid category ID");
+    }
+    query.category = categoryId;
+  }
+
+  return Question.find(query)
+    .select("-history")
+    .populate("category", "name")
+    .populate("createdBy", "username")
+    .sort({ createdAt: 1 });
+};
+
+/**
+ * A contributor's own questions with their review status, newest first
+ */
+const listSubmissions = async (userId, status) => {
+  const query = { createdBy: userId };
+  if (status) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw httpError(400, "INVALID_STATUS", `Status must be one of: ${REVIEW_STATUSES.join(", ")}`);
+    }
+    Object.assign(query, statusFilter(status));
+  }
+
+  return Question.find(query)
+    .select("text category type codeSnippet options correctOptionId correctOptionIds numericAnswer acceptedAnswers difficulty explanation tags reviewStatus rejectionReason reviewedAt createdAt updatedAt")
+    .populate("category", "name")
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Edit and review history of a question
+ * Contributors may only read the history of their own questions
+ */
+const getQuestionHistory = async (questionId, { userId, isAdmin }) => {
+  const question = await loadQuestion(questionId);
+  if (!isAdmin && question.createdBy.toString() !== userId.toString()) {
+    throw httpError(403, "NOT_QUESTION_AUTHOR", "You can only view the history of your own questions");
+  }
+
+  await question.populate("history.by", "username");
+  return {
+    questionId: question._id,
+    reviewStatus: question.reviewStatus,
+    rejectionReason: question.rejectionReason,
+    history: question.history,
+  };
+};
+
+module.exports = {
+  REVIEW_STATUSES,
+  submitQuestion,
+  editQuestion,
+  reviewQuestion,
+  removeQuestion,
+  listReviewQueue,
+  listSubmissions,
+  getQuestionHistory,
+};
@@ -0,0 +1,238 @@
+/**
+ * Question selection for matches
+ */
+const mongoose = require("mongoose");
+const Question = require("../models/Question");
+const User = require("../models/User");
+const QuestionView = require("../models/QuestionView");
+
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+// Share of easy/medium/hard questions by rank; a match uses its players' average
+const DIFFICULTY_MIX_BY_RANK = {
+  Novice: { easy: 0.6, medium: 0.3, hard: 0.1 },
+  Bronze: { easy: 0.5, medium: 0.4, hard: 0.1 },
+  Silver: { easy: 0.4, medium: 0.4, hard: 0.2 },
+  Gold: { easy: 0.3, medium: 0.45, hard: 0.25 },
+  Platinum: { easy: 0.2, medium: 0.5, hard: 0.3 },
+  Diamond: { easy: 0.15, medium: 0.45, hard: 0.4 },
+  Master: { easy: 0.1, medium: 0.4, hard: 0.5 },
+  Grandmaster: { easy: 0.1, medium: 0.3, hard: 0.6 },
+};
+
+// Only reviewed, active questions are played
+const PLAYABLE_QUESTION_FILTER = {
+  isApproved: true,
+  isActive: { $ne: false }, // Include active questions (or undefined)
+};
+
+// Question order: "ascending" goes easy -> hard, "mixed" shuffles
+const DIFFICULTY_CURVES = ["ascending", "mixed"];
+
+/**
+ * Randomly pick questions for a match from a category
+ * Aligned with Backend Architecture: uses 'text', not 'questionText'
+ * @param {object} filters - Optional { difficulty, excludeIds }
+ */
+async function sampleQuestions(categoryId, count, filters = {}) {
+  const match = {
+    category: new mongoose.Types.ObjectId(categoryId),
+    ...PLAYABLE_QUESTION_FILTER,
+  };
+  if (filters.difficulty) {
+    match.difficulty = filters.difficulty;
+  }
+  if (filters.excludeIds && filters.excludeIds.length > 0) {
+    match._id = { $nin: filters.excludeIds.map((id) => new mongoose.Types.ObjectId(id)) };
+  }
+  if (count <= 0) {
+    return [];
+  }
+
+  const questions = await Question.aggregate([
+    { $match: match },
+    { $sample: { size: count } }, // Randomly select questions
+    {
+      $project: {
+        _id: 1,
+        text: 1,
+        type: 1,
+        codeSnippet: 1,
+        options: 1,
+        correctOptionId: 1,
+        correctOptionIds: 1,
+        numericAnswer: 1,
+        acceptedAnswers: 1,
+        explanation: 1,
+        difficulty: 1,
+        category: 1
+      }
+    }
+  ]);
+
+  // Convert ObjectId strings back to ObjectIds if needed for consistency
+  questions.forEach(q => {
+    if (q.category && typeof q.category === 'string') {
+      q.category = new mongoose.Types.ObjectId(q.category);
+    }
+  });
+
+  return questions;
+}
+
+/**
+ * Split `count` questions across difficulties by a mix (largest remainder)
+ * @returns {object} { easy, medium, hard } counts adding up to `count`
+ */
+function splitByMix(mix, count) {
+  const total = DIFFICULTIES.reduce((sum, d) => sum + (mix[d] || 0), 0) || 1;
+  const exact = DIFFICULTIES.map((d) => ({ d, value: ((mix[d] || 0) / total) * count }));
+  const counts = Object.fromEntries(exact.map(({ d, value }) => [d, Math.floor(value)]));
+
+  let left = count - DIFFICULTIES.reduce((sum, d) => sum + counts[d], 0);
+  exact
+    .sort((a, b) => (b.value % 1) - (a.value % 1))
+    .forEach(({ d }) => {
+      if (left > 0) {
+        counts[d] += 1;
+        left -= 1;
+      }
+    });
+  return counts;
+}
+
+/**
+ * Average difficulty mix for a group of players, from their ranks
+ */
+function mixForRanks(ranks) {
+  const mixes = ranks.map((rank) => DIFFICULTY_MIX_BY_RANK[rank] || DIFFICULTY_MIX_BY_RANK.Novice);
+  if (mixes.length === 0) return DIFFICULTY_MIX_BY_RANK.Novice;
+
+  return Object.fromEntries(
+    DIFFICULTIES.map((d) => [d, mixes.reduce((sum, mix) => sum + mix[d], 0) / mixes.length])
+  );
+}
+
+/**
+ * Remember that users were served questions
+ * @param {array} userIds - Users who saw the questions (bots excluded by the caller)
+ * @param {array} questions - Questions with _id and category
+ */
+async function recordServedQuestions(userIds, questions) {
+  const now = new Date();
+  const operations = userIds.flatMap((userId) =>
+    questions.map((q) => ({
+      updateOne: {
+        filter: { user: userId, question: q._id },
+        update: {
+          $inc: { timesServed: 1 },
+          $set: { lastServedAt: now, category: q.category },
+        },
+        upsert: true,
+      },
+    }))
+  );
+
+  if (operations.length > 0) {
+    await QuestionView.bulkWrite(operations, { ordered: false });
+  }
+}
+
+/**
+ * Seen questions of a category, least recently served first
+ * A question counts as seen if any of the users was served it
+ */
+async function seenQuestionIds(categoryId, userIds) {
+  if (userIds.length === 0) return [];
+
+  const seen = await QuestionView.aggregate([
+    {
+      $match: {
+        user: { $in: userIds.map((id) => new mongoose.Types.ObjectId(id)) },
+        category: new mongoose.Types.ObjectId(categoryId),
+      },
+    },
+    { $group: { _id: "$question", lastServedAt: { $max: "$lastServedAt" } } },
+    { $sort: { lastServedAt: 1 } },
+  ]);
+
+  return seen.map((view) => view._id.toString());
+}
+
+/**
+ * Fetch questions by ID keeping the given order (unplayable ones are skipped)
+ */
+async function questionsInOrder(ids, filters = {}) {
+  const query = { _id: { $in: ids }, ...PLAYABLE_QUESTION_FILTER };
+  if (filters.difficulty) {
+    query.difficulty = filters.difficulty;
+  }
+
+  const found = await Question.find(query)
+    .select("text type codeSnippet options correctOptionId correctOptionIds numericAnswer acceptedAnswers explanation difficulty category")
+    .lean();
+  const byId = new Map(found.map((q) => [q._id.toString(), q]));
+  return ids.map((id) => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * Pick questions for a match (or practice session) and its players
+ * Difficulty follows the players' ranks unless fixed, questions none of them
+ * has been served come first, and a short category falls back to other
+ * difficulties, then to the questions they saw longest ago
+ * @param {object} options - { categoryId, count, userIds, curve: "ascending" | "mixed", difficulty }
+ * @returns {Promise<array>} Questions, ordered by the curve
+ */
+async function selectMatchQuestions({ categoryId, count, userIds = [], curve = "ascending", difficulty }) {
+  // Bots don't shape the mix or the history
+  const users = await User.find({ _id: { $in: userIds }, isBot: { $ne: true } }).select("rank");
+  const humanIds = users.map((u) => u._id.toString());
+  const counts = difficulty
+    ? { [difficulty]: count }
+    : splitByMix(mixForRanks(users.map((u) => u.rank)), count);
+  const seenIds = await seenQuestionIds(categoryId, humanIds);
+
+  const picked = [];
+  const pickedIds = () => picked.map((q) => q._id.toString());
+
+  // Preferred mix, unseen questions only
+  for (const level of DIFFICULTIES) {
+    picked.push(
+      ...(await sampleQuestions(categoryId, counts[level] || 0, { difficulty: level, excludeIds: seenIds }))
+    );
+  }
+  // Any allowed difficulty, still unseen
+  if (picked.length < count) {
+    picked.push(
+      ...(await sampleQuestions(categoryId, count - picked.length, {
+        difficulty,
+        excludeIds: [...seenIds, ...pickedIds()],
+      }))
+    );
+  }
+  // Category exhausted: the questions they saw longest ago
+  if (picked.length < count) {
+    const stale = await questionsInOrder(seenIds, { difficulty });
+    picked.push(...stale.slice(0, count - picked.length));
+  }
+
+  if (curve === "ascending") {
+    picked.sort((a, b) => DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty));
+  } else {
+    for (let i = picked.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [picked[i], picked[j]] = [picked[j], picked[i]];
+    }
+  }
+
+  return picked;
+}
+
+module.exports = {
+  PLAYABLE_QUESTION_FILTER,
+  DIFFICULTY_MIX_BY_RANK,
+  DIFFICULTY_CURVES,
+  sampleQuestions,
+  selectMatchQuestions,
+  recordServedQuestions,
+};
@@ -0,0 +1,178 @@
+/**
+ * Question statistics and difficulty calibration
+ * Matches record how each question is answered; calibration re-labels
+ * difficulty from the observed correct rate and flags questions that
+ * behave oddly.
+ */
+const mongoose = require("mongoose");
+const Question = require("../models/Question");
+const { typeOf, isChoiceType } = require("./questionGrading");
+
+// Calibrate only questions answered at least this many times
+const CALIBRATION_MIN_ANSWERS = Number(process.env.CALIBRATION_MIN_ANSWERS || 20);
+
+// Difficulty by correct rate: at least 75% correct is easy, at least 45% medium
+const DIFFICULTY_THRESHOLDS = [
+  { difficulty: "easy", minCorrectRate: 0.75 },
+  { difficulty: "medium", minCorrectRate: 0.45 },
+  { difficulty: "hard", minCorrectRate: 0 },
+];
+
+// Correct rates this close to 0% or 100% suggest a broken or trivial question
+const ODD_CORRECT_RATE_MARGIN = 0.03;
+
+const CALIBRATION_FLAGS = {
+  ALWAYS_CORRECT: "always-correct",
+  NEVER_CORRECT: "never-correct",
+  DISTRACTOR_PREFERRED: "distractor-preferred", // A wrong option is picked more than the right one
+};
+
+/**
+ * Add the answers given to a question to its statistics
+ * @param {string} questionId
+ * @param {array} answers - [{ selectedOptionId | selectedOptionIds | answerValue, isCorrect, timeSpent }],
+ *   answer fields null when unanswered
+ */
+async function recordQuestionAnswers(questionId, answers) {
+  if (!questionId || answers.length === 0) return;
+
+  const inc = { timesAsked: answers.length, correctAnswers: 0 };
+  for (const answer of answers) {
+    if (answer.isCorrect) inc.correctAnswers += 1;
+
+    // Every option a player picked counts, so multi-select answers add several picks
+    const picks = answer.selectedOptionIds?.length > 0
+      ? answer.selectedOptionIds
+      : answer.selectedOptionId != null ? [answer.selectedOptionId] : [];
+    if (picks.length === 0 && answer.answerValue == null) continue;
+
+    for (const optionId of picks) {
+      const pick = `optionPicks.${Number(optionId)}`;
+      inc[pick] = (inc[pick] || 0) + 1;
+    }
+    inc.timedAnswers = (inc.timedAnswers || 0) + 1;
+    inc.totalAnswerTime = (inc.totalAnswerTime || 0) + (Number(answer.timeSpent) || 0);
+  }
+
+  await Question.updateOne({ _id: questionId }, { $inc: inc });
+}
+
+/**
+ * Observed statistics of a question
+ * @returns {object} { timesAsked, correctAnswers, correctRate, averageAnswerTime, optionPicks }
+ */
+function summarizeQuestionStats(question) {
+  const picks = question.optionPicks instanceof Map
+    ? Object.fromEntries(question.optionPicks)
+    : question.optionPicks || {};
+
+  return {
+    timesAsked: question.timesAsked,
+    correctAnswers: question.correctAnswers,
+    correctRate: question.timesAsked > 0
+      ? Math.round((question.correctAnswers / question.timesAsked) * 1000) / 1000
+      : null,
+    averageAnswerTime: question.timedAnswers > 0
+      ? Math.round((question.totalAnswerTime / question.timedAnswers) * 10) / 10
+      : null,
+    optionPicks: (question.options || []).map((opt) => ({
+      optionId: opt.id,
+      picks: picks[opt.id] || 0,
+      isCorrect: typeOf(question) === "multi-select"
+        ? (question.correctOptionIds || []).includes(opt.id)
+        : opt.id === question.correctOptionId,
+    })),
+  };
+}
+
+/**
+ * Difficulty and flags a question's statistics call for
+ * @returns {object} { correctRate, difficulty, flags }
+ */
+function assessQuestion(question) {
+  const stats = summarizeQuestionStats(question);
+  const correctRate = stats.correctRate;
+  const { difficulty } = DIFFICULTY_THRESHOLDS.find((t) => correctRate >= t.minCorrectRate);
+
+  const flags = [];
+  if (correctRate >= 1 - ODD_CORRECT_RATE_MARGIN) flags.push(CALIBRATION_FLAGS.ALWAYS_CORRECT);
+  if (correctRate <= ODD_CORRECT_RATE_MARGIN) flags.push(CALIBRATION_FLAGS.NEVER_CORRECT);
+
+  // Only single-answer choice questions have one right option to compare against
+  const correctPicks = stats.optionPicks.find((o) => o.isCorrect)?.picks || 0;
+  if (isChoiceType(question) && stats.optionPicks.some((o) => !o.isCorrect && o.picks > correctPicks)) {
+    flags.push(CALIBRATION_FLAGS.DISTRACTOR_PREFERRED);
+  }
+
+  return { correctRate, difficulty, flags };
+}
+
+/**
+ * Re-label difficulty from observed correct rates and flag odd questions
+ * Questions with fewer than CALIBRATION_MIN_ANSWERS answers are left alone
+ * @param {object} options - { categoryId, dryRun }
+ * @returns {Promise<object>} { examined, relabeled, flagged, dryRun }
+ */
+async function calibrateQuestions({ categoryId, dryRun = false } = {}) {
+  const query = { timesAsked: { $gte: CALIBRATION_MIN_ANSWERS } };
+  if (categoryId) {
+    query.category = new mongoose.Types.ObjectId(categoryId);
+  }
+
+  const relabeled = [];
+  const flagged = [];
+  const operations = [];
+  let examined = 0;
+  const calibratedAt = new Date();
+
+  const cursor = Question.find(query)
+    .select("text type options correctOptionId correctOptionIds difficulty category timesAsked correctAnswers totalAnswerTime timedAnswers optionPicks")
+    .cursor();
+
+  for await (const question of cursor) {
+    examined += 1;
+    const { correctRate, difficulty, flags } = assessQuestion(question);
+    const changed = difficulty !== question.difficulty;
+
+    if (changed) {
+      relabeled.push({
+        questionId: question._id,
+        text: question.text,
+        from: question.difficulty,
+        to: difficulty,
+        correctRate,
+      });
+    }
+    if (flags.length > 0) {
+      flagged.push({ questionId: question._id, text: question.text, correctRate, flags });
+    }
+
+    const set = {
+      "calibration.correctRate": correctRate,
+      "calibration.flags": flags,
+      "calibration.calibratedAt": calibratedAt,
+    };
+    if (changed) {
+      set.difficulty = difficulty;
+      set["calibration.previousDifficulty"] = question.difficulty;
+    }
+    operations.push({ updateOne: { filter: { _id: question._id }, update: { $set: set } } });
+  }
+
+  if (!dryRun && operations.length > 0) {
+    await Question.bulkWrite(operations, { ordered: false });
+  }
+
+  console.log(
+    `[CALIBRATION] ${dryRun ? "Dry run: " : ""}${examined} examined, ${relabeled.length} relabeled, ${flagged.length} flagged`
+  );
+  return { examined, relabeled, flagged, dryRun };
+}
+
+module.exports = {
+  CALIBRATION_MIN_ANSWERS,
+  CALIBRATION_FLAGS,
+  recordQuestionAnswers,
+  summarizeQuestionStats,
+  calibrateQuestions,
+};
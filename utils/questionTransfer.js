@@ -0,0 +1,524 @@
+/**
+ * Bulk question import and export (CSV and JSON)
+ * Exports use the same shape imports accept, so a file exported from one
+ * server re-imports cleanly into another. Rows are checked with the same
+ * rules as validateQuestion and errors are reported per row. Review status
+ * and isActive travel with each question, so a round trip never puts a
+ * pending, rejected or deactivated question back into play.
+ */
+const Question = require("../models/Question");
+const Category = require("../models/Category");
+const { questionValidationError } = require("../middleware/validationMiddleware");
+const { refreshQuestionCount } = require("./seedImporter");
+const { typeOf } = require("./questionGrading");
+const { REVIEW_STATUSES } = require("./questionReview");
+const { PLAYABLE_QUESTION_FILTER } = require("./questionSelection");
+const httpError = require("./httpError");
+
+const FORMATS = ["json", "csv"];
+// Compare question texts ignoring case (collation strength 2), like the seed importer
+const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+const IMPORT_MODES = ["atomic", "partial"]; // atomic: nothing is imported if any row is invalid
+const MAX_IMPORT_ROWS = 5000;
+const TAG_SEPARATOR = "|"; // Also separates correctOptionIds and acceptedAnswers; \| is a literal pipe, \\ a backslash
+const CSV_COLUMNS = [
+  "text",
+  "category",
+  "difficulty",
+  "correctOptionId",
+  "explanation",
+  "tags",
+  "type",
+  "correctOptionIds",
+  "numericValue",
+  "tolerance",
+  "acceptedAnswers",
+  "codeLanguage",
+  "code",
+  "isActive",
+  "reviewStatus",
+];
+const OPTION_COLUMN = /^option(\d+)$/;
+
+// ============================================================
+// CSV
+// ============================================================
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, newlines inside quotes)
+ * @returns {array} Rows of string fields
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw httpError(400, "INVALID_CSV", "CSV has an unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsv = (rows) => rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+
+/**
+ * Join a list column, escaping the separator so every item reads back as written
+ */
+const joinList = (items = []) => items.map((item) => String(item).replace(/[\\|]/g, "\\$&")).join(TAG_SEPARATOR);
+
+/**
+ * Split a list column on unescaped separators
+ * Only \| and \\ are escapes; any other backslash is kept as it is.
+ * @param {object} options - { trim: trim each item (default true) }
+ */
+const splitList = (value, { trim = true } = {}) => {
+  if (!value) return [];
+
+  const items = [];
+  let item = "";
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === "\\" && (value[i + 1] === TAG_SEPARATOR || value[i + 1] === "\\")) {
+      item += value[++i];
+    } else if (char === TAG_SEPARATOR) {
+      items.push(item);
+      item = "";
+    } else {
+      item += char;
+    }
+  }
+  items.push(item);
+
+  return items.map((entry) => (trim ? entry.trim() : entry)).filter((entry) => entry !== "");
+};
+
+/**
+ * Turn CSV rows into import records, using the header row for column names
+ * Options are the option1, option2, ... columns, numbered by their column.
+ * Only text is required; the type columns can be left out for single choice questions.
+ */
+const csvToRecords = (text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) return [];
+
+  const columns = header.map((name) => name.trim());
+  if (!columns.includes("text")) {
+    throw httpError(400, "INVALID_CSV", `CSV header must include text; columns are: ${CSV_COLUMNS.join(", ")}, option1, option2, ...`);
+  }
+
+  return rows.map((values) => {
+    const record = { options: [] };
+    columns.forEach((column, index) => {
+      const value = (values[index] ?? "").trim();
+      const option = column.match(OPTION_COLUMN);
+      if (option) {
+        if (value) record.options.push({ id: Number(option[1]), text: value });
+      } else if (column === "tags") {
+        record.tags = splitList(value);
+      } else if (column === "acceptedAnswers") {
+        // Whitespace can be part of a program's output
+        record.acceptedAnswers = splitList(values[index] ?? "", { trim: false });
+      } else if (column === "correctOptionIds") {
+        record.correctOptionIds = value ? splitList(value).map(Number) : undefined;
+      } else if (column === "correctOptionId") {
+        record.correctOptionId = value === "" ? undefined : Number(value);
+      } else if (column === "numericValue" || column === "tolerance") {
+        if (value !== "") {
+          record.numericAnswer = { ...record.numericAnswer, [column === "numericValue" ? "value" : column]: Number(value) };
+        }
+      } else if (column === "code") {
+        // Keep the snippet's indentation
+        const code = (values[index] ?? "").replace(/\s+$/, "");
+        if (code) record.codeSnippet = { ...record.codeSnippet, code };
+      } else if (column === "codeLanguage") {
+        if (value) record.codeSnippet = { ...record.codeSnippet, language: value };
+      } else if (column === "isActive") {
+        // Anything but true / false is kept as text so validation reports it
+        if (value !== "") record.isActive = { true: true, false: false }[value.toLowerCase()] ?? value;
+      } else if (value !== "") {
+        record[column] = value;
+      }
+    });
+    // Only true/false questions may leave their options out
+    if (record.options.length === 0 && record.type === "true-false") {
+      delete record.options;
+    }
+    return record;
+  });
+};
+
+// ============================================================
+// IMPORT
+// ============================================================
+
+/**
+ * Resolve a record's category by ID or by name (case-insensitive)
+ */
+const resolveCategory = (value, categories) => {
+  if (!value) return null;
+  const key = String(value).trim().toLowerCase();
+  return categories.find((c) => c._id.toString() === key || c.name.toLowerCase() === key) || null;
+};
+
+/**
+ * The answer fields a record's question type uses
+ */
+const answerFieldsOf = (type, record) => {
+  switch (type) {
+    case "multi-select":
+      return {
+        correctOptionIds: Array.isArray(record.correctOptionIds) ? record.correctOptionIds.map(Number) : record.correctOptionIds,
+      };
+    case "numeric":
+      return {
+        numericAnswer: record.numericAnswer
+          ? { value: Number(record.numericAnswer.value), tolerance: Number(record.numericAnswer.tolerance ?? 0) }
+          : undefined,
+      };
+    case "code-output":
+      return {
+        acceptedAnswers: Array.isArray(record.acceptedAnswers) ? record.acceptedAnswers.map(String) : record.acceptedAnswers,
+      };
+    default:
+      return { correctOptionId: record.correctOptionId === undefined ? undefined : Number(record.correctOptionId) };
+  }
+};
+
+/**
+ * Validate one record and map it to Question fields
+ * @returns {object} { question } or { error }
+ */
+const mapRecord = (record, categories, defaultCategory) => {
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    return { error: "Row must be an object" };
+  }
+
+  const type = record.type || "single-choice";
+  const data = {
+    text: typeof record.text === "string" ? record.text.trim() : record.text,
+    type,
+    options: Array.isArray(record.options)
+      ? record.options.map((opt) => ({
+          id: Number(opt?.id),
+          text: typeof opt?.text === "string" ? opt.text.trim() : opt?.text,
+        }))
+      : record.options,
+    ...answerFieldsOf(type, record),
+    difficulty: record.difficulty || undefined,
+  };
+  if (record.codeSnippet) {
+    data.codeSnippet = { language: record.codeSnippet.language, code: record.codeSnippet.code };
+  }
+
+  const error = questionValidationError(data);
+  if (error) return { error };
+
+  // Schema limits, so atomic imports cannot fail halfway through
+  if (data.text.length > 500) {
+    return { error: "Question must not exceed 500 characters" };
+  }
+  if ((data.options || []).some((opt) => String(opt.text).length > 200)) {
+    return { error: "Option text must not exceed 200 characters" };
+  }
+  if (typeof record.explanation === "string" && record.explanation.length > 500) {
+    return { error: "Explanation must not exceed 500 characters" };
+  }
+
+  if (record.isActive !== undefined && typeof record.isActive !== "boolean") {
+    return { error: "isActive must be true or false" };
+  }
+  if (record.reviewStatus !== undefined && !REVIEW_STATUSES.includes(record.reviewStatus)) {
+    return { error: `reviewStatus must be one of: ${REVIEW_STATUSES.join(", ")}` };
+  }
+
+  const category = resolveCategory(record.category ?? record.categoryId, categories) || defaultCategory;
+  if (!category) {
+    return { error: record.category ? `Category not found: ${record.category}` : "Category is required" };
+  }
+  return {
+    question: {
+      ...data,
+      category: category._id,
+      difficulty: data.difficulty || "medium",
+      explanation: typeof record.explanation === "string" ? record.explanation : "",
+      tags: Array.isArray(record.tags) ? record.tags.map(String) : [],
+      isActive: record.isActive ?? true,
+      reviewStatus: record.reviewStatus || "approved",
+    },
+  };
+};
+
+/**
+ * Read the records of an upload
+ * @param {object} upload - { format, content (CSV text, JSON text or parsed JSON) }
+ */
+const readRecords = ({ format, content }) => {
+  if (!FORMATS.includes(format)) {
+    throw httpError(400, "INVALID_FORMAT", `Format must be one of: ${FORMATS.join(", ")}`);
+  }
+  if (content === undefined || content === null || content === "") {
+    throw httpError(400, "EMPTY_IMPORT", "Nothing to import");
+  }
+
+  if (format === "csv") {
+    if (typeof content !== "string") {
+      throw httpError(400, "INVALID_CSV", "CSV imports must be sent as text");
+    }
+    return csvToRecords(content);
+  }
+
+  let parsed = content;
+  if (typeof content === "string") {
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw httpError(400, "INVALID_JSON", `Could not parse JSON: ${error.message}`);
+    }
+  }
+  const records = Array.isArray(parsed) ? parsed : parsed?.questions;
+  if (!Array.isArray(records)) {
+    throw httpError(400, "INVALID_JSON", "JSON imports must be an array of questions or { questions: [...] }");
+  }
+  return records;
+};
+
+/**
+ * Import questions from a CSV or JSON upload
+ * Imported questions are approved and active unless their row says otherwise
+ * (isActive, reviewStatus). Questions whose text already exists in
+ * the category are skipped, so importing the same file twice is harmless.
+ * @param {object} upload - { format, content, mode: "atomic" | "partial", categoryId (default category) }
+ * @returns {Promise<object>} { mode, imported, skipped, invalid, errors: [{ row, message }], questionCounts }
+ */
+const importQuestions = async (adminId, { format, content, mode = "atomic", categoryId }) => {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw httpError(400, "INVALID_MODE", `Mode must be one of: ${IMPORT_MODES.join(", ")}`);
+  }
+
+  const records = readRecords({ format, content });
+  if (records.length === 0) {
+    throw httpError(400, "EMPTY_IMPORT", "Nothing to import");
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw httpError(400, "IMPORT_TOO_LARGE", `At most ${MAX_IMPORT_ROWS} questions can be imported at once`);
+  }
+
+  const categories = await Category.find({}).select("name");
+  let defaultCategory = null;
+  if (categoryId) {
+    defaultCategory = resolveCategory(categoryId, categories);
+    if (!defaultCategory) {
+      throw httpError(404, "CATEGORY_NOT_FOUND", "Category not found");
+    }
+  }
+
+  const errors = [];
+  const mapped = [];
+  records.forEach((record, index) => {
+    const { question, error } = mapRecord(record, categories, defaultCategory);
+    if (error) {
+      errors.push({ row: index + 1, message: error });
+    } else {
+      mapped.push({ row: index + 1, question });
+    }
+  });
+
+  // Dedupe within the upload and against each category, both ignoring case
+  const keyOf = (q) => `${q.category}:${q.text.toLowerCase()}`;
+  const existing = await Question.find({
+    category: { $in: [...new Set(mapped.map(({ question }) => question.category.toString()))] },
+    text: { $in: mapped.map(({ question }) => question.text) },
+  })
+    .collation(CASE_INSENSITIVE)
+    .select("category text");
+  const seen = new Set(existing.map(keyOf));
+  const valid = mapped.filter(({ question }) => {
+    if (seen.has(keyOf(question))) return false;
+    seen.add(keyOf(question));
+    return true;
+  });
+  const skipped = mapped.length - valid.length;
+
+  const summary = { mode, imported: 0, skipped, invalid: errors.length, errors, questionCounts: {} };
+  if (mode === "atomic" && errors.length > 0) {
+    return summary;
+  }
+
+  const now = new Date();
+  const documents = valid.map(({ question }) => ({
+    ...question,
+    createdBy: adminId,
+    isApproved: question.reviewStatus === "approved",
+    reviewedBy: question.reviewStatus === "pending" ? null : adminId,
+    reviewedAt: question.reviewStatus === "pending" ? null : now,
+    history: [{ action: "created", by: adminId, at: now, reason: "Bulk import" }],
+  }));
+
+  let inserted = [];
+  try {
+    inserted = await Question.insertMany(documents, { ordered: mode === "atomic" });
+  } catch (error) {
+    if (mode === "atomic") {
+      // Undo what made it in before the failure
+      const insertedIds = (error.insertedDocs || []).map((doc) => doc._id);
+      if (insertedIds.length > 0) {
+        await Question.deleteMany({ _id: { $in: insertedIds } });
+      }
+      throw error;
+    }
+    inserted = error.insertedDocs || [];
+    (error.writeErrors || []).forEach((writeError) => {
+      const failed = valid[writeError.index ?? writeError.err?.index];
+      errors.push({ row: failed ? failed.row : null, message: writeError.errmsg || writeError.err?.errmsg || "Insert failed" });
+    });
+    summary.invalid = errors.length;
+  }
+  summary.imported = inserted.length;
+
+  const touched = [...new Set(inserted.map((q) => q.category.toString()))];
+  for (const id of touched) {
+    const category = categories.find((c) => c._id.toString() === id);
+    summary.questionCounts[category ? category.name : id] = await refreshQuestionCount(id);
+  }
+
+  console.log(`[QUESTION-IMPORT] ${adminId} imported ${summary.imported} questions (${skipped} skipped, ${summary.invalid} invalid, ${mode})`);
+  return summary;
+};
+
+// ============================================================
+// EXPORT
+// ============================================================
+
+/**
+ * Export questions in the import format
+ * Only playable questions (as matches pick them) unless includeUnplayable is set
+ * @param {object} options - { category (ID or name, default all), format, includeUnplayable }
+ * @returns {Promise<object>} { filename, contentType, body, count }
+ */
+const exportQuestions = async ({ category, format = "json", includeUnplayable = false } = {}) => {
+  if (!FORMATS.includes(format)) {
+    throw httpError(400, "INVALID_FORMAT", `Format must be one of: ${FORMATS.join(", ")}`);
+  }
+
+  const categories = await Category.find({}).select("name");
+  const query = includeUnplayable ? {} : { ...PLAYABLE_QUESTION_FILTER };
+  let selected = null;
+  if (category) {
+    selected = resolveCategory(category, categories);
+    if (!selected) {
+      throw httpError(404, "CATEGORY_NOT_FOUND", "Category not found");
+    }
+    query.category = selected._id;
+  }
+
+  const questions = await Question.find(query)
+    .select("text category type codeSnippet options correctOptionId correctOptionIds numericAnswer acceptedAnswers difficulty explanation tags isApproved isActive reviewStatus")
+    .sort({ category: 1, createdAt: 1 })
+    .lean();
+  const names = new Map(categories.map((c) => [c._id.toString(), c.name]));
+
+  const records = questions.map((q) => ({
+    text: q.text,
+    category: names.get(q.category.toString()) || q.category.toString(),
+    type: typeOf(q),
+    codeSnippet: q.codeSnippet?.code ? { language: q.codeSnippet.language, code: q.codeSnippet.code } : undefined,
+    options: (q.options || []).map((opt) => ({ id: opt.id, text: opt.text })),
+    ...answerFieldsOf(typeOf(q), q),
+    difficulty: q.difficulty,
+    explanation: q.explanation || "",
+    tags: q.tags || [],
+    isActive: q.isActive !== false,
+    // Questions from before moderation have no status
+    reviewStatus: q.reviewStatus || (q.isApproved ? "approved" : "pending"),
+  }));
+
+  const slug = selected
+    ? selected.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")
+    : "all";
+  const filename = `questions-${slug || "category"}.${format}`;
+
+  if (format === "json") {
+    return {
+      filename,
+      contentType: "application/json",
+      body: JSON.stringify(records, null, 2),
+      count: records.length,
+    };
+  }
+
+  const optionIds = [...new Set(records.flatMap((r) => r.options.map((opt) => opt.id)))].sort((a, b) => a - b);
+  const header = [...CSV_COLUMNS, ...optionIds.map((id) => `option${id}`)];
+  const rows = records.map((r) => [
+    r.text,
+    r.category,
+    r.difficulty,
+    r.correctOptionId,
+    r.explanation,
+    joinList(r.tags),
+    r.type,
+    joinList(r.correctOptionIds),
+    r.numericAnswer?.value,
+    r.numericAnswer?.tolerance,
+    joinList(r.acceptedAnswers),
+    r.codeSnippet?.language,
+    r.codeSnippet?.code,
+    r.isActive,
+    r.reviewStatus,
+    ...optionIds.map((id) => r.options.find((opt) => opt.id === id)?.text ?? ""),
+  ]);
+
+  return {
+    filename,
+    contentType: "text/csv; charset=utf-8",
+    body: formatCsv([header, ...rows]),
+    count: records.length,
+  };
+};
+
+module.exports = {
+  FORMATS,
+  IMPORT_MODES,
+  parseCsv,
+  importQuestions,
+  exportQuestions,
+};
@@ -0,0 +1,353 @@
+/**
+ * Retroactive rescoring
+ * When a question's answer key is corrected, finished matches that played it
+ * are regraded: answer points, scores, placements, winner and XP. The XP
+ * difference is added to the players ($inc, so concurrent XP changes are kept)
+ * and recorded in a RescoreAudit, which stays "pending" until every write is done.
+ * Category ratings and badges are left as they were.
+ */
+const mongoose = require("mongoose");
+const Match = require("../models/Match");
+const Question = require("../models/Question");
+const User = require("../models/User");
+const RescoreAudit = require("../models/RescoreAudit");
+const { calculatePlacements, calculateTeamStandings } = require("./calculatePlacements");
+const { calculateAnswerPoints, calculateRank } = require("./calculateXP");
+const { calculateMatchXp } = require("./matchRewards");
+const { ANSWER_KEY_FIELDS, gradeAnswer, correctAnswerOf } = require("./questionGrading");
+const { BOT_MATCH_XP_MULTIPLIER } = require("../socket/botPlayer");
+const httpError = require("./httpError");
+
+// Same scoring as live matches
+const XP_PER_CORRECT = 10;
+const MAX_SPEED_BONUS = 10;
+const DEFAULT_TIME_LIMIT = 30; // seconds
+
+/**
+ * Start of the current weekly leaderboard period (Monday 00:00)
+ */
+const startOfWeek = (now = new Date()) => {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+/**
+ * Regrade one finished match against the question's answer key
+ * Mutates the match document; eliminations are not replayed
+ * @param {object} question - Question with its type and answer fields
+ * @returns {object|null} Match impact, or null when nothing changes
+ */
+const rescoreMatch = (match, question) => {
+  const questionId = question._id.toString();
+  const timeLimitMs = (match.challenge?.questionTimeLimit || match.questionTimeLimit || DEFAULT_TIME_LIMIT) * 1000;
+  const scoreBefore = {};
+  const scoreAfter = {};
+  let changed = false;
+
+  for (const player of match.players) {
+    const userId = player.user.toString();
+    const stored = match.scores.find((s) => s.userId && s.userId.toString() === userId);
+    scoreBefore[userId] = stored?.score ?? player.score;
+    let delta = 0;
+
+    for (const answer of player.answers) {
+      if (!answer.questionId || answer.questionId.toString() !== questionId) continue;
+
+      const { isCorrect, credit } = gradeAnswer(question, answer);
+      // Answers from before partial credit have no credit stored
+      const storedCredit = answer.credit ?? (answer.isCorrect ? 1 : 0);
+      // Keep the points of answers whose grade holds: stored timeSpent is rounded,
+      // so recomputing them could shift points the corrected key does not touch
+      if (isCorrect === answer.isCorrect && credit === storedCredit) continue;
+
+      const points = calculateAnswerPoints({
+        isCorrect,
+        credit,
+        timeSpent: (answer.timeSpent || 0) * 1000,
+        timeLimit: timeLimitMs,
+        basePoints: XP_PER_CORRECT,
+        maxSpeedBonus: MAX_SPEED_BONUS,
+      });
+
+      delta += points - (answer.pointsAwarded || 0);
+      answer.isCorrect = isCorrect;
+      answer.credit = credit;
+      answer.pointsAwarded = points;
+      changed = true;
+    }
+
+    scoreAfter[userId] = scoreBefore[userId] + delta;
+    player.score += delta;
+  }
+
+  if (!changed) return null;
+
+  // Same finishing rules as when the match ended
+  const previous = new Map(match.placements.map((p) => [p.userId.toString(), p]));
+  const forfeitedBy = match.forfeitedBy ? match.forfeitedBy.toString() : null;
+  const placements = calculatePlacements(
+    Object.entries(scoreAfter).map(([userId, score]) => ({
+      userId,
+      score,
+      eliminatedAtQuestion: previous.get(userId)?.eliminatedAtQuestion ?? null,
+      forfeited: previous.get(userId)?.forfeited ?? userId === forfeitedBy,
+    }))
+  );
+
+  let teamStandings = null;
+  let winningTeamId = null;
+  if (match.mode === "team" && match.teams.length > 0) {
+    teamStandings = calculateTeamStandings(
+      match.teams.map((t) => ({
+        teamId: t.teamId,
+        name: t.name,
+        members: t.members.map((id) => ({
+          userId: id.toString(),
+          forfeited: placements.find((p) => p.userId === id.toString())?.forfeited,
+        })),
+      })),
+      scoreAfter,
+      match.teamScoring
+    );
+    placements.forEach((p) => {
+      p.place = teamStandings.find((t) => t.members.includes(p.userId))?.place || teamStandings.length;
+    });
+    placements.sort((a, b) => a.place - b.place);
+    const winningTeams = teamStandings.filter((t) => t.place === 1);
+    winningTeamId = winningTeams.length === 1 ? winningTeams[0].teamId : null;
+  }
+
+  const firstPlace = placements.filter((p) => p.place === 1);
+  const isDraw = teamStandings
+    ? !winningTeamId
+    : firstPlace.length > 1 && !firstPlace.every((p) => p.forfeited);
+  const winnerId =
+    !teamStandings && firstPlace.length === 1 && !firstPlace[0].forfeited ? firstPlace[0].userId : null;
+
+  const xpAfter = calculateMatchXp({
+    mode: match.mode,
+    placements,
+    winningTeamId,
+    xpMultiplier: match.hasBot ? BOT_MATCH_XP_MULTIPLIER : 1,
+  });
+
+  const impact = {
+    match: match._id,
+    mode: match.mode,
+    finishedAt: match.finishedAt,
+    winnerBefore: match.winnerId,
+    winnerAfter: winnerId ? new mongoose.Types.ObjectId(winnerId) : null,
+    isDrawBefore: match.isDraw,
+    isDrawAfter: isDraw,
+    players: match.players.map((player) => {
+      const userId = player.user.toString();
+      const stored = match.scores.find((s) => s.userId && s.userId.toString() === userId);
+      return {
+        user: player.user,
+        isBot: player.isBot,
+        scoreBefore: scoreBefore[userId],
+        scoreAfter: scoreAfter[userId],
+        xpBefore: stored?.xpEarned ?? scoreBefore[userId],
+        xpAfter: xpAfter[userId] ?? scoreAfter[userId],
+      };
+    }),
+  };
+
+  match.winnerId = impact.winnerAfter;
+  match.isDraw = isDraw;
+  match.scores.forEach((entry) => {
+    const userId = entry.userId.toString();
+    entry.score = scoreAfter[userId] ?? entry.score;
+    entry.xpEarned = xpAfter[userId] ?? entry.xpEarned;
+  });
+  match.placements = placements.map((p) => ({
+    userId: p.userId,
+    place: p.place,
+    score: p.score,
+    eliminatedAtQuestion: p.eliminatedAtQuestion,
+    forfeited: p.forfeited,
+  }));
+  if (teamStandings) {
+    match.teams.forEach((team) => {
+      const standing = teamStandings.find((t) => t.teamId === team.teamId);
+      team.score = standing.score;
+      team.place = standing.place;
+      team.isWinner = team.teamId === winningTeamId;
+    });
+  }
+
+  return impact;
+};
+
+/**
+ * Human players whose XP a set of rescored matches changes
+ * @param {array} changes - [{ match, impact }]
+ * @returns {array} User IDs
+ */
+const playersOf = (changes) => [...userDeltasOf(changes).keys()];
+
+/**
+ * XP and weekly XP difference per player across rescored matches
+ * Weekly XP only counts matches finished since weekStart
+ * @returns {Map} userId -> { xpDelta, weeklyXpDelta }
+ */
+const userDeltasOf = (changes, weekStart = startOfWeek()) => {
+  const deltas = new Map();
+  for (const { match, impact } of changes) {
+    for (const player of impact.players) {
+      const xpDelta = player.xpAfter - player.xpBefore;
+      if (player.isBot || xpDelta === 0) continue;
+
+      const userId = player.user.toString();
+      const totals = deltas.get(userId) || { xpDelta: 0, weeklyXpDelta: 0 };
+      totals.xpDelta += xpDelta;
+      if (match.finishedAt && match.finishedAt >= weekStart) {
+        totals.weeklyXpDelta += xpDelta;
+      }
+      deltas.set(userId, totals);
+    }
+  }
+  return deltas;
+};
+
+/**
+ * Rescore finished matches that played a question, against its current answer key
+ * Running it again after an applied run changes nothing
+ * @param {object} options - { dryRun, reason }
+ * @returns {Promise<object>} { questionId, correctOptionId, correctAnswer, dryRun, matchesExamined, matchesSkipped, matches, users, auditId }
+ */
+const rescoreQuestion = async (questionId, adminId, { dryRun = false, reason } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(questionId)) {
+    throw httpError(404, "QUESTION_NOT_FOUND", "Question not found");
+  }
+
+  const question = await Question.findById(questionId).select(`type options ${ANSWER_KEY_FIELDS}`);
+  if (!question) {
+    throw httpError(404, "QUESTION_NOT_FOUND", "Question not found");
+  }
+
+  const matches = await Match.find({ questions: question._id, state: "finished" });
+  const weekStart = startOfWeek();
+  const changes = []; // { match, impact }
+
+  for (const match of matches) {
+    const impact = rescoreMatch(match, question);
+    if (impact) {
+      changes.push({ match, impact });
+    }
+  }
+
+  const users = await User.find({ _id: { $in: playersOf(changes) } }).select("username xp rank");
+  const summarize = (applied, rankAfter) =>
+    users
+      .filter((user) => applied.has(user._id.toString()))
+      .map((user) => {
+        const { xpDelta, weeklyXpDelta } = applied.get(user._id.toString());
+        return {
+          user: user._id,
+          username: user.username,
+          xpDelta,
+          weeklyXpDelta,
+          rankBefore: user.rank,
+          rankAfter: rankAfter(user, xpDelta),
+        };
+      });
+
+  let impacts = changes.map((c) => c.impact);
+  let userImpacts = summarize(userDeltasOf(changes, weekStart), (user, xpDelta) =>
+    calculateRank(Math.max(0, user.xp + xpDelta))
+  );
+  let auditId = null;
+
+  if (!dryRun && changes.length > 0) {
+    // Recorded before any write, so a run that stops halfway stays visible as pending
+    const audit = await RescoreAudit.create({
+      question: question._id,
+      correctOptionId: question.correctOptionId ?? null,
+      correctAnswer: correctAnswerOf(question),
+      performedBy: adminId,
+      reason: typeof reason === "string" ? reason.trim().slice(0, 500) : null,
+      status: "pending",
+      matchesExamined: matches.length,
+      matches: impacts,
+      users: userImpacts,
+    });
+    auditId = audit._id;
+
+    // Save each match with its players' XP, skipping matches changed since they were read
+    const applied = [];
+    for (const change of changes) {
+      change.match.increment();
+      try {
+        await change.match.save();
+      } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+          console.warn(`[RESCORE] Match ${change.match._id} changed while rescoring, skipped`);
+          continue;
+        }
+        throw error;
+      }
+
+      for (const [userId, { xpDelta, weeklyXpDelta }] of userDeltasOf([change], weekStart)) {
+        await User.updateOne({ _id: userId }, { $inc: { xp: xpDelta, weeklyXp: weeklyXpDelta } });
+      }
+      applied.push(change);
+    }
+
+    // Clamp and rank from the stored XP, not the values read above
+    const ranks = new Map();
+    for (const userId of playersOf(applied)) {
+      const user = await User.findOneAndUpdate(
+        { _id: userId },
+        { $max: { xp: 0, weeklyXp: 0 } },
+        { new: true, projection: "xp" }
+      );
+      if (!user) continue;
+      const rank = calculateRank(user.xp);
+      await User.updateOne({ _id: userId }, { $set: { rank } });
+      ranks.set(userId, rank);
+    }
+
+    impacts = applied.map((c) => c.impact);
+    userImpacts = summarize(userDeltasOf(applied, weekStart), (user) => ranks.get(user._id.toString()) ?? user.rank);
+    await RescoreAudit.updateOne(
+      { _id: auditId },
+      { $set: { status: "applied", matches: impacts, users: userImpacts } }
+    );
+  }
+
+  console.log(
+    `[RESCORE] ${dryRun ? "Dry run: " : ""}question ${question._id}: ${impacts.length}/${matches.length} matches changed, ${userImpacts.length} players affected`
+  );
+  return {
+    questionId: question._id,
+    correctOptionId: question.correctOptionId ?? null,
+    correctAnswer: correctAnswerOf(question),
+    dryRun,
+    matchesExamined: matches.length,
+    matchesSkipped: changes.length - impacts.length,
+    matches: impacts,
+    users: userImpacts,
+    auditId,
+  };
+};
+
+/**
+ * Past rescoring runs of a question, newest first
+ */
+const listRescoreAudits = async (questionId) => {
+  if (!mongoose.Types.ObjectId.isValid(questionId)) {
+    throw httpError(404, "QUESTION_NOT_FOUND", "Question not found");
+  }
+
+  return RescoreAudit.find({ question: questionId })
+    .populate("performedBy", "username")
+    .sort({ createdAt: -1 });
+};
+
+module.exports = {
+  rescoreQuestion,
+  listRescoreAudits,
+};
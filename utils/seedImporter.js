@@ -0,0 +1,275 @@
+const fs = require("fs");
+const path = require("path");
+const Question = require("../models/Question");
+const Category = require("../models/Category");
+const { PLAYABLE_QUESTION_FILTER } = require("./questionSelection");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+const DIFFICULTIES = ["easy", "medium", "hard"];
+// Compare question texts ignoring case (collation strength 2)
+const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+
+/**
+ * List the seed files available in data/
+ * @returns {array} File names (e.g. ["dsa.json", "python.json"])
+ */
+const listSeedFiles = () => {
+  return fs
+    .readdirSync(DATA_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .sort();
+};
+
+/**
+ * Map a seed record to the Question schema shape
+ * Seed format: { category, questionText, options: [string], correctAnswerIndex (0-3), difficulty }
+ * @param {object} record - Raw record from a data/*.json file
+ * @returns {object} { question } on success or { error } describing why the record is invalid
+ */
+const mapSeedQuestion = (record) => {
+  if (!record || typeof record !== "object") {
+    return { error: "Record must be an object" };
+  }
+
+  const { category, questionText, options, correctAnswerIndex, difficulty, explanation } = record;
+
+  if (typeof category !== "string" || category.trim().length < 3) {
+    return { error: "Category name is required and must be at least 3 characters" };
+  }
+
+  const text = typeof questionText === "string" ? questionText.trim() : "";
+  if (text.length < 10 || text.length > 500) {
+    return { error: "questionText must be between 10 and 500 characters" };
+  }
+
+  if (!Array.isArray(options) || options.length !== 4) {
+    return { error: "Question must have exactly 4 options" };
+  }
+
+  if (options.some((opt) => typeof opt !== "string" || !opt.trim() || opt.length > 200)) {
+    return { error: "Each option must be a non-empty string of at most 200 characters" };
+  }
+
+  if (!Number.isInteger(correctAnswerIndex) || correctAnswerIndex < 0 || correctAnswerIndex > 3) {
+    return { error: "correctAnswerIndex must be an integer between 0 and 3" };
+  }
+
+  if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+    return { error: "Difficulty must be easy, medium, or hard" };
+  }
+
+  return {
+    question: {
+      categoryName: category.trim(),
+      text,
+      // Seed options are zero-based strings, schema options are {id: 1-4, text}
+      options: options.map((opt, index) => ({ id: index + 1, text: opt.trim() })),
+      correctOptionId: correctAnswerIndex + 1,
+      difficulty: difficulty || "medium",
+      explanation: typeof explanation === "string" ? explanation : "",
+    },
+  };
+};
+
+/**
+ * Recompute Category.questionCount from the questions playable in it
+ * @param {string|ObjectId} categoryId - Category to recount
+ * @returns {Promise<number>} The new question count
+ */
+const refreshQuestionCount = async (categoryId) => {
+  const questionCount = await Question.countDocuments({
+    category: categoryId,
+    ...PLAYABLE_QUESTION_FILTER,
+  });
+  await Category.findByIdAndUpdate(categoryId, { questionCount });
+  return questionCount;
+};
+
+/**
+ * Find a category by name (case-insensitive) or create it
+ * @param {string} name - Category name from the seed file
+ * @param {string} createdBy - Admin user ID recorded on new categories
+ * @param {Map} cache - Name -> category cache shared across one import run
+ * @returns {Promise<object>} { category, created }
+ */
+const findOrCreateCategory = async (name, createdBy, cache) => {
+  const key = name.toLowerCase();
+  if (cache.has(key)) {
+    return { category: cache.get(key), created: false };
+  }
+
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  let category = await Category.findOne({ name: new RegExp(`^${escaped}$`, "i") });
+  let created = false;
+
+  if (!category) {
+    category = await Category.create({
+      name,
+      description: `${name} questions imported from the seed question bank`,
+      createdBy,
+    });
+    created = true;
+  }
+
+  cache.set(key, category);
+  return { category, created };
+};
+
+/**
+ * Import a list of seed records
+ * Idempotent: questions whose text already exists are skipped
+ * @param {array} records - Raw seed records
+ * @param {object} options - { createdBy, categoryCache, touchedCategories }
+ * @returns {Promise<object>} { inserted, skipped, invalid, errors, categoriesCreated }
+ */
+const importSeedRecords = async (records, options) => {
+  const { createdBy } = options;
+  const categoryCache = options.categoryCache || new Map();
+  const touchedCategories = options.touchedCategories || new Set();
+
+  const summary = {
+    inserted: 0,
+    skipped: 0,
+    invalid: 0,
+    errors: [],
+    categoriesCreated: [],
+  };
+
+  if (!Array.isArray(records)) {
+    summary.invalid = 1;
+    summary.errors.push({ index: null, message: "Seed file must contain a JSON array" });
+    return summary;
+  }
+
+  const seenTexts = new Set();
+
+  for (let index = 0; index < records.length; index++) {
+    const { question, error } = mapSeedQuestion(records[index]);
+
+    if (error) {
+      summary.invalid++;
+      summary.errors.push({ index, message: error });
+      continue;
+    }
+
+    // Dedupe within the file and against the database, both ignoring case
+    const textKey = question.text.toLowerCase();
+    if (
+      seenTexts.has(textKey) ||
+      (await Question.exists({ text: question.text }).collation(CASE_INSENSITIVE))
+    ) {
+      summary.skipped++;
+      continue;
+    }
+    seenTexts.add(textKey);
+
+    const { categoryName, ...questionData } = question;
+
+    try {
+      // A category the schema rejects fails this record only
+      const { category, created } = await findOrCreateCategory(categoryName, createdBy, categoryCache);
+      if (created) {
+        summary.categoriesCreated.push(category.name);
+      }
+
+      await Question.create({
+        ...questionData,
+        category: category._id,
+        isApproved: true,
+        reviewStatus: "approved",
+        isActive: true,
+        createdBy,
+      });
+      summary.inserted++;
+      touchedCategories.add(category._id.toString());
+    } catch (err) {
+      summary.invalid++;
+      summary.errors.push({ index, message: err.message });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Import seed files from data/ into the Question collection
+ * @param {object} options - { files (default: every data/*.json), createdBy (admin user ID) }
+ * @returns {Promise<object>} { files: [{ file, inserted, skipped, invalid, errors }], totals, questionCounts }
+ */
+const importSeedFiles = async ({ files, createdBy } = {}) => {
+  if (!createdBy) {
+    throw new Error("createdBy is required to import seed questions");
+  }
+
+  const available = listSeedFiles();
+  const selected = files && files.length > 0 ? files : available;
+
+  const categoryCache = new Map();
+  const touchedCategories = new Set();
+  const results = [];
+
+  for (const requested of selected) {
+    // Only allow files that live directly in data/
+    const file = path.basename(requested);
+    if (!available.includes(file)) {
+      results.push({
+        file,
+        inserted: 0,
+        skipped: 0,
+        invalid: 0,
+        errors: [{ index: null, message: "Seed file not found in data/" }],
+        categoriesCreated: [],
+      });
+      continue;
+    }
+
+    let records;
+    try {
+      records = JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), "utf8"));
+    } catch (err) {
+      results.push({
+        file,
+        inserted: 0,
+        skipped: 0,
+        invalid: 0,
+        errors: [{ index: null, message: `Could not parse file: ${err.message}` }],
+        categoriesCreated: [],
+      });
+      continue;
+    }
+
+    const summary = await importSeedRecords(records, {
+      createdBy,
+      categoryCache,
+      touchedCategories,
+    });
+    results.push({ file, ...summary });
+  }
+
+  // Recount every category this run inserted into
+  const questionCounts = {};
+  for (const category of categoryCache.values()) {
+    if (touchedCategories.has(category._id.toString())) {
+      questionCounts[category.name] = await refreshQuestionCount(category._id);
+    }
+  }
+
+  const totals = results.reduce(
+    (acc, r) => ({
+      inserted: acc.inserted + r.inserted,
+      skipped: acc.skipped + r.skipped,
+      invalid: acc.invalid + r.invalid,
+    }),
+    { inserted: 0, skipped: 0, invalid: 0 }
+  );
+
+  return { files: results, totals, questionCounts };
+};
+
+module.exports = {
+  listSeedFiles,
+  mapSeedQuestion,
+  refreshQuestionCount,
+  importSeedRecords,
+  importSeedFiles,
+};